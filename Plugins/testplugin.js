@@ -3,21 +3,52 @@
  * Purpose: Demonstrate plugin loading, bot interaction, and dashboard logs.
  */
 
-module.exports = async (bot, config, logger, io) => {
+module.exports = async (bot, config, logger, io, ctx) => {
   logger.info("🧩 Test Plugin loaded.");
 
   // Trigger on bot spawn
-  bot.once("spawn", () => {
+  ctx.once("spawn", () => {
     logger.success("🎉 Test Plugin active! Bot has spawned.");
   });
 
-  // Periodic action every 10 seconds
-  const interval = setInterval(() => {
+  // Periodic position check (cleared automatically on reload/disable)
+  const checkPosition = () => {
     if (!bot || !bot.entity) return;
     const pos = bot.entity.position;
     logger.info(`📍 Bot position check: x=${pos.x.toFixed(1)}, y=${pos.y.toFixed(1)}, z=${pos.z.toFixed(1)}`);
 
     // Emit to dashboard if connected
+    if (!config.mirrorToDashboard) return;
     io?.emit("plugin:event", {
       plugin: "testPlugin",
-      message: `Position check: x=${pos.x.toFixed(
\ No newline at end of file
+      message: `Position check: x=${pos.x.toFixed(1)}, y=${pos.y.toFixed(1)}, z=${pos.z.toFixed(1)}`,
+    });
+  };
+  let timer = ctx.setInterval(checkPosition, config.intervalSeconds * 1000);
+
+  // Live settings edits — re-arm the timer instead of reloading the plugin
+  ctx.onConfigChange((next) => {
+    config = next;
+    ctx.clearInterval(timer);
+    timer = ctx.setInterval(checkPosition, config.intervalSeconds * 1000);
+    logger.info(`⚙️ Test Plugin now checks every ${config.intervalSeconds}s.`);
+  });
+
+  // Optional disposer — runs before the plugin is reloaded or disabled
+  return () => logger.info("🧩 Test Plugin stopped.");
+};
+
+module.exports.meta = {
+  name: "Test Plugin",
+  version: "6.8.5",
+  author: "Uttam Sahu",
+  description: "Logs the bot position periodically and mirrors it to the dashboard.",
+  configSchema: {
+    type: "object",
+    properties: {
+      intervalSeconds: { type: "integer", minimum: 1, default: 10 },
+      mirrorToDashboard: { type: "boolean", default: true },
+    },
+    additionalProperties: false,
+  },
+};
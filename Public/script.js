@@ -21,6 +21,10 @@
   const toastWrap = $('toast-wrap');
   const versionTag = $('versionTag');
   const securityBanner = $('security-banner');
+  const statusBadge = $('status-badge');
+  const statusIcon = $('status-icon');
+  const statusText = $('status-text');
+  const botSelect = $('bot-select');
 
   // Info
   const usernameEl = $('username');
@@ -30,13 +34,21 @@
   const pluginsListEl = $('plugins');
   const logsEl = $('logs');
   const logCountEl = $('log-count');
+  const logSourceEl = $('log-source');
+  const logOlderBtn = $('log-older');
+  const logDownloadEl = $('log-download');
   const cpuEl = $('cpu');
   const ramEl = $('ram');
   const tpsEl = $('tps');
   const perfCanvas = $('perf-chart');
+  const perfRangeEl = $('perf-range');
 
   // buttons
-  const saveAuthBtn = $('save-auth');
+  const authUserEl = $('auth-user');
+  const authBtn = $('auth-button');
+  const loginDialog = $('login-dialog');
+  const loginForm = $('login-form');
+  const loginError = $('login-error');
   const reloadAllBtn = $('reload-all');
   const startBtn = $('start-btn');
   const stopBtn = $('stop-btn');
@@ -53,10 +65,15 @@
 
   // state
   let muted = JSON.parse(localStorage.getItem('botMuted') || 'false');
-  let adminAuth = localStorage.getItem('adminAuth') || '';
+  let session = null; // { name, role, via, expiresAt } from auth:session
+  localStorage.removeItem('adminAuth'); // raw tokens are no longer kept client-side
   let logs = [];
   const MAX_LOGS = 1500;
   let perfData = { cpu: [], ram: [] };
+  let liveData = perfData; // kept filling while a history range is shown
+  let retryCountdown = null;
+  const fleet = {}; // botId -> { status, heartbeat }
+  let selectedBot = localStorage.getItem('selectedBot') || '';
 
   // adapt animation speed (low-end devices slower)
   const prefersHighFPS = !( /Mobi|Android|iPhone|iPad/i.test(navigator.userAgent) ) && (window.devicePixelRatio >= 1);
@@ -112,6 +129,7 @@
   function appendLog(text, cls = 'info') {
     logs.push({ text, cls, ts: Date.now() });
     if (logs.length > MAX_LOGS) logs.shift();
+    if (logSourceEl?.value) return; // a log file is on screen; the live feed keeps buffering
     const node = document.createElement('div');
     node.className = `log-line ${cls}`;
     node.textContent = `[${new Date().toLocaleTimeString()}] ${text}`;
@@ -145,6 +163,7 @@
   // socket events
   socket.on('connect', ()=> {
     connBubble.classList.add('online');
+    socket.emit('clientVisibility', { visible: !document.hidden }); // server throttles telemetry for hidden tabs
     playSound('connect');
     showToast('Connected', 'success');
   });
@@ -155,7 +174,75 @@
     showToast('Disconnected — reconnecting', 'error');
   });
 
-  socket.on('connect_error', ()=> showToast('Connection error', 'error'));
+  socket.on('connect_error', err => {
+    if (err?.message === 'unauthorized') return openLogin(); // handshake refused — no valid session
+    if (err?.message === 'too_many_connections') return showToast('Dashboard is full — close another tab or try later', 'error');
+    if (err?.message === 'forbidden') return showToast('This address is not allowed to use the dashboard', 'error');
+    showToast('Connection error', 'error');
+  });
+
+  // auth: the session cookie travels with the handshake; the server tells us who we are
+  const ROLES = ['viewer', 'operator', 'admin'];
+  const hasRole = role => Boolean(session) && ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+
+  // state-changing requests echo the server's cosmic_csrf cookie (double-submit)
+  const csrfHeader = () => ({ 'X-CSRF-Token': decodeURIComponent(document.cookie.match(/(?:^|;\s*)cosmic_csrf=([^;]*)/)?.[1] || '') });
+
+  function applySession(user) {
+    session = user;
+    authUserEl.hidden = !user;
+    authUserEl.textContent = user ? `${user.name} • ${user.role}` : '';
+    authBtn.textContent = user && user.via !== 'anonymous' ? 'Sign out' : 'Sign in';
+    document.querySelectorAll('[data-min-role]').forEach(el => {
+      el.disabled = !hasRole(el.dataset.minRole);
+      el.title = el.disabled ? `Requires ${el.dataset.minRole}` : '';
+    });
+    if (hasRole('viewer')) loadLogSources();
+  }
+
+  function openLogin(message = '') {
+    loginError.hidden = !message;
+    loginError.textContent = message;
+    if (!loginDialog.open) loginDialog.showModal();
+  }
+
+  loginForm?.addEventListener('submit', async e => {
+    e.preventDefault();
+    const token = $('login-token').value;
+    const body = token
+      ? { token }
+      : { username: $('login-username').value.trim(), password: $('login-password').value };
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...csrfHeader() },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) return openLogin(data.message || `HTTP ${res.status}`);
+      loginForm.reset();
+      loginDialog.close();
+      showToast(`Signed in as ${data.user.name}`, 'success');
+      socket.disconnect().connect(); // new handshake carries the session cookie
+    } catch (err) {
+      openLogin(err.message);
+    }
+  });
+
+  authBtn?.addEventListener('click', async () => {
+    if (!session || session.via === 'anonymous') return openLogin();
+    await fetch('/api/auth/logout', { method: 'POST', headers: csrfHeader() }).catch(() => {});
+    applySession(null);
+    socket.disconnect();
+    openLogin();
+  });
+
+  socket.on('auth:session', applySession);
+  socket.on('auth:denied', d => showToast(`🔒 ${d?.event || 'Action'} requires the ${d?.role || 'operator'} role`, 'error'));
+  socket.on('auth:expired', () => {
+    applySession(null);
+    openLogin('Session ended — please sign in again');
+  });
 
   // loader progress emitted by server
   socket.on('loaderProgress', (d) => {
@@ -167,6 +254,8 @@
   // version info / security banner
   socket.on('versionInfo', info => {
     if (!info) return;
+    (info.bots || []).forEach(b => { trackBot(b.botId).heartbeat = b; });
+    renderSelectedBot();
     versionTag.textContent = info.version || versionTag.textContent;
     if (info.publicMode) {
       securityBanner.hidden = false;
@@ -186,22 +275,181 @@
   // uptime event (object)
   socket.on('uptime', u => {
     if (!u) return;
-    if (u.uptimeStr) uptimeEl.textContent = u.uptimeStr;
+    // per-bot uptime when the server reports one, process uptime otherwise
+    if (u.bots && selectedBot in u.bots) uptimeEl.textContent = formatHMS(u.bots[selectedBot]);
+    else if (u.uptimeStr) uptimeEl.textContent = u.uptimeStr;
     else if (u.uptimeMs) uptimeEl.textContent = formatHMS(u.uptimeMs);
   });
 
+  // bot status / reconnect state machine
+  const STATUS_LABELS = {
+    online: 'Online',
+    offline: 'Offline',
+    reconnecting: 'Reconnecting…',
+    gave_up: 'Gave up',
+    banned: 'Banned',
+    stopped: 'Stopped',
+  };
+
+  function renderBotStatus(s) {
+    if (retryCountdown) { clearInterval(retryCountdown); retryCountdown = null; }
+    const online = s.status === 'online';
+    statusBadge.className = 'status ' + (online ? 'online' : 'offline');
+    statusIcon.src = online ? 'icons/bot-online.svg' : 'icons/bot-offline.svg';
+    $('meta-status').textContent = s.status;
+
+    if (s.status === 'waiting' && s.retryAt) {
+      const of = s.maxRetries > 0 ? `${s.attempt}/${s.maxRetries}` : `${s.attempt}`;
+      const tick = () => {
+        const left = Math.max(0, Math.ceil((s.retryAt - Date.now()) / 1000));
+        statusText.textContent = `Retry ${of} in ${left}s`;
+      };
+      tick();
+      retryCountdown = setInterval(tick, 1000);
+      return;
+    }
+    statusText.textContent = STATUS_LABELS[s.status] || s.status;
+  }
+
+  // fleet: every bot event carries a botId; the status card shows the selected bot
+  function trackBot(id) {
+    if (!id || fleet[id]) return fleet[id];
+    fleet[id] = {};
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = id;
+    botSelect.appendChild(opt);
+    botSelect.hidden = botSelect.options.length < 2;
+    if (!selectedBot || !fleet[selectedBot]) selectedBot = id;
+    botSelect.value = selectedBot;
+    return fleet[id];
+  }
+
+  function renderSelectedBot() {
+    const b = fleet[selectedBot];
+    if (!b) return;
+    if (b.status) renderBotStatus(b.status);
+    const hb = b.heartbeat || b.status || {};
+    if (hb.username) usernameEl.textContent = hb.username;
+    if (hb.server || hb.ip) serverEl.textContent = hb.server || hb.ip;
+    if (b.heartbeat) uptimeEl.textContent = formatHMS(b.heartbeat.uptime || 0);
+    tpsEl.textContent = b.tps != null ? `${b.tps} TPS` : '—';
+  }
+
+  botSelect?.addEventListener('change', () => {
+    selectedBot = botSelect.value;
+    localStorage.setItem('selectedBot', selectedBot);
+    renderSelectedBot();
+  });
+
+  socket.on('botStatus', s => {
+    if (!s) return;
+    const id = s.botId || 'main';
+    trackBot(id).status = s;
+    if (id === selectedBot) renderSelectedBot();
+    if (s.status === 'waiting') playSound('retry');
+    if (s.status === 'gave_up') showToast(`[${id}] Reconnect gave up after ${s.attempt} attempts`, 'error');
+    if (s.status === 'banned') showToast(`[${id}] Bot banned: ${s.reason?.details || 'no reason given'}`, 'error');
+  });
+
+  socket.on('botHeartbeat', hb => {
+    if (!hb) return;
+    const id = hb.botId || 'main';
+    trackBot(id).heartbeat = hb;
+    if (id === selectedBot) renderSelectedBot();
+  });
+
+  // while the tab is hidden the server sends the latest sample of each stream now and then
+  socket.on('telemetry:summary', s => {
+    (s?.items || []).forEach(({ event, payload }) => {
+      if (event !== 'botHeartbeat' || !payload) return;
+      trackBot(payload.botId || 'main').heartbeat = payload;
+    });
+    renderSelectedBot();
+  });
+
   // plugin count & list
   socket.on('pluginCount', p => {
     if (!p) return;
     pluginCountEl.textContent = p.total ?? (p.names?.length || 0);
-    if (p.names && p.names.length) {
+    // the registry list (plugins:update) has per-plugin controls — only fill in before it arrives
+    if (p.names && p.names.length && !pluginsListEl.dataset.registry) {
       pluginsListEl.innerHTML = p.names.map(n => `<div class="plugin-item"><img src="icons/plugin.svg" class="svg-16"> ${escapeHtml(n)}</div>`).join('');
     }
   });
 
+  // plugin registry list (state + per-plugin controls)
+  function renderPlugins(list) {
+    pluginsListEl.dataset.registry = '1';
+    if (!list.length) {
+      pluginsListEl.innerHTML = '<em class="muted">No plugins loaded</em>';
+      return;
+    }
+    pluginsListEl.innerHTML = list.map(p => {
+      const meta = [p.loadTime != null ? `${p.loadTime}ms` : '', p.bots?.length ? p.bots.join(', ') : '']
+        .filter(Boolean).join(' • ');
+      const m = p.meta || {};
+      const title = [m.description, m.author && `by ${m.author}`, m.dependsOn?.length && `needs ${m.dependsOn.join(', ')}`,
+        p.integrity && p.integrity.status !== 'skipped' && `integrity: ${p.integrity.status}`]
+        .filter(Boolean).join(' — ');
+      return `<div class="plugin-item state-${escapeHtml(p.state)}" data-name="${escapeHtml(p.name)}" title="${escapeHtml(title)}">
+        <img src="icons/plugin.svg" class="svg-16"> <strong>${escapeHtml(m.name || p.name)}</strong>
+        <span class="muted small">v${escapeHtml(m.version || '0.0.0')}</span>
+        <span class="plugin-state">${escapeHtml(p.state)}</span>
+        ${p.sandboxed || m.isolated ? '<span class="plugin-state" title="Runs in an isolated worker">🧪 sandbox</span>' : ''}
+        <span class="muted small">${escapeHtml(meta)}</span>
+        ${p.lastError ? `<div class="plugin-error small">${escapeHtml(p.lastError)}</div>` : ''}
+        <span class="plugin-actions">
+          <button class="icon-btn" data-action="reload" title="Reload"><img src="icons/reload.svg" class="svg-16" alt="reload"></button>
+          <label title="Enabled"><input type="checkbox" data-action="toggle" ${p.enabled ? 'checked' : ''}></label>
+        </span>
+      </div>`;
+    }).join('');
+  }
+
+  pluginsListEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-action="reload"]');
+    if (!btn) return;
+    const name = btn.closest('.plugin-item').dataset.name;
+    socket.emit('plugin:reload', name);
+    playSound('reload');
+  });
+
+  pluginsListEl.addEventListener('change', (e) => {
+    if (e.target.dataset.action !== 'toggle') return;
+    const name = e.target.closest('.plugin-item').dataset.name;
+    socket.emit('plugin:toggle', { name, enabled: e.target.checked });
+  });
+
+  socket.on('plugins:update', list => {
+    if (!Array.isArray(list)) return;
+    renderPlugins(list);
+    pluginCountEl.textContent = list.filter(p => p.state === 'loaded').length;
+  });
+
+  socket.on('plugin:reloaded', r => {
+    if (!r) return;
+    const verb = { added: 'loaded', changed: 'reloaded', removed: 'unloaded' }[r.action] || r.action;
+    const where = r.bots?.length ? ` on ${r.bots.length} bot(s)` : '';
+    if (r.error) showToast(`♻️ ${r.plugin} ${verb} but is ${r.state}: ${r.error}`, 'error');
+    else showToast(`♻️ ${r.plugin} ${verb}${where} in ${r.time}ms`, 'success');
+  });
+
+  // settings.json edited while running — reconnects announce themselves via systemEvent
+  socket.on('settings:changed', c => {
+    if (!Array.isArray(c?.changes)) return;
+    const live = c.changes.filter(x => x.kind === 'live').map(x => x.path);
+    if (live.length) showToast(`⚙️ Applied live: ${live.join(', ')}`, 'success');
+    if (c.restartRequired?.length) {
+      showToast(`♻️ Restart required for: ${c.restartRequired.join(', ')}`, 'warning', { duration: 10000 });
+    }
+    appendLog(`⚙️ Settings changed: ${c.changes.map(x => `${x.path} (${x.kind})`).join(', ')}`, 'info');
+  });
+
   socket.on('pluginStatus', s => {
     if (!s) return;
     document.getElementById('plugins-meta').textContent = `${s.loaded ?? 0}/${s.total ?? 0}`;
+    if (Array.isArray(s.plugins)) renderPlugins(s.plugins);
   });
 
   // logs
@@ -213,13 +461,17 @@
   // system stats
   socket.on('systemStats', m => {
     if (!m) return;
-    cpuEl.textContent = `${m.loadAvg ?? '—'}`;
+    cpuEl.textContent = m.cpuPercent != null ? `${m.cpuPercent}%` : `${m.loadAvg ?? '—'}`;
+    cpuEl.title = `Load avg ${m.loadAvg ?? '—'} • event loop lag ${m.eventLoopLagMs ?? '—'} ms`;
     ramEl.textContent = `${m.memoryMB ?? '—'} MB`;
+    ramEl.title = `Heap ${m.heapMB ?? '—'} / ${m.heapTotalMB ?? '—'} MB`;
+    Object.keys(fleet).forEach(id => { fleet[id].tps = m.tps?.[id] ?? null; }); // offline bots have no TPS
+    renderSelectedBot();
     // perf capture
-    perfData.cpu.push(Number(m.loadAvg) || 0);
-    perfData.ram.push(Number(m.memoryMB) || 0);
-    if (perfData.cpu.length > 120) perfData.cpu.shift();
-    if (perfData.ram.length > 120) perfData.ram.shift();
+    liveData.cpu.push(Number(m.cpuPercent ?? m.loadAvg) || 0);
+    liveData.ram.push(Number(m.memoryMB) || 0);
+    if (liveData.cpu.length > 120) liveData.cpu.shift();
+    if (liveData.ram.length > 120) liveData.ram.shift();
   });
 
   // toast messages from server
@@ -232,12 +484,6 @@
   });
 
   // user actions
-  saveAuthBtn?.addEventListener('click', ()=> {
-    adminAuth = document.getElementById('auth-token').value || '';
-    localStorage.setItem('adminAuth', adminAuth);
-    showToast('Admin token saved', 'success');
-  });
-
   reloadAllBtn?.addEventListener('click', ()=> {
     socket.emit('reloadPlugins');
     showToast('Reload requested', 'info');
@@ -253,18 +499,375 @@
   $('dock-start')?.addEventListener('click', ()=> sendAdmin('start'));
   $('dock-stop')?.addEventListener('click', ()=> sendAdmin('stop'));
 
+  // log files: page through latest.log and the daily files via /api/logs (filtered server-side)
+  let logPageStart = null; // byte offset of the oldest line shown, for "Older"
+  let logSearchTimer = null;
+
+  async function loadLogSources() {
+    try {
+      const res = await fetch('/api/logs');
+      if (!res.ok) return;
+      const { files } = await res.json();
+      const current = logSourceEl.value;
+      logSourceEl.replaceChildren(new Option('Live', ''));
+      files.forEach(f => {
+        const option = new Option(f.kind === 'latest' ? f.name : `${f.date} • ${f.level}`, f.name);
+        option.dataset.date = f.date || '';
+        logSourceEl.add(option);
+      });
+      logSourceEl.value = files.some(f => f.name === current) ? current : '';
+    } catch (err) {
+      console.warn('[Logs] file list unavailable', err);
+    }
+  }
+
+  function fileLogLine(e) {
+    const node = document.createElement('div');
+    node.className = `log-line ${e.level || 'info'}`;
+    node.textContent = e.timestamp ? `[${new Date(e.timestamp).toLocaleString()}] [${e.context}] ${e.message}` : e.message;
+    return node;
+  }
+
+  async function loadLogPage(older = false) {
+    const name = logSourceEl.value;
+    const params = new URLSearchParams();
+    const level = $('log-level')?.value;
+    const q = $('log-search')?.value.trim();
+    if (level) params.set('level', level);
+    if (q) params.set('q', q);
+    if (older && logPageStart != null) params.set('end', logPageStart);
+    try {
+      const res = await fetch(`/api/logs/${encodeURIComponent(name)}?${params}`);
+      const page = await res.json();
+      if (!res.ok) throw new Error(page.message || `HTTP ${res.status}`);
+      if (logSourceEl.value !== name) return; // the user moved on
+      const lines = page.entries.map(fileLogLine);
+      if (older) {
+        const fromBottom = logsEl.scrollHeight - logsEl.scrollTop;
+        logsEl.prepend(...lines);
+        logsEl.scrollTop = logsEl.scrollHeight - fromBottom;
+      } else {
+        logsEl.replaceChildren(...lines);
+        logsEl.scrollTop = logsEl.scrollHeight;
+      }
+      logPageStart = page.start;
+      logOlderBtn.hidden = !page.hasBefore;
+      logCountEl.textContent = `${logsEl.childElementCount} lines • ${name}`;
+    } catch (err) {
+      showToast(`❌ Log load failed: ${err.message}`, 'error');
+    }
+  }
+
+  function refreshLogs() {
+    const date = logSourceEl?.selectedOptions[0]?.dataset.date;
+    logDownloadEl.hidden = !date;
+    if (date) logDownloadEl.href = `/api/logs/days/${date}`;
+    if (!logSourceEl?.value) {
+      logOlderBtn.hidden = true;
+      return renderLogs();
+    }
+    logPageStart = null;
+    loadLogPage();
+  }
+
   // log filtering UI
-  document.getElementById('log-search')?.addEventListener('input', renderLogs);
-  document.getElementById('log-level')?.addEventListener('change', renderLogs);
+  logSourceEl?.addEventListener('change', refreshLogs);
+  logOlderBtn?.addEventListener('click', () => loadLogPage(true));
+  document.getElementById('log-search')?.addEventListener('input', () => {
+    clearTimeout(logSearchTimer);
+    logSearchTimer = setTimeout(refreshLogs, logSourceEl?.value ? 300 : 0);
+  });
+  document.getElementById('log-level')?.addEventListener('change', refreshLogs);
   document.getElementById('clear-logs')?.addEventListener('click', ()=> { logs = []; logsEl.innerHTML=''; logCountEl.textContent='0 lines'; showToast('Logs cleared', 'info'); });
 
-  // send admin command with saved token
+  // send admin command (the server checks the session's role)
   function sendAdmin(action){
-    const token = localStorage.getItem('adminAuth') || '';
-    socket.emit('adminCommand', { action, authToken: token });
+    const requestId = `${action}-${Date.now()}`;
+    socket.emit('adminCommand', { action, botId: selectedBot || undefined, requestId });
     showToast(`Admin: ${action}`, 'info');
   }
 
+  socket.on('adminAck', a => {
+    if (!a) return;
+    showToast(`✅ ${a.botId ? `[${a.botId}] ` : ''}${a.message}`, 'success');
+  });
+
+  socket.on('adminError', e => {
+    if (!e) return;
+    showToast(`❌ ${e.action || 'Admin'}: ${e.message}`, 'error');
+  });
+
+  // settings editor: per-section form → preview diff → save (server validates), undo restores the previous version
+  const settingsForm = $('settings-form');
+  const settingsSection = $('settings-section');
+  const settingsDiff = $('settings-diff');
+  const settingsSaveBtn = $('settings-save');
+  let settingsData = null; // { settings, schema, secrets, overrides, history }
+
+  function sendSettings(action, extra = {}) {
+    socket.emit(`settings:${action}`, { requestId: `${action}-${Date.now()}`, ...extra });
+  }
+
+  const getAt = (obj, parts) => parts.reduce((o, k) => (o == null ? undefined : o[k]), obj);
+  const isSecret = dotted => settingsData.secrets.includes(dotted);
+
+  // JSON textarea for lists of objects and free-form blocks, comma list for scalar arrays
+  function fieldKind(prop) {
+    if (prop.type === 'boolean') return 'bool';
+    if (prop.type === 'integer' || prop.type === 'number') return 'number';
+    if (prop.type === 'array') return prop.items?.type === 'object' || !prop.items ? 'json' : 'list';
+    if (prop.type === 'object' && !prop.properties) return 'json';
+    return prop.enum ? 'enum' : 'text';
+  }
+
+  function renderField(parent, key, prop, parts) {
+    const dotted = parts.join('.');
+    if (prop.type === 'object' && prop.properties) {
+      const set = document.createElement('fieldset');
+      set.innerHTML = `<legend>${key}</legend>`;
+      for (const [k, p] of Object.entries(prop.properties)) renderField(set, k, p, [...parts, k]);
+      return parent.appendChild(set);
+    }
+    const kind = fieldKind(prop);
+    const value = getAt(settingsData.settings, parts);
+    let input;
+    if (kind === 'enum') {
+      input = document.createElement('select');
+      prop.enum.forEach(v => input.add(new Option(v, v)));
+      input.value = value ?? '';
+    } else if (kind === 'json') {
+      input = document.createElement('textarea');
+      input.value = JSON.stringify(value ?? (prop.type === 'array' ? [] : {}), null, 2);
+    } else {
+      input = document.createElement('input');
+      input.type = kind === 'bool' ? 'checkbox' : kind === 'number' ? 'number' : isSecret(dotted) ? 'password' : 'text';
+      if (kind === 'bool') input.checked = Boolean(value);
+      else input.value = kind === 'list' ? (value || []).join(', ') : value ?? '';
+      if (prop.minimum !== undefined) input.min = prop.minimum;
+      if (prop.maximum !== undefined) input.max = prop.maximum;
+    }
+    input.dataset.path = dotted;
+    input.dataset.kind = kind;
+    const label = document.createElement('label');
+    label.textContent = key;
+    label.title = prop.description || dotted;
+    if (settingsData.overrides.includes(dotted)) {
+      input.disabled = true;
+      label.classList.add('locked');
+      label.title = `${dotted} is set by an environment variable`;
+    }
+    label.appendChild(input);
+    parent.appendChild(label);
+  }
+
+  function renderSettingsForm() {
+    settingsForm.innerHTML = '';
+    settingsDiff.hidden = true;
+    settingsSaveBtn.disabled = true;
+    const key = settingsSection.value;
+    const prop = settingsData.schema.properties[key];
+    if (prop) renderField(settingsForm, key, prop, [key]);
+  }
+
+  function readField(input) {
+    const kind = input.dataset.kind;
+    if (kind === 'bool') return input.checked;
+    if (kind === 'number') return input.value === '' ? null : Number(input.value);
+    if (kind === 'list') return input.value.split(',').map(s => s.trim()).filter(Boolean);
+    if (kind === 'json') {
+      try { return JSON.parse(input.value || 'null'); }
+      catch { throw new Error(`${input.dataset.path}: invalid JSON`); }
+    }
+    return input.value;
+  }
+
+  // Merge patch of the fields that differ from what was loaded
+  function collectSettingsPatch() {
+    const patch = {};
+    settingsForm.querySelectorAll('[data-path]').forEach(input => {
+      if (input.disabled) return;
+      const parts = input.dataset.path.split('.');
+      const value = readField(input);
+      if (JSON.stringify(value) === JSON.stringify(getAt(settingsData.settings, parts) ?? null)) return;
+      let node = patch;
+      parts.slice(0, -1).forEach(k => { node = node[k] = node[k] || {}; });
+      node[parts[parts.length - 1]] = value;
+    });
+    return patch;
+  }
+
+  function renderSettingsDiff({ changes = [], errors = [] }) {
+    settingsDiff.innerHTML = '';
+    settingsDiff.hidden = false;
+    const line = (text, cls) => {
+      const el = document.createElement('div');
+      if (cls) el.className = cls;
+      el.textContent = text;
+      settingsDiff.appendChild(el);
+      return el;
+    };
+    errors.forEach(e => line(`❌ ${e.path}: ${e.message}`, 'error'));
+    if (!errors.length && !changes.length) line('No changes.', 'muted');
+    changes.forEach(c => {
+      const el = line(`${c.path}: ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`);
+      const kind = document.createElement('span');
+      kind.className = `kind ${c.kind}`;
+      kind.textContent = c.kind === 'restart' ? 'needs restart' : c.kind;
+      el.appendChild(kind);
+    });
+  }
+
+  function updateSettingsMeta() {
+    const last = settingsData.history[0];
+    $('settings-meta').textContent = last ? `Previous version: ${new Date(last.savedAt).toLocaleString()}` : 'No saved versions';
+    $('settings-undo').disabled = !last;
+  }
+
+  $('settings-load')?.addEventListener('click', () => sendSettings('get'));
+  settingsSection?.addEventListener('change', renderSettingsForm);
+  settingsForm?.addEventListener('input', () => { settingsSaveBtn.disabled = true; });
+  $('settings-preview')?.addEventListener('click', () => {
+    try { sendSettings('preview', { patch: collectSettingsPatch() }); }
+    catch (err) { showToast(`❌ ${err.message}`, 'error'); }
+  });
+  settingsSaveBtn?.addEventListener('click', () => {
+    try { sendSettings('save', { patch: collectSettingsPatch() }); }
+    catch (err) { showToast(`❌ ${err.message}`, 'error'); }
+  });
+  $('settings-undo')?.addEventListener('click', () => {
+    if (confirm('Restore the previously saved settings?')) sendSettings('undo');
+  });
+
+  socket.on('settings:result', r => {
+    if (!r) return;
+    if (r.action === 'get') {
+      const previous = settingsSection.value;
+      settingsData = r;
+      settingsSection.innerHTML = '';
+      Object.keys(r.schema.properties).forEach(k => settingsSection.add(new Option(k, k)));
+      settingsSection.value = previous && r.schema.properties[previous] ? previous : settingsSection.options[0]?.value;
+      settingsSection.disabled = false;
+      $('settings-preview').disabled = false;
+      renderSettingsForm();
+      updateSettingsMeta();
+    } else if (r.action === 'preview') {
+      renderSettingsDiff(r);
+      settingsSaveBtn.disabled = Boolean(r.errors?.length) || !r.changes?.length;
+    } else if (r.action === 'save' || r.action === 'undo') {
+      if (!r.ok) {
+        if (r.errors?.length) renderSettingsDiff(r);
+        else showToast('Nothing to undo', 'info');
+        return;
+      }
+      showToast(`💾 Settings ${r.action === 'undo' ? 'restored' : 'saved'} (${r.changes.length} change(s))`, 'success');
+      sendSettings('get');
+    }
+  });
+
+  socket.on('settings:error', e => {
+    if (!e) return;
+    showToast(`❌ Settings ${e.action}: ${e.message}`, 'error');
+  });
+
+  // audit trail (admin): newest first from /api/audit, "More" pages back by seq
+  const auditListEl = $('audit-list');
+  const auditMoreBtn = $('audit-more');
+  let auditBefore = null;
+
+  function auditParams() {
+    const params = new URLSearchParams();
+    for (const key of ['actor', 'action', 'outcome']) {
+      const value = $(`audit-${key}`).value.trim();
+      if (value) params.set(key, value);
+    }
+    if ($('audit-since').value) params.set('from', $('audit-since').value);
+    return params;
+  }
+
+  function auditRow(e) {
+    const row = document.createElement('div');
+    row.className = 'audit-row';
+    const when = document.createElement('span');
+    when.className = 'muted';
+    when.textContent = new Date(e.ts).toLocaleString();
+    const what = document.createElement('span');
+    what.textContent = `${e.actor}${e.role ? ` (${e.role})` : ''} • ${e.action}${e.ip ? ` • ${e.ip}` : ''}`;
+    const outcome = document.createElement('span');
+    outcome.className = `outcome ${e.outcome}`;
+    outcome.textContent = e.outcome;
+    row.append(when, what, outcome);
+    if (e.params || e.error) {
+      const detail = document.createElement('span');
+      detail.className = 'detail';
+      detail.textContent = [e.error, e.params && JSON.stringify(e.params)].filter(Boolean).join(' — ');
+      row.append(detail);
+    }
+    row.title = `#${e.seq} via ${e.via}${e.socketId ? ` (${e.socketId})` : ''}`;
+    return row;
+  }
+
+  async function loadAudit(more = false) {
+    const params = auditParams();
+    if (more && auditBefore != null) params.set('before', auditBefore);
+    try {
+      const res = await fetch(`/api/audit?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.message || `HTTP ${res.status}`);
+      const rows = data.entries.map(auditRow);
+      if (more) auditListEl.append(...rows);
+      else auditListEl.replaceChildren(...rows);
+      if (!auditListEl.childElementCount) auditListEl.innerHTML = '<em class="muted">No matching entries.</em>';
+      auditBefore = data.entries.length ? data.entries[data.entries.length - 1].seq : auditBefore;
+      auditMoreBtn.hidden = !data.hasMore;
+      $('audit-meta').textContent = `${auditListEl.querySelectorAll('.audit-row').length} entries`;
+    } catch (err) {
+      showToast(`❌ Audit load failed: ${err.message}`, 'error');
+    }
+  }
+
+  $('audit-filters')?.addEventListener('submit', e => {
+    e.preventDefault();
+    loadAudit();
+  });
+  auditMoreBtn?.addEventListener('click', () => loadAudit(true));
+  $('audit-csv')?.addEventListener('click', () => {
+    window.location.href = `/api/audit/export.csv?${auditParams()}`;
+  });
+  $('audit-verify')?.addEventListener('click', async () => {
+    try {
+      const res = await fetch('/api/audit/verify');
+      const r = await res.json();
+      if (!res.ok) throw new Error(r.message || `HTTP ${res.status}`);
+      if (r.ok) showToast(`🔗 Audit chain intact (${r.entries} entries)`, 'success');
+      else showToast(`⚠️ Audit chain broken at line ${r.brokenAt}: ${r.reason}`, 'error');
+    } catch (err) {
+      showToast(`❌ Audit verify failed: ${err.message}`, 'error');
+    }
+  });
+
+  // perf history: load a stored range from /api/metrics instead of the live feed (~120-360 points each)
+  const PERF_STEPS = { '1h': '30s', '6h': '1m', '24h': '5m', '7d': '1h', '30d': '2h' };
+  async function loadPerfHistory(range) {
+    if (!range) {
+      perfData = liveData;
+      return;
+    }
+    const fetchSeries = (series) =>
+      fetch(`/api/metrics?series=${series}&from=${range}&step=${PERF_STEPS[range]}`).then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      }).then(d => (d.keys[0]?.points || []).map(p => p.value));
+    try {
+      const [cpu, ram] = await Promise.all([fetchSeries('cpu'), fetchSeries('memory')]);
+      if (perfRangeEl.value !== range) return; // the user moved on
+      perfData = { cpu, ram };
+      if (!cpu.length) showToast('No stored history for this range yet', 'info');
+    } catch (err) {
+      showToast(`❌ History load failed: ${err.message}`, 'error');
+    }
+  }
+  perfRangeEl?.addEventListener('change', () => loadPerfHistory(perfRangeEl.value));
+
   // canvas perf chart (simple)
   const ctx = perfCanvas.getContext('2d');
   let lastDraw = 0;
@@ -292,7 +895,8 @@
     ctx.globalAlpha = 1;
 
     // cpu line
-    const cpuArr = perfData.cpu.slice(-60);
+    const showingHistory = perfData !== liveData;
+    const cpuArr = showingHistory ? perfData.cpu : perfData.cpu.slice(-60);
     ctx.strokeStyle = 'rgba(0,255,255,0.95)';
     ctx.lineWidth = 2 * devicePixelRatio;
     ctx.beginPath();
@@ -304,7 +908,7 @@
     ctx.stroke();
 
     // ram line
-    const ramArr = perfData.ram.slice(-60);
+    const ramArr = showingHistory ? perfData.ram : perfData.ram.slice(-60);
     ctx.strokeStyle = 'rgba(153,102,255,0.95)';
     ctx.lineWidth = 1.5 * devicePixelRatio;
     ctx.beginPath();
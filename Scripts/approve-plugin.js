@@ -0,0 +1,117 @@
+/**
+ * 🔏 Cosmic Dashboard — Plugin Approval CLI (v6.8.5)
+ * Records plugin SHA-256 hashes (and optional ed25519 signatures) in plugin-lock.json.
+ *
+ *   node scripts/approve-plugin.js <plugin...>         approve / update entries
+ *   node scripts/approve-plugin.js --all               approve every plugin in /plugins
+ *   node scripts/approve-plugin.js <plugin> --sign k.pem  sign entries with an ed25519 private key
+ *   node scripts/approve-plugin.js --revoke <plugin>   remove an entry
+ *   node scripts/approve-plugin.js --list              compare lockfile against disk
+ *   node scripts/approve-plugin.js --keygen <dir>      generate an ed25519 key pair
+ */
+
+import fs from "fs-extra";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+import chalk from "chalk";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(__dirname, "../");
+const pluginDir = path.join(rootDir, "plugins");
+
+const { integrityOptions, readLock, approvePlugin, revokePlugin, verifyPlugin } = require(
+  path.join(rootDir, "pluginIntegrity.js")
+);
+const { loadSettings } = require(path.join(rootDir, "config.js"));
+
+/* -------------------------------------------------------------------------- */
+/*                              ARGUMENT PARSING                              */
+/* -------------------------------------------------------------------------- */
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  const value = args[i + 1] && !args[i + 1].startsWith("--") ? args[i + 1] : true;
+  args.splice(i, value === true ? 1 : 2);
+  return value;
+};
+
+const { settings } = loadSettings();
+const { lockfile } = integrityOptions(settings);
+const pluginIds = () =>
+  fs.existsSync(pluginDir)
+    ? fs.readdirSync(pluginDir).filter((f) => f.endsWith(".js")).map((f) => f.replace(/\.js$/, ""))
+    : [];
+
+/* -------------------------------------------------------------------------- */
+/*                                 COMMANDS                                   */
+/* -------------------------------------------------------------------------- */
+function keygen(dir) {
+  fs.ensureDirSync(dir);
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const pub = path.join(dir, "plugin-signing.pub.pem");
+  const priv = path.join(dir, "plugin-signing.key.pem");
+  fs.writeFileSync(pub, publicKey.export({ type: "spki", format: "pem" }));
+  fs.writeFileSync(priv, privateKey.export({ type: "pkcs8", format: "pem" }), { mode: 0o600 });
+  console.log(chalk.green(`✅ Key pair written:\n   public  → ${pub}\n   private → ${priv}`));
+  console.log(chalk.gray(`Set plugins.integrity.publicKey to "${path.relative(rootDir, pub)}" to require signatures.`));
+}
+
+function list() {
+  const lock = readLock(lockfile);
+  const ids = new Set([...pluginIds(), ...Object.keys(lock.plugins)]);
+  if (!ids.size) return console.log(chalk.yellow("⚠️ No plugins found."));
+
+  const checkSettings = { ...settings, plugins: { ...settings.plugins, verifyIntegrity: true } };
+  for (const id of [...ids].sort()) {
+    if (!fs.existsSync(path.join(pluginDir, `${id}.js`))) {
+      console.log(chalk.gray(`•  ${id} — in lockfile but missing on disk`));
+      continue;
+    }
+    const result = verifyPlugin(id, pluginDir, checkSettings);
+    if (result.ok) console.log(chalk.green(`✅ ${id} — ${result.status}`));
+    else console.log(chalk.red(`❌ ${id} — ${result.reason}`));
+  }
+}
+
+function approve(ids, keyPath) {
+  const privateKeyPem = keyPath ? fs.readFileSync(path.resolve(keyPath), "utf8") : null;
+  const approvedBy = `${os.userInfo().username}@${os.hostname()}`;
+  for (const id of ids) {
+    if (!fs.existsSync(path.join(pluginDir, `${id}.js`))) {
+      console.log(chalk.red(`❌ ${id} — no such plugin in ${pluginDir}`));
+      process.exitCode = 1;
+      continue;
+    }
+    const entry = approvePlugin(id, pluginDir, { lockfile, privateKeyPem, approvedBy });
+    console.log(chalk.green(`✅ ${id} approved (${entry.sha256.slice(0, 12)}…${entry.signature ? ", signed" : ""})`));
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   MAIN                                     */
+/* -------------------------------------------------------------------------- */
+try {
+  const keygenDir = flag("--keygen");
+  const revoke = flag("--revoke");
+  const signKey = flag("--sign");
+  const all = flag("--all");
+
+  if (keygenDir) keygen(keygenDir === true ? path.join(rootDir, "keys") : keygenDir);
+  else if (flag("--list")) list();
+  else if (revoke) {
+    const removed = revokePlugin(revoke, lockfile);
+    console.log(removed ? chalk.green(`🗑️ ${revoke} removed from lockfile`) : chalk.yellow(`⚠️ ${revoke} was not approved`));
+  } else if (all || args.length) {
+    approve(all ? pluginIds() : args, signKey === true ? null : signKey);
+  } else {
+    console.log(chalk.cyan("Usage: node scripts/approve-plugin.js <plugin...> | --all [--sign key.pem] | --revoke <plugin> | --list | --keygen [dir]"));
+  }
+} catch (err) {
+  console.error(chalk.red(`❌ ${err.message}`));
+  process.exit(1);
+}
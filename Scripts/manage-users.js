@@ -0,0 +1,105 @@
+/**
+ * 👥 Cosmic Dashboard — User Accounts CLI (v6.8.5)
+ * Manages the scrypt-hashed dashboard accounts in security.usersFile (default data/users.json).
+ *
+ *   node scripts/manage-users.js add <name> <viewer|operator|admin>   create (prompts for a password)
+ *   node scripts/manage-users.js passwd <name>                         change a password
+ *   node scripts/manage-users.js role <name> <role>                    change a role
+ *   node scripts/manage-users.js remove <name>                         delete an account
+ *   node scripts/manage-users.js revoke <name>                         sign out every session
+ *   node scripts/manage-users.js list                                  show accounts
+ *
+ * Non-interactive: pipe the password on stdin (echo "$PW" | node scripts/manage-users.js add ci operator).
+ */
+
+import path from "path";
+import readline from "readline";
+import chalk from "chalk";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const require = createRequire(import.meta.url);
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(__dirname, "../");
+
+let auth, config;
+try {
+  auth = require(path.join(rootDir, "auth.js"));
+  config = require(path.join(rootDir, "config.js"));
+} catch (err) {
+  console.error(chalk.red(`❌ Cannot load the dashboard modules: ${err.message}`));
+  console.error(chalk.gray("   Run npm install, and keep the root modules CommonJS (package.json \"type\": \"commonjs\")."));
+  process.exit(1);
+}
+const { ROLES, readUsers, saveUser, removeUser, revokeUserSessions } = auth;
+
+const { settings } = config.loadSettings();
+const [command, username, role] = process.argv.slice(2);
+
+/* -------------------------------------------------------------------------- */
+/*                               PASSWORD INPUT                               */
+/* -------------------------------------------------------------------------- */
+async function readPassword(prompt) {
+  if (!process.stdin.isTTY) {
+    let data = "";
+    for await (const chunk of process.stdin) data += chunk;
+    return data.split(/\r?\n/)[0];
+  }
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+  const ask = (q) =>
+    new Promise((resolve) => {
+      process.stdout.write(q);
+      rl._writeToOutput = () => {}; // keep the typed password off the screen
+      rl.question("", (answer) => {
+        process.stdout.write("\n");
+        resolve(answer);
+      });
+    });
+  const first = await ask(prompt);
+  const second = await ask("Repeat password: ");
+  rl.close();
+  if (first !== second) throw new Error("Passwords do not match");
+  return first;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                 COMMANDS                                   */
+/* -------------------------------------------------------------------------- */
+function list() {
+  const users = readUsers(settings);
+  if (!users.length) return console.log(chalk.yellow("⚠️ No accounts yet."));
+  for (const u of users) {
+    console.log(`${chalk.bold(u.username.padEnd(24))} ${u.role.padEnd(9)} ${chalk.gray(`updated ${u.updatedAt}`)}`);
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   MAIN                                     */
+/* -------------------------------------------------------------------------- */
+try {
+  if (command === "add" && username && role) {
+    if (readUsers(settings).some((u) => u.username === username)) throw new Error(`${username} already exists`);
+    const user = await saveUser(settings, { username, role, password: await readPassword(`Password for ${username}: `) });
+    console.log(chalk.green(`✅ ${user.username} added (${user.role})`));
+  } else if (command === "passwd" && username) {
+    if (!readUsers(settings).some((u) => u.username === username)) throw new Error(`No such user: ${username}`);
+    await saveUser(settings, { username, password: await readPassword(`New password for ${username}: `) });
+    console.log(chalk.green(`✅ Password changed for ${username}`));
+  } else if (command === "role" && username && role) {
+    if (!readUsers(settings).some((u) => u.username === username)) throw new Error(`No such user: ${username}`);
+    await saveUser(settings, { username, role });
+    console.log(chalk.green(`✅ ${username} is now ${role}`));
+  } else if (command === "remove" && username) {
+    console.log(removeUser(settings, username) ? chalk.green(`🗑️ ${username} removed`) : chalk.yellow(`⚠️ No such user: ${username}`));
+  } else if (command === "revoke" && username) {
+    console.log(revokeUserSessions(settings, username) ? chalk.green(`🚪 Signed ${username} out everywhere`) : chalk.yellow(`⚠️ No such user: ${username}`));
+  } else if (command === "list") {
+    list();
+  } else {
+    console.log(chalk.cyan(`Usage: node scripts/manage-users.js add <name> <${ROLES.join("|")}> | passwd <name> | role <name> <role> | remove <name> | revoke <name> | list`));
+  }
+  process.exit(0); // the logger's cleanup timer would otherwise keep the CLI alive
+} catch (err) {
+  console.error(chalk.red(`❌ ${err.message}`));
+  process.exit(1);
+}
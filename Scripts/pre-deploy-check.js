@@ -8,15 +8,30 @@ import path from "path";
 import os from "os";
 import chalk from "chalk";
 import net from "net";
+import crypto from "crypto";
 import { execSync } from "child_process";
+import { createRequire } from "module";
 import { fileURLToPath } from "url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const rootDir = path.resolve(__dirname, "../");
-const configPath = path.join(rootDir, "config.json");
+const settingsPath = path.join(rootDir, "settings.json");
 const pluginDir = path.join(rootDir, "plugins");
 const publicDir = path.join(rootDir, "public");
 
+const require = createRequire(import.meta.url);
+let config;
+try {
+  config = require(path.join(rootDir, "config.js"));
+} catch (err) {
+  // Fail the deploy with a readable reason instead of a stack trace
+  console.error(chalk.redBright(`❌ Cannot load config.js: ${err.message}`));
+  console.error(chalk.gray("   Run npm install, and keep the root modules CommonJS (package.json \"type\": \"commonjs\")."));
+  process.exit(1);
+}
+const settingsResult = fs.existsSync(settingsPath) ? config.loadSettings({ file: settingsPath }) : null;
+const settings = settingsResult?.settings || config.loadSettings({ file: null }).settings;
+
 let success = true;
 
 /* -------------------------------------------------------------------------- */
@@ -85,7 +100,7 @@ try {
 
 section("Network & Port Availability");
 
-const portsToCheck = [3000, 8080, 25565];
+const portsToCheck = [settings.dashboard.port, 8080, 25565];
 for (const port of portsToCheck) {
   const available = await checkPort(port);
   if (available) logPass(`Port ${port} available`);
@@ -98,24 +113,23 @@ for (const port of portsToCheck) {
 
 section("Configuration Validation");
 
-if (fs.existsSync(configPath)) {
-  try {
-    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-    if (!config.server || !config.server.port)
-      logFail("config.json missing 'server.port' field");
-    else logPass(`Config port: ${config.server.port}`);
+if (settingsResult) {
+  const { errors, migrated, overrides } = settingsResult;
+  if (errors.length) errors.forEach((e) => logFail(`${e.path}: ${e.message} [${e.source}]`));
+  else logPass("settings.json matches the schema");
 
-    if (!config.dashboard?.cors)
-      logWarn("CORS not defined in config.json — defaults may apply");
-    else logPass(`CORS policy: ${config.dashboard.cors}`);
+  if (migrated.length) logWarn(`Legacy keys in settings.json (renamed on next start): ${migrated.join(", ")}`);
+  if (overrides.size) logPass(`Environment overrides: ${[...overrides.values()].join(", ")}`);
 
-    if (!config.plugins)
-      logWarn("Plugin section missing — optional but recommended");
-  } catch {
-    logFail("Invalid JSON structure in config.json");
+  logPass(`Minecraft server: ${settings.server.ip}:${settings.server.port} (v${settings.server.version})`);
+  logPass(`Dashboard port: ${settings.dashboard.port}`);
+  if (settings.dashboard.publicMode) {
+    logWarn("Public mode enabled — CORS accepts any origin");
+    const secrets = [process.env.ADMIN_SECRET, settings.security.authToken, settings.security.sessionSecret];
+    if (secrets.includes("cosmic-secure-default")) logFail("Public mode with the default secret — the dashboard will refuse to start");
   }
 } else {
-  logFail("Missing config.json file");
+  logFail("Missing settings.json file");
 }
 
 /* -------------------------------------------------------------------------- */
@@ -148,10 +162,45 @@ if (fs.existsSync(pluginDir)) {
 
 section("Security & SSL Check");
 
-if (fs.existsSync(path.join(rootDir, "ssl/cert.pem"))) {
-  logPass("SSL certificate found");
+function checkTlsFiles(tls) {
+  const certPath = path.resolve(rootDir, tls.cert);
+  const keyPath = path.resolve(rootDir, tls.key);
+  const missing = [certPath, keyPath].filter((f) => !fs.existsSync(f));
+  if (missing.length === 2 && tls.generateSelfSigned) {
+    return logWarn(`No certificate yet — a self-signed one will be generated at ${tls.cert} on first start`);
+  }
+  if (missing.length) return logFail(`TLS file not found: ${missing.map((f) => path.relative(rootDir, f)).join(", ")}`);
+
+  let cert;
+  try {
+    cert = new crypto.X509Certificate(fs.readFileSync(certPath));
+  } catch (err) {
+    return logFail(`${tls.cert} is not a PEM certificate (${err.message})`);
+  }
+  try {
+    if (!cert.checkPrivateKey(crypto.createPrivateKey(fs.readFileSync(keyPath)))) return logFail(`${tls.key} does not match ${tls.cert}`);
+  } catch (err) {
+    return logFail(`${tls.key} is not a readable private key (${err.message})`);
+  }
+  logPass(`Certificate and key match (${cert.subject.replace(/\n/g, ", ")})`);
+
+  const daysLeft = Math.floor((new Date(cert.validTo) - Date.now()) / 86400000);
+  if (daysLeft < 0) logFail(`Certificate expired on ${cert.validTo}`);
+  else if (daysLeft < 14) logWarn(`Certificate expires in ${daysLeft} day(s) (${cert.validTo})`);
+  else logPass(`Certificate valid until ${cert.validTo} (${daysLeft} days)`);
+
+  if (cert.issuer === cert.subject && settings.dashboard.publicMode) logWarn("Self-signed certificate in public mode — browsers will show a warning");
+  if ((fs.statSync(keyPath).mode & 0o077) !== 0 && process.platform !== "win32") logWarn(`${tls.key} is readable by other users (chmod 600)`);
+}
+
+if (settings.dashboard.https) {
+  checkTlsFiles(settings.dashboard.tls);
+  if (settings.dashboard.tls.redirectHttp) {
+    if (settings.dashboard.tls.redirectPort === settings.dashboard.port) logFail("dashboard.tls.redirectPort must differ from dashboard.port");
+    else logPass(`HTTP → HTTPS redirect on port ${settings.dashboard.tls.redirectPort}`);
+  }
 } else {
-  logWarn("SSL not configured — HTTP mode only");
+  logWarn("HTTPS disabled (dashboard.https) — HTTP mode only");
 }
 
 if (process.env.NODE_ENV !== "production") {
@@ -0,0 +1,94 @@
+// adminCommands.js (V6.8.5-COSMIC SYNC CORE+)
+// 🔐 Admin Command Channel — Role-Checked Bot Lifecycle Control from the Dashboard
+
+const logger = require("./logger");
+const { hasRole, isAuthorized } = require("./auth");
+
+/* -------------------------------------------------------------------------- */
+/* ⚙️ Actions                                                                 */
+/* -------------------------------------------------------------------------- */
+// Each action receives the targeted bots and returns a short human message for the ack.
+const ACTIONS = {
+  start(bots) {
+    for (const b of bots) {
+      b.reconnect.reset();
+      if (!b.online) b.start();
+    }
+    return "started";
+  },
+  stop(bots) {
+    for (const b of bots) b.stop("Stopped by operator");
+    return "stopped";
+  },
+  restart(bots) {
+    for (const b of bots) b.restart();
+    return "restarting";
+  },
+  "reconnect-now"(bots) {
+    // Skip any pending backoff timer (also revives gave_up / banned bots)
+    for (const b of bots) b.restart();
+    return "reconnecting now";
+  },
+  async "reload-settings"(bots, ctx) {
+    await ctx.reloadSettings();
+    return "settings reloaded";
+  },
+};
+
+// Minimum role per action; anything not listed needs operator
+const ACTION_ROLES = { "reload-settings": "admin" };
+
+/* -------------------------------------------------------------------------- */
+/* 🛰️ Socket Binding                                                          */
+/* -------------------------------------------------------------------------- */
+/**
+ * Listen for `adminCommand` ({ action, botId?, requestId? }) on a dashboard socket and reply with
+ * `adminAck` or `adminError` ({ requestId, action, code, message }). The signed-in user's role
+ * (socket.data.user, see auth.js) must cover the action; an `authToken` admin token still works
+ * for older clients. Every outcome goes to `audit(params, outcome, error?)` when given.
+ */
+function registerAdminCommands(socket, { fleet, getSettings, reloadSettings, audit = () => {} }) {
+  socket.on("adminCommand", async (payload) => {
+    // A null or primitive payload would make the destructuring below reject the handler
+    if (!payload || typeof payload !== "object") {
+      audit(null, "rejected", "invalid payload");
+      return socket.emit("adminError", { requestId: null, action: null, code: "invalid_payload", message: "Expected { action, botId?, requestId? }" });
+    }
+    const { action, authToken, botId, requestId } = payload;
+    const reply = { requestId, action, botId: botId || null };
+    const params = { action, botId: botId || null };
+
+    const user = socket.data.user;
+    const role = ACTION_ROLES[action] || "operator";
+    if (!hasRole(user, role) && !isAuthorized(authToken, getSettings())) {
+      logger.warn(`🚫 Rejected admin command "${action}" from ${user?.name || socket.id} (needs ${role})`);
+      audit(params, "denied", `needs ${role}`);
+      return socket.emit("adminError", { ...reply, code: "forbidden", message: `Requires the ${role} role` });
+    }
+
+    const handler = Object.hasOwn(ACTIONS, action) ? ACTIONS[action] : null;
+    if (!handler) {
+      audit(params, "rejected", "unknown action");
+      return socket.emit("adminError", { ...reply, code: "unknown_action", message: `Unknown action: ${action}` });
+    }
+
+    const bots = botId ? [fleet.get(botId)].filter(Boolean) : fleet.list();
+    if (botId && !bots.length) {
+      audit(params, "rejected", "unknown bot");
+      return socket.emit("adminError", { ...reply, code: "unknown_bot", message: `Unknown bot: ${botId}` });
+    }
+
+    try {
+      const message = await handler(bots, { reloadSettings });
+      logger.tag("#WEB", `🔐 Admin ${action} (${botId || "all bots"}) by ${user?.name || socket.id}`);
+      audit(params, "ok");
+      socket.emit("adminAck", { ...reply, ok: true, message: `${action}: ${message}` });
+    } catch (err) {
+      logger.error(`❌ Admin command "${action}" failed: ${err.message}`);
+      audit(params, "failed", err.message);
+      socket.emit("adminError", { ...reply, code: "failed", message: err.message });
+    }
+  });
+}
+
+module.exports = { registerAdminCommands, ACTIONS, ACTION_ROLES };
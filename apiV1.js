@@ -0,0 +1,323 @@
+// apiV1.js (V6.8.5-COSMIC SYNC CORE+)
+// 🛰️ REST API v1 — Role-Checked Bot Control + Inspection for Scripts, Self-Describing via OpenAPI
+
+const express = require("express");
+const { goals } = require("mineflayer-pathfinder");
+const logger = require("./logger");
+const pluginLoader = require("./pluginLoader");
+const { bus } = require("./eventBus");
+const { validate, formatErrors } = require("./schema");
+
+const API_VERSION = "1.0.0";
+
+/**
+ * Thrown by route handlers; becomes `{ error: code, message, details? }` with `status`.
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 Lookups                                                                 */
+/* -------------------------------------------------------------------------- */
+function findBot(fleet, id) {
+  const instance = fleet.get(id);
+  if (!instance) throw new ApiError(404, "unknown_bot", `Unknown bot: ${id}`);
+  return instance;
+}
+
+function onlineBot(fleet, id) {
+  const instance = findBot(fleet, id);
+  if (!instance.online) throw new ApiError(409, "bot_offline", `Bot ${id} is not connected (${instance.reconnect.state})`);
+  return instance.bot;
+}
+
+function findPlugin(name) {
+  const plugin = pluginLoader.listPlugins().find((p) => p.name === name);
+  if (!plugin) throw new ApiError(404, "unknown_plugin", `Unknown plugin: ${name}`);
+  return plugin;
+}
+
+const describeItem = (item) => item && { slot: item.slot, name: item.name, displayName: item.displayName, count: item.count };
+
+const pluginsChanged = () => bus.broadcast("plugins:update", pluginLoader.listPlugins());
+
+/* -------------------------------------------------------------------------- */
+/* 🗺️ Routes                                                                  */
+/* -------------------------------------------------------------------------- */
+const coordinate = { type: "number", minimum: -30000000, maximum: 30000000 };
+
+// { method, path (express syntax), summary, role?, body?: schema, status?: success code, handler(req, ctx) }
+// The OpenAPI document is generated from this table, so every route is described here.
+// Without `role`, reads need viewer and everything else operator.
+const ROUTES = [
+  {
+    method: "get",
+    path: "/bots",
+    summary: "Status of every bot in the fleet",
+    handler: (req, { fleet }) => fleet.snapshot(),
+  },
+  {
+    method: "get",
+    path: "/bots/:id",
+    summary: "Status of one bot",
+    handler: (req, { fleet }) => findBot(fleet, req.params.id).snapshot(),
+  },
+  {
+    method: "get",
+    path: "/bots/:id/players",
+    summary: "Players online on the bot's server",
+    handler: (req, { fleet }) =>
+      Object.values(onlineBot(fleet, req.params.id).players).map((p) => ({
+        username: p.username,
+        uuid: p.uuid,
+        ping: p.ping,
+        gamemode: p.gamemode,
+      })),
+  },
+  {
+    method: "get",
+    path: "/bots/:id/inventory",
+    summary: "Items in the bot's inventory and the held item",
+    handler: (req, { fleet }) => {
+      const bot = onlineBot(fleet, req.params.id);
+      return { items: bot.inventory.items().map(describeItem), heldItem: describeItem(bot.heldItem) };
+    },
+  },
+  {
+    method: "get",
+    path: "/bots/:id/position",
+    summary: "Position, facing and dimension of the bot",
+    handler: (req, { fleet }) => {
+      const bot = onlineBot(fleet, req.params.id);
+      const { x, y, z } = bot.entity.position;
+      return { x, y, z, yaw: bot.entity.yaw, pitch: bot.entity.pitch, dimension: bot.game?.dimension ?? null };
+    },
+  },
+  {
+    method: "post",
+    path: "/bots/:id/chat",
+    summary: "Send a chat message (use /command for slash commands)",
+    body: {
+      type: "object",
+      required: ["message"],
+      additionalProperties: false,
+      properties: { message: { type: "string", minLength: 1, maxLength: 256 } },
+    },
+    handler: (req, { fleet }) => {
+      if (req.body.message.startsWith("/")) throw new ApiError(400, "invalid_request", "Use /command for slash commands");
+      onlineBot(fleet, req.params.id).chat(req.body.message);
+      logger.tag("#API", `💬 Chat sent as ${req.params.id}`);
+      return { ok: true };
+    },
+  },
+  {
+    method: "post",
+    path: "/bots/:id/command",
+    summary: "Run a server command as the bot (leading slash optional)",
+    body: {
+      type: "object",
+      required: ["command"],
+      additionalProperties: false,
+      properties: { command: { type: "string", minLength: 1, maxLength: 256 } },
+    },
+    handler: (req, { fleet }) => {
+      const command = req.body.command.replace(/^\/+/, "");
+      onlineBot(fleet, req.params.id).chat(`/${command}`);
+      logger.tag("#API", `⌨️ Command /${command.split(" ")[0]} run as ${req.params.id}`);
+      return { ok: true };
+    },
+  },
+  {
+    method: "post",
+    path: "/bots/:id/goto",
+    summary: "Walk to coordinates with the pathfinder; returns once the goal is set",
+    status: 202,
+    body: {
+      type: "object",
+      required: ["x", "y", "z"],
+      additionalProperties: false,
+      properties: { x: coordinate, y: coordinate, z: coordinate, range: { type: "integer", default: 1, minimum: 0, maximum: 64 } },
+    },
+    handler: (req, { fleet }) => {
+      const bot = onlineBot(fleet, req.params.id);
+      if (!bot.pathfinder) throw new ApiError(409, "pathfinder_unavailable", "Pathfinder is not loaded on this bot");
+      const { x, y, z, range } = req.body;
+      bot.pathfinder.setGoal(new goals.GoalNear(x, y, z, range));
+      logger.tag("#API", `🧭 ${req.params.id} heading to ${x} ${y} ${z}`);
+      return { ok: true, goal: { x, y, z, range } };
+    },
+  },
+  {
+    method: "post",
+    path: "/bots/:id/reconnect",
+    summary: "Drop the connection and reconnect now, skipping any backoff",
+    status: 202,
+    handler: (req, { fleet }) => {
+      findBot(fleet, req.params.id).restart();
+      logger.tag("#API", `🔁 Reconnect requested for ${req.params.id}`);
+      return { ok: true };
+    },
+  },
+  {
+    method: "get",
+    path: "/plugins",
+    summary: "Every known plugin and its state",
+    handler: () => pluginLoader.listPlugins(),
+  },
+  {
+    method: "post",
+    path: "/plugins/:name/reload",
+    summary: "Reload a plugin (and its dependents) on every bot using it",
+    handler: async (req) => {
+      findPlugin(req.params.name);
+      const result = await pluginLoader.reloadPlugin(req.params.name);
+      pluginsChanged();
+      logger.tag("#API", `🔁 Plugin ${req.params.name} reloaded (${result.state})`);
+      return result;
+    },
+  },
+  {
+    method: "post",
+    path: "/plugins/:name/toggle",
+    summary: "Enable or disable a plugin (persisted to settings.json)",
+    body: {
+      type: "object",
+      required: ["enabled"],
+      additionalProperties: false,
+      properties: { enabled: { type: "boolean" } },
+    },
+    handler: async (req) => {
+      const { name } = req.params;
+      findPlugin(name);
+      if (req.body.enabled) await pluginLoader.enablePlugin(name);
+      else await pluginLoader.disablePlugin(name);
+      pluginsChanged();
+      logger.tag("#API", `${req.body.enabled ? "✅ Enabled" : "🚫 Disabled"} plugin ${name}`);
+      return findPlugin(name);
+    },
+  },
+];
+
+/* -------------------------------------------------------------------------- */
+/* 📜 OpenAPI                                                                 */
+/* -------------------------------------------------------------------------- */
+const routeRole = (route) => route.role || (route.method === "get" ? "viewer" : "operator");
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["error", "message"],
+  properties: {
+    error: { type: "string" },
+    message: { type: "string" },
+    details: { type: "array", items: { type: "object", properties: { path: { type: "string" }, message: { type: "string" } } } },
+  },
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+});
+
+function openApiDocument(version) {
+  const paths = {};
+  for (const route of ROUTES) {
+    const oasPath = route.path.replace(/:(\w+)/g, "{$1}");
+    const params = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" },
+    }));
+    paths[oasPath] ??= {};
+    paths[oasPath][route.method] = {
+      summary: route.summary,
+      "x-required-role": routeRole(route),
+      ...(params.length && { parameters: params }),
+      ...(route.body && {
+        requestBody: { required: true, content: { "application/json": { schema: route.body } } },
+      }),
+      responses: {
+        [route.status || 200]: { description: "OK", content: { "application/json": { schema: { type: ["object", "array"] } } } },
+        ...(route.body && { 400: errorResponse("Invalid request body") }),
+        401: errorResponse("Missing or invalid bearer token"),
+        403: errorResponse(`Requires the ${routeRole(route)} role`),
+        ...(params.length && { 404: errorResponse("Unknown bot or plugin") }),
+        ...(route.path.startsWith("/bots/:id/") && { 409: errorResponse("Bot offline or action unavailable") }),
+      },
+    };
+  }
+  return {
+    openapi: "3.1.0",
+    info: { title: "Cosmic Dashboard API", version: API_VERSION, description: `Cosmic Dashboard ${version}` },
+    servers: [{ url: "/api/v1" }],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "Session token from POST /api/auth/login (or its cookie), or ADMIN_SECRET / security.authToken for admin",
+        },
+      },
+      schemas: { Error: ERROR_SCHEMA },
+    },
+    paths,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🚏 Router                                                                  */
+/* -------------------------------------------------------------------------- */
+/**
+ * Mount with `app.use("/api/v1", createApiV1({ fleet, requireRole, version }))`, where
+ * `requireRole(role)` returns express middleware admitting that role and above.
+ * Everything except /openapi.json needs at least viewer.
+ * @returns {import("express").Router}
+ */
+function createApiV1({ fleet, requireRole, version }) {
+  const router = express.Router();
+  const document = openApiDocument(version);
+
+  router.get("/openapi.json", (req, res) => res.json(document));
+  router.use(requireRole("viewer"), express.json({ limit: "16kb" }));
+
+  for (const route of ROUTES) {
+    router[route.method](route.path, requireRole(routeRole(route)), async (req, res, next) => {
+      try {
+        if (route.body) {
+          const { value, errors } = validate(route.body, req.body ?? {});
+          if (errors.length) throw new ApiError(400, "invalid_request", formatErrors(errors), errors);
+          req.body = value;
+        }
+        const result = await route.handler(req, { fleet });
+        res.status(route.status || 200).json(result);
+      } catch (err) {
+        next(err);
+      }
+    });
+  }
+
+  router.use((req, res) => res.status(404).json({ error: "not_found", message: `No route for ${req.method} /api/v1${req.path}` }));
+
+  // Four arguments: express only treats it as an error handler by arity
+  router.use((err, req, res, next) => {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: err.code, message: err.message, ...(err.details && { details: err.details }) });
+    }
+    if (err.type === "entity.parse.failed" || err.type === "entity.too.large") {
+      return res.status(err.status).json({ error: "invalid_request", message: err.message });
+    }
+    logger.error(`❌ API ${req.method} ${req.originalUrl} failed: ${err.message}`);
+    res.status(500).json({ error: "failed", message: err.message });
+  });
+
+  return router;
+}
+
+module.exports = { createApiV1, ApiError, ROUTES, API_VERSION };
@@ -0,0 +1,234 @@
+// auditLog.js (V6.8.5-COSMIC SYNC CORE+)
+// 🧾 Audit Trail — Append-Only, Hash-Chained JSONL of Operator Actions: Who, From Where, What + Outcome
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const readline = require("readline");
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+const { SECRET_KEY } = require("./config");
+const { normalizeIp } = require("./securityGuards");
+
+const GENESIS = "0".repeat(64); // prevHash of the first entry
+const MAX_PARAMS = 2048; // characters of JSON kept per entry
+const TIP_BYTES = 64 * 1024;
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const LOGIN_ROUTE = "/api/auth/login";
+const CSV_COLUMNS = ["seq", "ts", "actor", "role", "ip", "via", "socketId", "action", "outcome", "error", "params", "hash"];
+
+/* -------------------------------------------------------------------------- */
+/* 🧼 Helpers                                                                 */
+/* -------------------------------------------------------------------------- */
+/** Mask credential-looking fields (config.SECRET_KEY) at any depth. */
+function sanitize(value) {
+  if (Array.isArray(value)) return value.map(sanitize);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [key, SECRET_KEY.test(key) && v !== "" ? "••••••" : sanitize(v)])
+  );
+}
+
+function compactParams(params) {
+  if (params === undefined || params === null) return null;
+  const clean = sanitize(params);
+  const json = JSON.stringify(clean);
+  return json.length > MAX_PARAMS ? { truncated: true, preview: json.slice(0, MAX_PARAMS) } : clean;
+}
+
+// The hash covers every field except itself, in the order they were written
+const hashOf = (entry) => {
+  const { hash, ...body } = entry;
+  return crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+};
+
+/** 2xx/3xx ok · 401/403 denied · other 4xx rejected · 5xx failed */
+const outcomeForStatus = (status) => (status < 400 ? "ok" : status === 401 || status === 403 ? "denied" : status < 500 ? "rejected" : "failed");
+
+function csvCell(value) {
+  let text = value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`; // keep spreadsheets from running it as a formula
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧾 Audit Log                                                               */
+/* -------------------------------------------------------------------------- */
+/**
+ * One JSON object per line:
+ *   { seq, ts, actor, role, ip, via: "socket" | "http", socketId, action, params, outcome, error?, prevHash, hash }
+ * `hash` is the SHA-256 of the entry without it, and `prevHash` the hash of the line before,
+ * so editing, removing or reordering a line breaks the chain from that point (see verify()).
+ * Emits "entry" for each record.
+ */
+class AuditLog extends EventEmitter {
+  constructor({ file }) {
+    super();
+    this.file = path.resolve(__dirname, file);
+    this.writes = Promise.resolve();
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tip = this._readTip();
+    this.seq = tip.seq;
+    this.lastHash = tip.hash;
+  }
+
+  /** seq + hash of the last line, so a restart continues the chain */
+  _readTip() {
+    let fd;
+    try {
+      fd = fs.openSync(this.file, "r");
+    } catch {
+      return { seq: 0, hash: GENESIS };
+    }
+    try {
+      const { size } = fs.fstatSync(fd);
+      const length = Math.min(size, TIP_BYTES);
+      const buf = Buffer.alloc(length);
+      fs.readSync(fd, buf, 0, length, size - length);
+      const last = buf.toString("utf8").trimEnd().split("\n").pop();
+      if (!last) return { seq: 0, hash: GENESIS };
+      const { seq, hash } = JSON.parse(last);
+      return { seq, hash };
+    } catch (err) {
+      logger.error(`❌ Audit log tail is unreadable (${err.message}) — new entries start a fresh chain; run verify`);
+      return { seq: 0, hash: GENESIS };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Append one entry. Chained immediately, written in order in the background.
+   * @param {{ actor, role?, ip?, via, socketId?, action, params?, outcome, error? }} event
+   */
+  record({ actor, role = null, ip = null, via, socketId = null, action, params, outcome, error }) {
+    const entry = {
+      seq: ++this.seq,
+      ts: new Date().toISOString(),
+      actor: actor || "anonymous",
+      role,
+      ip: ip && normalizeIp(ip),
+      via,
+      socketId,
+      action,
+      params: compactParams(params),
+      outcome,
+      ...(error && { error: String(error) }),
+      prevHash: this.lastHash,
+    };
+    entry.hash = hashOf(entry);
+    this.lastHash = entry.hash;
+
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writes = this.writes
+      .then(() => fs.promises.appendFile(this.file, line, { mode: 0o600 }))
+      .catch((err) => logger.error(`❌ Audit write failed (#${entry.seq} ${action}): ${err.message}`));
+    this.emit("entry", entry);
+    return entry;
+  }
+
+  /** Resolves once every recorded entry is on disk. */
+  flush() {
+    return this.writes;
+  }
+
+  /**
+   * Express middleware: one "http" entry per state-changing request, written when the
+   * response finishes so the status code decides the outcome. Mount before the routes.
+   */
+  http() {
+    return (req, res, next) => {
+      if (SAFE_METHODS.has(req.method)) return next();
+      res.on("finish", () => {
+        const route = req.originalUrl.split("?")[0];
+        // req.user is set by requireRole. Only sign-in attempts take a name from the body (the one
+        // tried); any other unauthenticated request is "anonymous", never a name the caller chose.
+        const signIn = req.method === "POST" && route === LOGIN_ROUTE;
+        const tried = signIn ? req.body?.username || (req.body?.token ? "admin-token" : null) : null;
+        this.record({
+          actor: req.user?.name || tried,
+          role: req.user?.role,
+          ip: req.ip,
+          via: "http",
+          action: `${req.method} ${route}`,
+          params: req.body && Object.keys(req.body).length ? req.body : null,
+          outcome: outcomeForStatus(res.statusCode),
+          error: res.statusCode >= 400 ? `HTTP ${res.statusCode}` : undefined,
+        });
+      });
+      next();
+    };
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🔎 Reading                                                             */
+  /* ---------------------------------------------------------------------- */
+  async *_lines() {
+    await this.flush();
+    try {
+      const input = fs.createReadStream(this.file, "utf8");
+      for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) if (line) yield line;
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  /**
+   * Newest first. `actor` and `action` match case-insensitive substrings; `before` is a seq
+   * for the next page.
+   * @param {{ actor?, action?, outcome?, via?, from?: number, to?: number, before?: number, limit?: number }} filter
+   * @returns {Promise<{ entries: object[], hasMore: boolean }>}
+   */
+  async query({ actor, action, outcome, via, from, to, before, limit = 100 } = {}) {
+    const contains = (value, part) => !part || String(value).toLowerCase().includes(part.toLowerCase());
+    const kept = [];
+    let matched = 0;
+    for await (const line of this._lines()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // verify() reports damaged lines
+      }
+      if (before !== undefined && entry.seq >= before) continue;
+      if (outcome && entry.outcome !== outcome) continue;
+      if (via && entry.via !== via) continue;
+      if (!contains(entry.actor, actor) || !contains(entry.action, action)) continue;
+      const at = Date.parse(entry.ts);
+      if ((from !== undefined && at < from) || (to !== undefined && at > to)) continue;
+      matched++;
+      kept.push(entry);
+      if (kept.length > limit) kept.shift();
+    }
+    return { entries: kept.reverse(), hasMore: matched > kept.length };
+  }
+
+  /**
+   * Walk the chain from the first line.
+   * @returns {Promise<{ ok: boolean, entries: number, brokenAt?: number, reason?: string }>} brokenAt is a 1-based line number
+   */
+  async verify() {
+    let prevHash = GENESIS;
+    let lineNo = 0;
+    for await (const line of this._lines()) {
+      lineNo++;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        return { ok: false, entries: lineNo - 1, brokenAt: lineNo, reason: "not valid JSON" };
+      }
+      if (entry.prevHash !== prevHash) return { ok: false, entries: lineNo - 1, brokenAt: lineNo, reason: "prevHash does not match the line before" };
+      if (hashOf(entry) !== entry.hash) return { ok: false, entries: lineNo - 1, brokenAt: lineNo, reason: "hash does not match the contents" };
+      prevHash = entry.hash;
+    }
+    return { ok: true, entries: lineNo };
+  }
+}
+
+/** Entries → CSV text with a header row. */
+function toCsv(entries) {
+  return [CSV_COLUMNS.join(","), ...entries.map((e) => CSV_COLUMNS.map((c) => csvCell(e[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+module.exports = { AuditLog, toCsv };
@@ -0,0 +1,383 @@
+// auth.js (V6.8.5-COSMIC SYNC CORE+)
+// 🔑 Dashboard Auth — Scrypt User Accounts, Signed Session Tokens + Viewer / Operator / Admin Roles
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const ROLES = ["viewer", "operator", "admin"]; // each role can do everything the ones before it can
+const DEFAULT_SECRET = "cosmic-secure-default"; // the old hard-coded fallback — never accepted in public mode
+const SESSION_COOKIE = "cosmic_session";
+const SESSION_KEY_FILE = path.join(__dirname, "data", "session.key");
+const REVOKED_FILE = path.join(__dirname, "data", "revoked-sessions.json");
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+/* -------------------------------------------------------------------------- */
+/* 🔑 Admin Tokens                                                            */
+/* -------------------------------------------------------------------------- */
+function configuredTokens(settings = {}) {
+  return [process.env.ADMIN_SECRET, settings.security?.authToken].filter(
+    (t) => typeof t === "string" && t.length > 0
+  );
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * A token is valid when it matches ADMIN_SECRET or security.authToken. Scripts use it as a
+ * bearer token with admin rights; with neither configured it is refused outright.
+ */
+function isAuthorized(token, settings) {
+  const tokens = configuredTokens(settings);
+  if (!tokens.length || !token) return false;
+  return tokens.some((expected) => safeEqual(token, expected));
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧂 Passwords                                                               */
+/* -------------------------------------------------------------------------- */
+const scrypt = (password, salt, { N, r, p, keylen }) =>
+  new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, keylen, { N, r, p }, (err, key) => (err ? reject(err) : resolve(key)))
+  );
+
+/** "scrypt$N$r$p$salt$hash" (base64 salt and hash) */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+// Same cost parameters as a real hash; an all-zero key no password derives to
+const DUMMY_HASH = ["scrypt", SCRYPT.N, SCRYPT.r, SCRYPT.p, Buffer.alloc(16), Buffer.alloc(SCRYPT.keylen)]
+  .map((part) => (Buffer.isBuffer(part) ? part.toString("base64") : part))
+  .join("$");
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split("$");
+  if (scheme !== "scrypt" || !hash) return false;
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(password, Buffer.from(salt, "base64"), { N: +N, r: +r, p: +p, keylen: expected.length });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 👥 User Accounts                                                           */
+/* -------------------------------------------------------------------------- */
+const usersFile = (settings) => path.resolve(__dirname, settings.security.usersFile);
+
+let usersCache = { file: null, mtimeMs: 0, users: [] };
+
+/**
+ * `{ version: 1, users: [{ username, role, passwordHash, sessionVersion?, createdAt, updatedAt }] }`.
+ * Bumping `sessionVersion` signs the account out everywhere.
+ * Re-read when the file changes, so CLI edits apply without a restart.
+ * @returns {object[]}
+ */
+function readUsers(settings) {
+  const file = usersFile(settings);
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    return [];
+  }
+  if (usersCache.file === file && usersCache.mtimeMs === stat.mtimeMs) return usersCache.users;
+  try {
+    const users = JSON.parse(fs.readFileSync(file, "utf8")).users || [];
+    usersCache = { file, mtimeMs: stat.mtimeMs, users };
+    return users;
+  } catch (err) {
+    logger.error(`❌ Cannot read ${file}: ${err.message}`);
+    return [];
+  }
+}
+
+function writeUsers(settings, users) {
+  const file = usersFile(settings);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ version: 1, users }, null, 2) + "\n", { mode: 0o600 });
+  usersCache = { file: null, mtimeMs: 0, users: [] }; // mtime may not move within the same millisecond
+}
+
+const findUser = (settings, username) => readUsers(settings).find((u) => u.username === username);
+
+/**
+ * Add or update an account. Omitted fields keep their stored value; a new password ends the
+ * account's existing sessions.
+ */
+async function saveUser(settings, { username, role, password }) {
+  if (!/^[\w.-]{1,32}$/.test(username || "")) throw new Error("Username must be 1-32 letters, digits, '.', '_' or '-'");
+  if (role !== undefined && !ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(", ")}`);
+  const users = [...readUsers(settings)];
+  const existing = users.find((u) => u.username === username);
+  if (!existing && (!role || !password)) throw new Error("New users need a role and a password");
+  if (password !== undefined && String(password).length < 8) throw new Error("Password must be at least 8 characters");
+
+  const now = new Date().toISOString();
+  const user = { ...(existing || { username, createdAt: now }), updatedAt: now };
+  if (role) user.role = role;
+  if (password !== undefined) {
+    user.passwordHash = await hashPassword(String(password));
+    if (existing) user.sessionVersion = (existing.sessionVersion || 0) + 1;
+  }
+  writeUsers(settings, existing ? users.map((u) => (u === existing ? user : u)) : [...users, user]);
+  return { username: user.username, role: user.role };
+}
+
+function removeUser(settings, username) {
+  const users = readUsers(settings);
+  if (!users.some((u) => u.username === username)) return false;
+  writeUsers(settings, users.filter((u) => u.username !== username));
+  return true;
+}
+
+/** Sign an account out of every session it has. */
+function revokeUserSessions(settings, username) {
+  const users = readUsers(settings);
+  if (!users.some((u) => u.username === username)) return false;
+  writeUsers(
+    settings,
+    users.map((u) => (u.username === username ? { ...u, sessionVersion: (u.sessionVersion || 0) + 1 } : u))
+  );
+  return true;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🎫 Session Tokens (JWT, HS256)                                             */
+/* -------------------------------------------------------------------------- */
+let generatedKey = null;
+
+/**
+ * security.sessionSecret, else ADMIN_SECRET, else a random key kept in data/session.key.
+ */
+function signingKey(settings) {
+  const configured = settings.security.sessionSecret || process.env.ADMIN_SECRET;
+  if (configured) return configured;
+  if (generatedKey) return generatedKey;
+  try {
+    generatedKey = fs.readFileSync(SESSION_KEY_FILE, "utf8").trim();
+  } catch {
+    generatedKey = crypto.randomBytes(32).toString("base64url");
+    fs.mkdirSync(path.dirname(SESSION_KEY_FILE), { recursive: true });
+    fs.writeFileSync(SESSION_KEY_FILE, generatedKey + "\n", { mode: 0o600 });
+    logger.info("🔑 Generated a session signing key (data/session.key)");
+  }
+  return generatedKey;
+}
+
+const b64json = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+const sign = (data, key) => crypto.createHmac("sha256", key).update(data).digest("base64url");
+
+// `ver` claim: the account's sessionVersion, or for admin-token sessions a fingerprint of the
+// configured tokens — rotating ADMIN_SECRET / security.authToken ends those sessions.
+const tokenVersion = (settings) =>
+  crypto.createHash("sha256").update(configuredTokens(settings).join("\n")).digest("base64url").slice(0, 16);
+const sessionVersion = (settings, user) =>
+  user.via === "token" ? tokenVersion(settings) : findUser(settings, user.name)?.sessionVersion || 0;
+
+/**
+ * @param {{ name: string, role: string, via: "password" | "token" }} user
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function issueSession(settings, user) {
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + settings.security.sessionTTLHours * 3600;
+  const claims = {
+    sub: user.name,
+    role: user.role,
+    via: user.via,
+    sid: crypto.randomBytes(12).toString("base64url"),
+    ver: sessionVersion(settings, user),
+    iat,
+    exp,
+  };
+  const body = `${b64json({ alg: "HS256", typ: "JWT" })}.${b64json(claims)}`;
+  return { token: `${body}.${sign(body, signingKey(settings))}`, expiresAt: exp * 1000 };
+}
+
+/** Signature, algorithm and expiry only. @returns {object | null} the claims */
+function readClaims(settings, token) {
+  const [header, payload, signature] = String(token || "").split(".");
+  if (!signature || !safeEqual(signature, sign(`${header}.${payload}`, signingKey(settings)))) return null;
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url")).alg !== "HS256") return null;
+    claims = JSON.parse(Buffer.from(payload, "base64url"));
+  } catch {
+    return null;
+  }
+  return claims.exp * 1000 > Date.now() ? claims : null;
+}
+
+/**
+ * Check signature, expiry and revocation, then re-read the account so deleted users, role
+ * changes and password changes take effect on their next request.
+ * @returns {{ name, role, via, sid, expiresAt } | null}
+ */
+function verifySession(settings, token) {
+  const claims = readClaims(settings, token);
+  if (!claims || revokedSessions().has(claims.sid)) return null;
+
+  const session = { name: claims.sub, via: claims.via, sid: claims.sid, expiresAt: claims.exp * 1000 };
+  if (claims.via === "token") {
+    return configuredTokens(settings).length && claims.ver === tokenVersion(settings) ? { ...session, role: "admin" } : null;
+  }
+  const user = findUser(settings, claims.sub);
+  return user && claims.ver === (user.sessionVersion || 0) ? { ...session, role: user.role } : null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🚪 Revocation                                                              */
+/* -------------------------------------------------------------------------- */
+let revoked = null; // sid → expiry (ms), mirrored in data/revoked-sessions.json
+
+function revokedSessions() {
+  if (!revoked) {
+    try {
+      revoked = new Map(Object.entries(JSON.parse(fs.readFileSync(REVOKED_FILE, "utf8"))));
+    } catch {
+      revoked = new Map();
+    }
+  }
+  return revoked;
+}
+
+/**
+ * End one session (sign-out). Entries are dropped once the token would have expired anyway.
+ * @returns {boolean} false when `token` is not a valid session
+ */
+function revokeSession(settings, token) {
+  const claims = readClaims(settings, token);
+  if (!claims?.sid) return false;
+  const list = revokedSessions();
+  const now = Date.now();
+  for (const [sid, exp] of list) if (exp <= now) list.delete(sid);
+  list.set(claims.sid, claims.exp * 1000);
+  fs.mkdirSync(path.dirname(REVOKED_FILE), { recursive: true });
+  fs.writeFileSync(REVOKED_FILE, JSON.stringify(Object.fromEntries(list)) + "\n", { mode: 0o600 });
+  return true;
+}
+
+/**
+ * Username + password, or an admin token (logs in as "admin-token" with the admin role).
+ * @returns {Promise<{ name, role, via } | null>}
+ */
+async function login(settings, { username, password, token }) {
+  if (token) return isAuthorized(token, settings) ? { name: "admin-token", role: "admin", via: "token" } : null;
+  if (!password) return null;
+  const user = findUser(settings, username);
+  // Unknown names pay for one scrypt as well, so response time does not reveal which accounts exist
+  const ok = await verifyPassword(String(password), user?.passwordHash || DUMMY_HASH);
+  return user && ok ? { name: user.username, role: user.role, via: "password" } : null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🛂 Request + Socket Identity                                               */
+/* -------------------------------------------------------------------------- */
+const hasRole = (user, role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+/** The cookie's decoded value; null when it is missing or not valid percent-encoding. */
+function readCookie(header, name) {
+  for (const part of String(header || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join("="));
+    } catch {
+      return null; // a malformed escape (e.g. "%E0%A4%A") must not throw inside handshake middleware
+    }
+  }
+  return null;
+}
+
+/**
+ * Who is calling: a bearer admin token or session token, the session cookie, or — when
+ * security.anonymousRole is "viewer" — an anonymous viewer. null when none apply.
+ */
+function identify(settings, { authorization, cookie, token }) {
+  const bearer = token || authorization?.replace(/^Bearer\s+/i, "");
+  if (bearer && isAuthorized(bearer, settings)) return { name: "admin-token", role: "admin", via: "token" };
+  const session = verifySession(settings, bearer || readCookie(cookie, SESSION_COOKIE));
+  if (session) return session;
+  return settings.security.anonymousRole === "viewer" ? { name: "anonymous", role: "viewer", via: "anonymous" } : null;
+}
+
+/**
+ * Express middleware: 401 without a usable identity, 403 below `role`. Sets req.user.
+ */
+function requireRole(role, getSettings) {
+  return (req, res, next) => {
+    const user = identify(getSettings(), {
+      authorization: req.get("authorization"),
+      cookie: req.get("cookie"),
+      token: req.get("x-admin-token"),
+    });
+    if (!user) {
+      logger.warn(`🚫 Rejected ${req.method} ${req.originalUrl} from ${req.ip} (not signed in)`);
+      return res.status(401).json({ error: "unauthorized", message: "Sign in or send a bearer token" });
+    }
+    if (!hasRole(user, role)) {
+      logger.warn(`🚫 Rejected ${req.method} ${req.originalUrl} from ${user.name} (${user.role}, needs ${role})`);
+      return res.status(403).json({ error: "forbidden", message: `Requires the ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+/**
+ * Socket.IO handshake middleware: the session cookie or `auth.token` decides socket.data.user.
+ */
+function socketAuth(getSettings) {
+  return (socket, next) => {
+    const { headers, auth } = socket.handshake;
+    const user = identify(getSettings(), { cookie: headers.cookie, token: auth?.token });
+    if (!user) {
+      logger.warn(`🚫 Rejected dashboard socket from ${socket.handshake.address} (not signed in)`);
+      return next(new Error("unauthorized"));
+    }
+    socket.data.user = user;
+    next();
+  };
+}
+
+/**
+ * Refuse to serve a public dashboard protected by the well-known default secret.
+ * @throws {Error}
+ */
+function assertSafeToServe(settings) {
+  if (!settings.dashboard.publicMode) return;
+  const secrets = [settings.security.sessionSecret, ...configuredTokens(settings)];
+  if (secrets.includes(DEFAULT_SECRET)) {
+    throw new Error(`PUBLIC_MODE is on but a secret is still "${DEFAULT_SECRET}" — set ADMIN_SECRET / security.sessionSecret to something private`);
+  }
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  isAuthorized,
+  safeEqual,
+  hashPassword,
+  verifyPassword,
+  readUsers,
+  saveUser,
+  removeUser,
+  revokeUserSessions,
+  issueSession,
+  verifySession,
+  revokeSession,
+  login,
+  hasRole,
+  readCookie,
+  identify,
+  requireRole,
+  socketAuth,
+  assertSafeToServe,
+};
@@ -0,0 +1,347 @@
+// botFleet.js (V6.8.5-COSMIC SYNC CORE+)
+// 🤖 Multi-Bot Fleet Manager — Per-Profile Lifecycle, Reconnect State, Plugins + Telemetry Channels
+
+const mineflayer = require("mineflayer");
+const { pathfinder, Movements } = require("mineflayer-pathfinder");
+const minecraftData = require("minecraft-data");
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+const { bus } = require("./eventBus");
+const { loadPlugins, detachBot } = require("./pluginLoader");
+const { ReconnectManager } = require("./reconnectManager");
+
+const DEFAULT_BOT_ID = "main";
+const SETTINGS_RECONNECT_DELAY = 5000;
+
+/* -------------------------------------------------------------------------- */
+/* 📋 Profile Resolution                                                      */
+/* -------------------------------------------------------------------------- */
+/**
+ * Build the list of bot profiles from settings.json.
+ * `bots: [{ id, account, server, plugins, reconnect, enabled }]` — each profile's server/reconnect
+ * blocks are merged over the global ones. Without `bots`, the legacy single-bot layout
+ * (`botAccount` + `server`) becomes one profile with id "main".
+ */
+function resolveProfiles(settings = {}) {
+  const baseAccount = settings.botAccount || {};
+  const baseServer = settings.server || {};
+  const list = Array.isArray(settings.bots) && settings.bots.length
+    ? settings.bots
+    : [{ id: DEFAULT_BOT_ID, account: baseAccount }];
+
+  const seen = new Set();
+  const profiles = [];
+  list.forEach((raw, i) => {
+    const id = String(raw.id || raw.account?.username || `bot${i + 1}`);
+    if (seen.has(id)) {
+      logger.warn(`⚠️ Duplicate bot id "${id}" in settings.bots — skipped.`);
+      return;
+    }
+    seen.add(id);
+    profiles.push({
+      id,
+      enabled: raw.enabled !== false,
+      account: { ...(raw.account || {}) },
+      server: { ...baseServer, ...(raw.server || {}) },
+      reconnect: raw.reconnect || {},
+      plugins: Array.isArray(raw.plugins) ? raw.plugins : null,
+    });
+  });
+  return profiles;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📡 Bot-Scoped Telemetry Channel                                            */
+/* -------------------------------------------------------------------------- */
+/**
+ * Socket.IO-shaped facade handed to a bot's plugins: every emit goes out on the event bus
+ * tagged with the bot id, so dashboard listeners can tell fleet members apart.
+ */
+function createChannel(botId) {
+  const tag = (payload) =>
+    payload && typeof payload === "object" && !Array.isArray(payload)
+      ? { botId, ...payload }
+      : { botId, data: payload };
+
+  return {
+    botId,
+    emit(event, payload) {
+      bus.broadcast(event, tag(payload));
+    },
+    on(event, handler) {
+      bus.on(event, handler);
+    },
+    off(event, handler) {
+      bus.off(event, handler);
+    },
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🤖 Bot Instance                                                            */
+/* -------------------------------------------------------------------------- */
+class BotInstance extends EventEmitter {
+  constructor(profile, { getSettings }) {
+    super();
+    this.id = profile.id;
+    this.profile = profile;
+    this.getSettings = getSettings;
+    this.channel = createChannel(this.id);
+    this.bot = null;
+    this.uptimeStart = null;
+    this.heartbeat = null;
+    this.pendingReconnect = null;
+    this.log = logger.child(`BOT:${this.id}`);
+
+    // ♻️ Each bot keeps its own reconnect state; profile.reconnect overrides the global policy
+    this.reconnect = new ReconnectManager(
+      () => {
+        const settings = this.getSettings();
+        return { ...settings, reconnect: { ...settings.reconnect, ...this.profile.reconnect } };
+      },
+      () => {
+        this.start();
+        this.emit("systemEvent", { type: "restart", message: `Bot ${this.id} restarted automatically` });
+      }
+    );
+    this.reconnect.on("status", (status) => this.emit("status", { botId: this.id, ...status }));
+  }
+
+  get online() {
+    return Boolean(this.bot?.player);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🚀 Lifecycle                                                           */
+  /* ---------------------------------------------------------------------- */
+  start() {
+    if (this.bot) this._teardown("Restarting");
+
+    const { username, password, type } = this.profile.account;
+    const { ip, port, version } = this.profile.server;
+
+    logger.header(`🚀 Launching Cosmic Bot [${this.id}]...`, "cyan");
+    const bot = mineflayer.createBot({
+      host: ip || "localhost",
+      port: port || 25565,
+      username: username || "CosmicBot",
+      password,
+      auth: type || "microsoft",
+      version,
+    });
+    this.bot = bot;
+
+    // 🧭 Pathfinder Setup
+    bot.loadPlugin(pathfinder);
+    bot.once("spawn", () => bot.pathfinder.setMovements(new Movements(bot, minecraftData(bot.version))));
+
+    // 📡 Core Events
+    bot.once("spawn", async () => {
+      this.uptimeStart = Date.now();
+      this.log.success(`🌍 Bot spawned on ${ip}:${port}`);
+      this.reconnect.markOnline({ username: bot.username, ip, version: bot.version });
+      this._startHeartbeat();
+      await loadPlugins(bot, this.channel, { botId: this.id, only: this.profile.plugins });
+      this.emit("spawn", this);
+    });
+
+    bot.on("end", () => this._handleEnd("disconnected"));
+    bot.on("kicked", (reason) => this._handleEnd("kicked", reason));
+    bot.on("error", (err) => this._handleEnd("error", err.message));
+    return this;
+  }
+
+  stop(reason = "Stopped by operator") {
+    this._cancelScheduledReconnect();
+    this.reconnect.stop();
+    if (this.bot) this._teardown(reason);
+  }
+
+  restart() {
+    this._cancelScheduledReconnect();
+    this.reconnect.reset();
+    return this.start();
+  }
+
+  /**
+   * Reconnect after `delay` so the new connection settings take effect. Repeated edits
+   * within the delay collapse into a single reconnect.
+   */
+  scheduleReconnect(reason, delay = SETTINGS_RECONNECT_DELAY) {
+    this._cancelScheduledReconnect();
+    this.log.info(`🔁 Reconnecting in ${delay / 1000}s: ${reason}`);
+    this.emit("systemEvent", { type: "reconnectScheduled", botId: this.id, message: `Bot ${this.id} reconnects in ${delay / 1000}s: ${reason}` });
+    this.pendingReconnect = setTimeout(() => {
+      this.pendingReconnect = null;
+      this.restart();
+    }, delay);
+  }
+
+  _cancelScheduledReconnect() {
+    clearTimeout(this.pendingReconnect);
+    this.pendingReconnect = null;
+  }
+
+  _teardown(reason) {
+    this.log.warn("⚠️ Destroying existing bot instance...");
+    this._stopHeartbeat();
+    detachBot(this.id);
+    this.bot.removeAllListeners();
+    this.bot.quit(reason);
+    this.bot = null;
+    this.uptimeStart = null;
+  }
+
+  _handleEnd(reason, details) {
+    this.log.warn(`⚠️ Bot ended: ${reason} ${details || ""}`);
+    this._stopHeartbeat();
+    detachBot(this.id);
+    this.uptimeStart = null;
+    this.reconnect.handleDisconnect(reason, details);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🧠 Heartbeat Telemetry                                                 */
+  /* ---------------------------------------------------------------------- */
+  _startHeartbeat() {
+    this._stopHeartbeat();
+    this.heartbeat = setInterval(() => {
+      if (!this.online) return;
+      this.emit("heartbeat", this.snapshot());
+    }, this.getSettings().telemetry?.emitInterval || 2000);
+  }
+
+  /**
+   * Pick up a new telemetry.emitInterval without reconnecting.
+   */
+  refreshHeartbeat() {
+    if (this.heartbeat) this._startHeartbeat();
+  }
+
+  _stopHeartbeat() {
+    if (this.heartbeat) clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  snapshot() {
+    const bot = this.bot;
+    return {
+      botId: this.id,
+      status: this.online ? "online" : this.reconnect.state,
+      uptime: this.uptimeStart ? Date.now() - this.uptimeStart : 0,
+      ping: bot?.player?.ping ?? 0,
+      memory: +(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2),
+      position: bot?.entity?.position,
+      username: bot?.username || this.profile.account.username || "N/A",
+      server: `${this.profile.server.ip}:${this.profile.server.port}`,
+      reconnect: { state: this.reconnect.state, attempt: this.reconnect.attempt },
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🛰️ Fleet                                                                   */
+/* -------------------------------------------------------------------------- */
+class BotFleet extends EventEmitter {
+  constructor({ getSettings }) {
+    super();
+    this.getSettings = getSettings;
+    this.bots = new Map();
+  }
+
+  /**
+   * Sync fleet membership with the current settings: new profiles are created,
+   * removed profiles are stopped, existing ones pick up their new profile on next start.
+   */
+  load() {
+    const profiles = resolveProfiles(this.getSettings());
+    const ids = new Set(profiles.map((p) => p.id));
+
+    for (const [id, instance] of this.bots) {
+      if (!ids.has(id)) {
+        instance.stop("Removed from fleet");
+        instance.removeAllListeners();
+        this.bots.delete(id);
+      }
+    }
+
+    for (const profile of profiles) {
+      const existing = this.bots.get(profile.id);
+      if (existing) {
+        existing.profile = profile;
+        continue;
+      }
+      const instance = new BotInstance(profile, { getSettings: this.getSettings });
+      for (const event of ["status", "heartbeat", "spawn", "systemEvent"]) {
+        instance.on(event, (payload) => this.emit(event, payload));
+      }
+      this.bots.set(profile.id, instance);
+    }
+
+    logger.info(`🤖 Fleet loaded: ${profiles.map((p) => p.id).join(", ") || "empty"}`);
+    return this;
+  }
+
+  get(id = DEFAULT_BOT_ID) {
+    return this.bots.get(id) || null;
+  }
+
+  /**
+   * Resolve a bot by id, falling back to the only bot when the fleet has one member.
+   */
+  resolve(id) {
+    if (id) return this.get(id);
+    return this.bots.size === 1 ? [...this.bots.values()][0] : null;
+  }
+
+  list() {
+    return [...this.bots.values()];
+  }
+
+  startAll() {
+    for (const instance of this.bots.values()) {
+      if (instance.profile.enabled) instance.start();
+    }
+  }
+
+  stopAll(reason) {
+    for (const instance of this.bots.values()) instance.stop(reason);
+  }
+
+  /**
+   * Follow a settings change (see settingsStore.js): the fleet is re-synced, bots whose
+   * account or server changed reconnect shortly, telemetry changes retime the heartbeats.
+   * @returns {string[]} ids of bots scheduled to reconnect
+   */
+  applySettings(changes) {
+    const connection = (profile) => JSON.stringify({ account: profile.account, server: profile.server });
+    const before = new Map([...this.bots].map(([id, instance]) => [id, { ...instance.profile }]));
+    this.load();
+
+    const scheduled = [];
+    for (const [id, instance] of this.bots) {
+      const previous = before.get(id);
+      const { profile } = instance;
+      if (!profile.enabled) {
+        if (previous?.enabled) instance.stop("Disabled in settings");
+      } else if (!previous || !previous.enabled) {
+        instance.start();
+      } else if (connection(previous) !== connection(profile)) {
+        instance.scheduleReconnect("connection settings changed");
+        scheduled.push(id);
+      }
+    }
+
+    if (changes.some((c) => c.section === "telemetry")) {
+      for (const instance of this.bots.values()) instance.refreshHeartbeat();
+    }
+    return scheduled;
+  }
+
+  snapshot() {
+    return this.list().map((instance) => instance.snapshot());
+  }
+}
+
+module.exports = { BotFleet, BotInstance, resolveProfiles, DEFAULT_BOT_ID };
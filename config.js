@@ -0,0 +1,412 @@
+// config.js (V6.8.5-COSMIC SYNC CORE+)
+// ⚙️ Unified Settings Loader — Full Schema, Defaults, Coercion, Env Overrides + Legacy Key Migration
+
+const fs = require("fs");
+const path = require("path");
+const { validate } = require("./schema");
+
+const SETTINGS_PATH = path.join(__dirname, "settings.json");
+const ENV_PREFIX = "COSMIC_";
+
+/* -------------------------------------------------------------------------- */
+/* 📐 Settings Schema                                                         */
+/* -------------------------------------------------------------------------- */
+const str = (def) => ({ type: "string", default: def });
+const bool = (def) => ({ type: "boolean", default: def });
+const int = (def, minimum = 0, maximum) => ({ type: "integer", default: def, minimum, ...(maximum != null && { maximum }) });
+const num = (def, minimum = 0, maximum) => ({ type: "number", default: def, minimum, ...(maximum != null && { maximum }) });
+const section = (properties) => ({ type: "object", default: {}, properties });
+
+const ACCOUNT = {
+  username: { type: "string", default: "CosmicBot", minLength: 1 },
+  password: str(""),
+  type: { type: "string", default: "mojang", enum: ["mojang", "microsoft", "offline"] },
+  autoLogin: bool(true),
+  skinSync: bool(true),
+};
+
+const SERVER = {
+  ip: { type: "string", default: "localhost", minLength: 1 },
+  port: int(25565, 1, 65535),
+  version: { type: "string", default: "1.12.1", pattern: "^\\d+\\.\\d+(\\.\\d+)?$" },
+  autoReconnect: bool(true),
+  pingInterval: int(5000, 1000),
+};
+
+const RECONNECT = {
+  onCrashRestart: bool(true),
+  delayBase: int(5000, 100),
+  maxRetries: int(5, 0),
+  gracePeriod: int(15000, 0),
+  maxDelay: int(300000, 1000),
+  jitter: num(0.2, 0, 1),
+};
+
+// Per-profile blocks are merged over the global ones, so nothing in them is defaulted
+const partial = (properties) => ({
+  type: "object",
+  properties: Object.fromEntries(Object.entries(properties).map(([key, { default: _default, ...rest }]) => [key, rest])),
+});
+
+const SCHEMA = {
+  type: "object",
+  // Top-level keys outside the schema are plugin config blocks (settings.<pluginId>)
+  properties: {
+    botAccount: section(ACCOUNT),
+    server: section(SERVER),
+    bots: {
+      type: "array",
+      default: [],
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", minLength: 1, pattern: "^[\\w.-]+$" },
+          enabled: bool(true),
+          account: partial(ACCOUNT),
+          server: partial(SERVER),
+          reconnect: partial(RECONNECT),
+          plugins: { type: ["array", "null"], items: { type: "string" } },
+        },
+      },
+    },
+    dashboard: section({
+      port: int(3000, 1, 65535),
+      theme: str("cosmic-horizon"),
+      telemetry: bool(true),
+      autoRefresh: bool(true),
+      publicMode: bool(false),
+      https: bool(false),
+      // Used when https is on (tlsManager.js); renewed files are picked up without a restart
+      tls: section({
+        cert: str("./data/tls/cert.pem"),
+        key: str("./data/tls/key.pem"),
+        generateSelfSigned: bool(true), // both files missing → create a LAN certificate on start
+        redirectHttp: bool(false),
+        redirectPort: int(8080, 1, 65535),
+      }),
+      maxConnections: int(25, 1),
+      // Fleet snapshot file for external tools (syncExport.js); keep it outside public/
+      syncExport: section({
+        enabled: bool(true),
+        path: str("./data/bot-sync.json"),
+        minInterval: int(2000, 250),
+      }),
+    }),
+    reconnect: section(RECONNECT),
+    plugins: {
+      ...section({
+        enabled: bool(true),
+        path: str("./plugins"),
+        autoReload: bool(true),
+        syncCloud: bool(true),
+        verifyIntegrity: bool(false),
+        integrity: section({
+          lockfile: str("./plugin-lock.json"),
+          publicKey: str(""),
+          onMismatch: { type: "string", default: "refuse", enum: ["refuse", "quarantine"] },
+        }),
+        sandbox: section({
+          isolated: { type: "array", default: [], items: { type: "string" } },
+          memoryMB: int(64, 16),
+          watchdogMs: int(5000, 250),
+          cpuPercent: int(50, 1, 100),
+          cpuWindowMs: int(10000, 1000),
+        }),
+      }),
+      // plugins.<pluginId>: false disables that plugin
+      additionalProperties: { type: "boolean" },
+    },
+    logging: section({
+      level: { type: "string", default: "info", enum: ["debug", "info", "warn", "error"] },
+      fileOutput: bool(true),
+      logFolder: str("./logs"),
+      maxFileSizeMB: num(5, 1),
+      maxRetentionDays: int(7, 1),
+      colorize: bool(true),
+    }),
+    feedback: section({
+      enabled: bool(true),
+      collectPerformance: bool(true),
+      reportCrashes: bool(true),
+      autoSubmit: bool(false),
+    }),
+    telemetry: section({
+      emitInterval: int(3000, 250),
+      optimizeEmit: bool(true),
+      maxPingVariance: num(10, 0),
+      maxMemoryVariance: num(1, 0),
+      trackFPS: bool(true),
+      includeDeviceInfo: bool(true),
+      // Time-series history (metricsStore.js): raw samples, then 1-minute and 1-hour rollups
+      history: section({
+        enabled: bool(true),
+        rawRetentionHours: int(48, 1),
+        minuteRetentionDays: int(14, 1),
+        hourRetentionDays: int(365, 1),
+      }),
+      // GET /metrics for Prometheus; with a token set, scrapes must send it as a bearer token
+      prometheus: section({
+        enabled: bool(true),
+        token: str(""),
+      }),
+    }),
+    advanced: section({
+      pathfinder: bool(true),
+      autoRespawn: bool(true),
+      safetyTimeout: int(15000, 0),
+      smartReconnect: bool(true),
+      watchdog: bool(true),
+      latencyGuard: bool(true),
+      autoOptimize: bool(true),
+    }),
+    notifications: section({
+      soundEnabled: bool(true),
+      volume: num(0.8, 0, 1),
+      desktopAlerts: bool(true),
+      logToConsole: bool(true),
+    }),
+    security: section({
+      authToken: str(""),
+      // Dashboard accounts (auth.js): scrypt-hashed users, signed session tokens
+      usersFile: str("./data/users.json"),
+      sessionSecret: str(""),
+      sessionTTLHours: int(12, 1),
+      anonymousRole: { type: "string", default: "none", enum: ["none", "viewer"] },
+      // Enforced by securityGuards.js: IPs / CIDRs (empty = anyone), requests per minute per IP
+      // (0 = off), per-event socket limits over the built-in ones, double-submit CSRF tokens
+      ipWhitelist: { type: "array", default: [], items: { type: "string" } },
+      rateLimit: int(30, 0),
+      socketRateLimits: { type: "object", default: {}, additionalProperties: { type: "integer", minimum: 0 } },
+      csrfProtection: bool(true),
+      // Hash-chained JSONL of operator actions (auditLog.js)
+      auditFile: str("./data/audit.jsonl"),
+    }),
+    system: section({
+      version: str("6.8.5"),
+      build: str("stable"),
+      releaseDate: str(""),
+      requirementCheck: bool(true),
+      autoUpdate: bool(true),
+    }),
+  },
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🔀 Legacy Key Migration                                                    */
+/* -------------------------------------------------------------------------- */
+// [old dotted path, new dotted path] — older settings.json files and code used these names
+const LEGACY_KEYS = [
+  ["bot-account", "botAccount"],
+  ["feedbackEnabled", "feedback.enabled"],
+  ["telemetryEnabled", "dashboard.telemetry"],
+  ["autoReconnect", "server.autoReconnect"],
+];
+
+function getPath(obj, dotted) {
+  return dotted.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split(".");
+  const last = keys.pop();
+  let node = obj;
+  for (const key of keys) {
+    if (node[key] == null || typeof node[key] !== "object") node[key] = {};
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+function deletePath(obj, dotted) {
+  const keys = dotted.split(".");
+  const last = keys.pop();
+  const parent = keys.length ? getPath(obj, keys.join(".")) : obj;
+  if (parent && typeof parent === "object") delete parent[last];
+}
+
+/**
+ * Rename legacy keys in place. The new key wins when both are present.
+ * @returns {string[]} human-readable notes, one per migrated key
+ */
+function migrate(raw) {
+  const notes = [];
+  for (const [from, to] of LEGACY_KEYS) {
+    const value = getPath(raw, from);
+    if (value === undefined) continue;
+    if (getPath(raw, to) === undefined) {
+      setPath(raw, to, value);
+      notes.push(`${from} → ${to}`);
+    } else {
+      notes.push(`${from} dropped (${to} already set)`);
+    }
+    deletePath(raw, from);
+  }
+  return notes;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🌍 Environment Overrides                                                   */
+/* -------------------------------------------------------------------------- */
+// Hosting platforms set these without the prefix
+const ENV_ALIASES = {
+  PORT: "dashboard.port",
+  PUBLIC_MODE: "dashboard.publicMode",
+};
+
+const toEnvName = (dotted) =>
+  ENV_PREFIX + dotted.replace(/([a-z0-9])([A-Z])/g, "$1_$2").replace(/\./g, "_").toUpperCase();
+
+/**
+ * Every scalar (or list) setting the environment may override: COSMIC_SERVER_IP → server.ip,
+ * COSMIC_BOT_ACCOUNT_USERNAME → botAccount.username, COSMIC_SECURITY_IP_WHITELIST → security.ipWhitelist …
+ */
+function envKeys(schema = SCHEMA, prefix = "") {
+  const keys = {};
+  for (const [key, prop] of Object.entries(schema.properties || {})) {
+    const dotted = prefix ? `${prefix}.${key}` : key;
+    if (prop.type === "object") Object.assign(keys, envKeys(prop, dotted));
+    else if (dotted !== "bots") keys[toEnvName(dotted)] = dotted;
+  }
+  return keys;
+}
+const ENV_KEYS = { ...envKeys(), ...ENV_ALIASES };
+
+/**
+ * Apply environment overrides in place (values are coerced by the schema afterwards).
+ * @returns {Map<string, string>} dotted path → env var name that set it
+ */
+function applyEnv(raw, env = process.env) {
+  const applied = new Map();
+  for (const [name, dotted] of Object.entries(ENV_KEYS)) {
+    if (env[name] === undefined || env[name] === "") continue;
+    setPath(raw, dotted, env[name]);
+    applied.set(dotted, name);
+  }
+  return applied;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔒 Secrets                                                                 */
+/* -------------------------------------------------------------------------- */
+// Never shown to the dashboard in clear text ("[]" stands for any array index)
+const SECRET_PATHS = [
+  "botAccount.password",
+  "security.authToken",
+  "security.sessionSecret",
+  "telemetry.prometheus.token",
+  "bots[].account.password",
+];
+// Keys outside the schema (plugin config blocks) are masked when their name looks like a credential.
+// "token" only as the whole name or a credential suffix — maxTokens, tokenBucket and the like are limits.
+const SECRET_KEY =
+  /^pass$|passw(or)?d|passphrase|(^|[-_])token$|(auth|access|refresh|api|bot|webhook|bearer|session)[-_]?token$|secret|api[-_]?key|private[-_]?key/i;
+const REDACTED = "••••••";
+
+function isSecretPath(dotted) {
+  if (SECRET_PATHS.includes(dotted.replace(/\[\d+\]/g, "[]"))) return true;
+  return SECRET_KEY.test(dotted.split(".").pop().replace(/\[\d+\]$/, ""));
+}
+
+/**
+ * Deep copy of `value` (found at dotted path `at`) with every secret masked.
+ */
+function redact(value, at = "") {
+  if (at && isSecretPath(at)) return value ? REDACTED : value;
+  if (Array.isArray(value)) return value.map((item, i) => redact(item, `${at}[${i}]`));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, redact(v, at ? `${at}.${key}` : key)]));
+  }
+  return value;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📥 Loading                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * settings.json exactly as stored (legacy keys renamed), for code that writes it back.
+ * Missing file → {}; a syntax error throws.
+ */
+function readRawSettings(file = SETTINGS_PATH) {
+  if (!fs.existsSync(file)) return {};
+  const raw = JSON.parse(fs.readFileSync(file, "utf8")) || {};
+  migrate(raw);
+  return raw;
+}
+
+function writeRawSettings(raw, file = SETTINGS_PATH) {
+  fs.writeFileSync(file, JSON.stringify(raw, null, 2) + "\n");
+}
+
+/**
+ * Load, migrate, override and validate settings.json.
+ * Invalid fields are reported and fall back to their defaults, so `settings` is always complete.
+ *
+ * @param {{ file?: string, env?: object, persistMigration?: boolean }} [opts]
+ * @returns {{ settings: object, errors: {path, message, source}[], migrated: string[], overrides: Map<string,string> }}
+ */
+function loadSettings({ file = SETTINGS_PATH, env = process.env, persistMigration = false } = {}) {
+  const errors = [];
+  let raw = {};
+  let migrated = [];
+
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8")) || {};
+      migrated = migrate(raw);
+      if (migrated.length && persistMigration) writeRawSettings(raw, file);
+    } catch (err) {
+      errors.push({ path: path.basename(file), message: `unreadable (${err.message}) — using defaults`, source: "file" });
+      raw = {};
+    }
+  }
+
+  const resolved = resolveSettings(raw, { env });
+  return { ...resolved, errors: [...errors, ...resolved.errors], migrated };
+}
+
+/**
+ * Apply environment overrides to a raw settings object (copied, not mutated) and validate it.
+ * Shared by loadSettings() and the dashboard editor, which checks edits before writing them.
+ * @returns {{ settings: object, errors: {path, message, source}[], overrides: Map<string,string> }}
+ */
+function resolveSettings(raw, { env = process.env } = {}) {
+  const copy = JSON.parse(JSON.stringify(raw || {}));
+  const overrides = applyEnv(copy, env);
+  const result = validate(SCHEMA, copy, { coerce: true, useDefaults: true });
+  const errors = result.errors.map((e) => {
+    const envName = [...overrides].find(([dotted]) => e.path === dotted || e.path.startsWith(`${dotted}[`))?.[1];
+    return { ...e, source: envName ? `env ${envName}` : "settings.json" };
+  });
+  return { settings: result.value, errors, overrides };
+}
+
+/**
+ * One report for everything wrong with the settings, e.g. for the startup log.
+ */
+function formatReport({ errors, migrated }) {
+  const lines = [];
+  if (migrated.length) lines.push(`🔀 Migrated legacy settings keys: ${migrated.join(", ")}`);
+  if (errors.length) {
+    lines.push(`❌ ${errors.length} invalid setting(s) — falling back to defaults where one exists:`);
+    for (const e of errors) lines.push(`   • ${e.path}: ${e.message} [${e.source}]`);
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  SETTINGS_PATH,
+  SCHEMA,
+  ENV_KEYS,
+  LEGACY_KEYS,
+  loadSettings,
+  resolveSettings,
+  readRawSettings,
+  writeRawSettings,
+  formatReport,
+  migrate,
+  isSecretPath,
+  redact,
+  REDACTED,
+  SECRET_PATHS,
+  SECRET_KEY,
+};
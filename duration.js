@@ -0,0 +1,21 @@
+// duration.js (V6.8.5-COSMIC SYNC CORE+)
+// ⏱️ Durations + Time Bounds — "30s" / "5m" / "7d", Epoch ms, ISO Dates or "24h" Ago
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/** "90000", "30s", "5m", "1h", "7d" → ms (NaN when unreadable) */
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+  return match ? Number(match[1]) * DURATION_UNITS[match[2] || "ms"] : NaN;
+}
+
+const MAX_TIME = 8.64e15; // the largest epoch ms a Date can hold
+
+/** Epoch ms, ISO date, or a duration back from now ("24h"); NaN outside the Date range */
+function parseTime(value, now) {
+  const ago = parseDuration(value);
+  const t = /^\d+$/.test(value) ? Number(value) : Number.isFinite(ago) ? now - ago : Date.parse(value);
+  return Math.abs(t) <= MAX_TIME ? t : NaN;
+}
+
+module.exports = { DURATION_UNITS, parseDuration, parseTime };
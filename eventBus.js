@@ -0,0 +1,36 @@
+// eventBus.js (V6.8.5-COSMIC SYNC CORE+)
+// 🚌 Core ↔ Dashboard Event Bus — The Bot Core Publishes, the Dashboard Server Delivers
+
+const { EventEmitter } = require("events");
+
+/**
+ * The bot core never touches Socket.IO directly: it publishes here and the dashboard
+ * server (web.js) forwards to connected clients. Without a dashboard, messages are dropped.
+ *
+ * Events:
+ *   "broadcast"   { event, payload } — core → every dashboard client (see broadcast())
+ *   "telemetry"   { event, payload } — core → dashboard clients, throttled (see telemetry())
+ *   "connection"  socket             — dashboard → core, a client connected (plugins' io.on("connection"))
+ */
+class EventBus extends EventEmitter {
+  /**
+   * Send `event` to every connected dashboard client.
+   */
+  broadcast(event, payload) {
+    this.emit("broadcast", { event, payload });
+  }
+
+  /**
+   * High-rate telemetry such as bot heartbeats. The dashboard thins it out per client
+   * (telemetryBroadcaster.js), so publish every sample.
+   */
+  telemetry(event, payload) {
+    this.emit("telemetry", { event, payload });
+  }
+}
+
+// One bus per process
+const bus = new EventBus();
+bus.setMaxListeners(50); // every plugin instance may listen for "connection"
+
+module.exports = { bus, EventBus };
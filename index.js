@@ -3,18 +3,21 @@
  * Minecraft Bot Core — Smart Reconnect, Unified Telemetry, Plugin Reload Resilience, and Dashboard Sync Export
  */
 
-const mineflayer = require("mineflayer");
-const { pathfinder, Movements, goals } = require("mineflayer-pathfinder");
-const minecraftData = require("minecraft-data");
-const fs = require("fs");
 const path = require("path");
-const chalk = require("chalk");
-const http = require("http");
-const { Server } = require("socket.io");
+const chalk = require("chalk").default;
 const logger = require("./logger");
-const { loadPlugins, initHotReload } = require("./pluginLoader");
-const { safeEmitTelemetryToActive } = require("./web");
+const { startDashboard } = require("./web");
+const { BotFleet } = require("./botFleet");
+const config = require("./config");
+const { store } = require("./settingsStore");
+const { bus } = require("./eventBus");
+const { MetricsCollector } = require("./metricsCollector");
+const { MetricsStore } = require("./metricsStore");
+const { PrometheusExporter } = require("./prometheus");
+const { SyncExporter } = require("./syncExport");
+const pluginLoader = require("./pluginLoader");
 const axios = require("axios");
+const https = require("https");
 
 // 🌌 AUTO OPTIMIZATION STARTUP HOOK (v6.8.4)
 const { spawn } = require("child_process");
@@ -22,10 +25,8 @@ const os = require("os");
 (async () => {
   try {
     const mem = os.totalmem() / 1024 / 1024;
-    const botConfig = JSON.parse(fs.readFileSync(path.join(__dirname, "settings.json"), "utf8"));
-    const shouldOptimize =
-      process.env.AUTO_OPTIMIZE === "true" ||
-      (botConfig?.advanced?.autoOptimize ?? true);
+    const { settings: botConfig } = config.loadSettings();
+    const shouldOptimize = process.env.AUTO_OPTIMIZE === "true" || botConfig.advanced.autoOptimize;
 
     if (shouldOptimize && mem > 512) {
       console.log("[SYSTEM] 🔧 Running asset optimizer (AUTO_OPTIMIZE=true)");
@@ -48,207 +49,139 @@ const os = require("os");
 /* -------------------------------------------------------------------------- */
 /* 📂 Core Globals                                                           */
 /* -------------------------------------------------------------------------- */
-const SETTINGS_PATH = path.join(__dirname, "settings.json");
-const SYNC_EXPORT_PATH = path.join(__dirname, "public", "bot-sync.json"); // ✅ JSON export for dashboard
-let settings = {};
-let bot = null;
-let io = null;
-let uptimeStart = null;
-let restartTimeout = null;
 let lastHealthStatus = "unknown";
 
+// 🤖 Bot fleet — one lifecycle + reconnect engine per settings profile
+const fleet = new BotFleet({ getSettings: () => store.settings });
+
+// 📊 systemStats / uptime / pluginCount / loaderProgress for the dashboard cards
+const metrics = new MetricsCollector({ fleet, getSettings: () => store.settings });
+
+// 🗄️ Persistent telemetry history behind /api/metrics
+const history = new MetricsStore({ getSettings: () => store.settings });
+
+// 📈 Prometheus counters / histograms behind GET /metrics
+const prometheus = new PrometheusExporter({ fleet });
+
+// 💾 bot-sync.json for external tools, also served at /api/state
+const syncExport = new SyncExporter({ fleet, getSettings: () => store.settings });
+
 /* -------------------------------------------------------------------------- */
 /* ⚙️ Load Settings                                                          */
 /* -------------------------------------------------------------------------- */
+/**
+ * Schema-checked settings (see config.js). Everything wrong with settings.json or the
+ * COSMIC_* environment is reported in one block; invalid fields fall back to defaults.
+ */
 function loadSettings() {
-  try {
-    settings = JSON.parse(fs.readFileSync(SETTINGS_PATH, "utf8"));
-    logger.success("✅ Settings loaded successfully.");
-  } catch (err) {
-    logger.error("❌ Failed to load settings.json — using defaults.");
-    settings = {};
+  const result = store.load();
+  logger.setLevel(result.settings.logging.level);
+
+  const report = config.formatReport(result);
+  if (result.errors.length) logger.error(`⚙️ Settings problems:\n${report}`);
+  else if (report) logger.warn(report);
+  if (result.overrides.size) {
+    logger.info(`🌍 Environment overrides: ${[...result.overrides.values()].join(", ")}`);
   }
+  logger.success("✅ Settings loaded successfully.");
 }
 
 /* -------------------------------------------------------------------------- */
-/* 🤖 Create Bot Function                                                    */
+/* 🔁 Live Settings Reload                                                   */
 /* -------------------------------------------------------------------------- */
-function createBot() {
-  if (bot) {
-    logger.warn("⚠️ Destroying existing bot instance...");
-    bot.removeAllListeners();
-    bot.quit("Restarting");
-  }
-
-  const { username, password, type } = settings["bot-account"] || {};
-  const { ip, port, version } = settings.server || {};
-
-  logger.header("🚀 Launching Cosmic Bot...", "cyan");
-  bot = mineflayer.createBot({
-    host: ip || "localhost",
-    port: port || 25565,
-    username: username || "CosmicBot",
-    password,
-    auth: type || "microsoft",
-    version,
+/**
+ * Apply edits to settings.json while running. Live changes take effect here (or in their
+ * own consumers — reconnect policy and plugins read the store directly), connection changes
+ * schedule a bot reconnect, and the dashboard is told which paths still need a restart.
+ */
+function watchSettings() {
+  store.on("change", ({ changes, settings }) => {
+    if (changes.some((c) => c.path === "logging.level")) logger.setLevel(settings.logging.level);
+
+    const reconnectScheduled = changes.some((c) => c.kind === "reconnect" || c.section === "telemetry")
+      ? fleet.applySettings(changes)
+      : [];
+    const restartRequired = changes.filter((c) => c.kind === "restart").map((c) => c.path);
+
+    logger.info(`⚙️ Settings changed: ${changes.map((c) => `${c.path} (${c.kind})`).join(", ")}`);
+    if (restartRequired.length) logger.warn(`♻️ Restart required for: ${restartRequired.join(", ")}`);
+
+    bus.broadcast("settings:changed", {
+      changes: changes.map(({ path: at, section, kind, from, to }) => ({
+        path: at,
+        section,
+        kind,
+        from: config.redact(from, at),
+        to: config.redact(to, at),
+      })),
+      restartRequired,
+      reconnectScheduled,
+      timestamp: new Date().toISOString(),
+    });
   });
 
-  global.botInstance = bot;
-
-  /* ---------------------------------------------------------------------- */
-  /* 🧭 Pathfinder Setup                                                    */
-  /* ---------------------------------------------------------------------- */
-  bot.loadPlugin(pathfinder);
-  const mcData = minecraftData(bot.version);
-  const defaultMovements = new Movements(bot, mcData);
-  bot.once("spawn", () => bot.pathfinder.setMovements(defaultMovements));
-
-  /* ---------------------------------------------------------------------- */
-  /* 📡 Core Events                                                        */
-  /* ---------------------------------------------------------------------- */
-  bot.once("spawn", async () => {
-    uptimeStart = Date.now();
-    logger.success(`🌍 Bot spawned on ${ip}:${port}`);
-    io?.emit("botStatus", { status: "online", username, ip, version });
-    await loadPlugins(bot, io);
-    exportSyncState(); // ✅ Export JSON for dashboard
+  store.on("invalid", ({ errors }) => {
+    logger.error(`⚙️ Settings problems:\n${config.formatReport({ errors, migrated: [] })}`);
+    bus.broadcast("toast", { type: "warning", message: `⚠️ settings.json has ${errors.length} invalid field(s) — defaults used` });
   });
 
-  bot.on("end", () => handleBotEnd("disconnected"));
-  bot.on("kicked", (reason) => handleBotEnd("kicked", reason));
-  bot.on("error", (err) => handleBotEnd("error", err.message));
-
-  /* ---------------------------------------------------------------------- */
-  /* 🧠 Unified Heartbeat Telemetry                                        */
-  /* ---------------------------------------------------------------------- */
-  setInterval(() => {
-    if (!bot || !bot.player) return;
-    const uptime = uptimeStart ? Date.now() - uptimeStart : 0;
-    const ping = bot.player?.ping ?? 0;
-    const memory = +(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2);
-
-    const state = {
-      status: "online",
-      uptime,
-      ping,
-      memory,
-      position: bot.entity?.position,
-      username: bot.username,
-      timestamp: new Date().toISOString(),
-    };
+  store.on("unreadable", ({ error }) => {
+    logger.error(`❌ settings.json could not be read, keeping previous settings: ${error}`);
+    bus.broadcast("toast", { type: "error", message: "❌ settings.json is unreadable — previous settings kept" });
+  });
 
-    safeEmitTelemetryToActive("botHeartbeat", state);
-    exportSyncState(state);
-  }, 2000);
+  store.watch();
 }
 
 /* -------------------------------------------------------------------------- */
-/* 💾 Clean JSON Export for Dashboard Sync                                   */
+/* 🤖 Fleet Events → Dashboard                                               */
 /* -------------------------------------------------------------------------- */
-function exportSyncState(extra = {}) {
-  try {
-    const data = {
-      username: bot?.username || "N/A",
-      status: bot ? "online" : "offline",
-      memory: +(process.memoryUsage().heapUsed / 1024 / 1024).toFixed(2),
-      uptime: uptimeStart ? Date.now() - uptimeStart : 0,
-      timestamp: new Date().toISOString(),
-      ...extra,
-    };
-    fs.writeFileSync(SYNC_EXPORT_PATH, JSON.stringify(data, null, 2));
-  } catch (err) {
-    logger.warn("⚠️ Failed to export sync state JSON: " + err.message);
-  }
-}
-
-/* -------------------------------------------------------------------------- */
-/* 💀 Auto-Safe Restart Patch                                               */
-/* -------------------------------------------------------------------------- */
-function handleBotEnd(reason, details) {
-  logger.warn(`⚠️ Bot ended: ${reason} ${details || ""}`);
-  io?.emit("botStatus", { status: "offline", reason });
+function bindFleetEvents() {
+  fleet.on("status", (status) => bus.broadcast("botStatus", status));
+  fleet.on("systemEvent", (event) => bus.broadcast("systemEvent", event));
+  fleet.on("spawn", () => syncExport.request());
+  fleet.on("status", () => syncExport.request());
 
-  if (restartTimeout) clearTimeout(restartTimeout);
-
-  if (settings.reconnect?.onCrashRestart) {
-    const delay = settings.reconnect?.delayBase || 5000;
-    logger.info(`♻️ Restarting bot safely in ${delay / 1000}s...`);
-    restartTimeout = setTimeout(() => {
-      createBot();
-      io?.emit("systemEvent", { type: "restart", message: "Bot restarted automatically" });
-    }, delay);
-  }
+  // 🧠 Unified Heartbeat Telemetry — each bot beats on its own timer
+  fleet.on("heartbeat", (state) => {
+    bus.telemetry("botHeartbeat", state);
+    syncExport.request();
+  });
 }
 
 /* -------------------------------------------------------------------------- */
-/* 🛰️ Dashboard Bridge + Plugin Reload Resilience                           */
+/* 🗄️ Telemetry History Feeds                                               */
 /* -------------------------------------------------------------------------- */
-function startDashboard() {
-  const server = http.createServer();
-  io = new Server(server, {
-    cors: {
-      origin: [/^https?:\/\/(localhost|127\.0\.0\.1|192\.168\.)/],
-      methods: ["GET", "POST"],
-    },
+function bindHistory() {
+  metrics.on("sample", (stats) => {
+    history.record("cpu", stats.cpuPercent);
+    history.record("memory", stats.memoryMB);
+    history.record("eventLoopLag", stats.eventLoopLagMs);
+    for (const [botId, tps] of Object.entries(stats.tps)) history.record("tps", tps, botId);
   });
-
-  global.ioInstance = io;
-
-  io.on("connection", (socket) => {
-    logger.info(`🔗 Dashboard connected: ${socket.id}`);
-    socket.emit("versionInfo", {
-      core: "V6.8.4",
-      web: "V6.8.4",
-      status: bot ? "online" : "offline",
-      env: process.env.NODE_ENV || "development",
-    });
-
-    socket.on("reloadPlugins", async () => {
-      try {
-        logger.tag("#WEB", "🔁 Plugin reload requested via dashboard.");
-        io.emit("toast", { type: "info", message: "🔄 Reloading all plugins..." });
-        io.emit("pluginReloadStatus", { status: "reloading" });
-
-        await loadPlugins(bot, io, { hotReload: true });
-        exportSyncState();
-
-        io.emit("toast", { type: "success", message: "✅ Plugins reloaded successfully!" });
-        io.emit("pluginReloadStatus", { status: "done" });
-      } catch (err) {
-        logger.error(`❌ Plugin reload failed: ${err.message}`);
-        io.emit("toast", { type: "error", message: "❌ Plugin reload failed. Check logs." });
-        io.emit("pluginReloadStatus", { status: "error" });
-      }
-    });
-
-    socket.on("sendFeedback", (data) => {
-      if (settings.feedbackEnabled) {
-        const logLine = `[${new Date().toISOString()}] ${JSON.stringify(data)}\n`;
-        fs.appendFileSync("./logs/feedback.log", logLine);
-        logger.tag("#WEB", "💬 Feedback received.");
-        socket.emit("toast", { type: "success", message: "✅ Feedback stored successfully!" });
-      }
-    });
+  fleet.on("heartbeat", (state) => {
+    if (state.status === "online") history.record("ping", state.ping, state.botId);
   });
-
-  io.engine.on("connection_error", (err) => {
-    logger.warn(`⚠️ Dashboard socket error: ${err.code} (${err.message})`);
+  fleet.on("status", (status) => {
+    if (status.status === "reconnecting") history.record("reconnects", 1, status.botId);
   });
-
-  const port = settings.dashboard?.port || 3000;
-  server.listen(port, () => {
-    logger.success(`🌐 Dashboard live on port ${port}`);
+  pluginLoader.on("pluginChanged", (plugin) => {
+    if (plugin.state === "crashed" || plugin.state === "invalid") history.record("pluginErrors", 1, plugin.name);
   });
 }
 
 /* -------------------------------------------------------------------------- */
 /* ❤️ Health Monitor for Docker & Web.js                                     */
 /* -------------------------------------------------------------------------- */
+// Our own server on localhost: a self-signed dashboard certificate is expected, not a failure
+const localAgent = new https.Agent({ rejectUnauthorized: false });
+
 async function monitorHealth() {
-  const healthURL = process.env.WEB_HEALTH_URL || "http://localhost:3000/health";
+  const { port, https: secure } = store.settings.dashboard;
+  const healthURL = process.env.WEB_HEALTH_URL || `${secure ? "https" : "http"}://localhost:${port}/health`;
 
   try {
-    const res = await axios.get(healthURL, { timeout: 2000 });
+    const res = await axios.get(healthURL, { timeout: 2000, ...(secure && !process.env.WEB_HEALTH_URL && { httpsAgent: localAgent }) });
     if (res.status === 200 && res.data?.uptime >= 0) {
       if (lastHealthStatus !== "healthy") {
         logger.success(`💚 Web health OK — version ${res.data.version}`);
@@ -270,10 +203,30 @@ async function monitorHealth() {
 /* 🚀 Initialize Cosmic Core                                                */
 /* -------------------------------------------------------------------------- */
 (async () => {
+  metrics.start();
   loadSettings();
-  startDashboard();
-  createBot();
-  initHotReload();
+  watchSettings();
+  history.start();
+  bindHistory();
+  prometheus.start();
+  // Write out the half-filled rollup buckets and any export in flight before going down
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => Promise.all([history.stop(), syncExport.stop()]).finally(() => process.exit(0)));
+  }
+  metrics.progress(10, "settings", "⚙️ Settings loaded");
+  try {
+    startDashboard({ fleet, history, prometheus, syncExport, reloadSettings: () => store.reload() });
+  } catch (err) {
+    logger.error(`🛑 Refusing to start the dashboard: ${err.message}`);
+    process.exit(1);
+  }
+  metrics.progress(25, "dashboard", "🛰️ Dashboard online");
+  bindFleetEvents();
+  fleet.load().startAll();
+  pluginLoader.initHotReload();
+  metrics.progress(40, "fleet", "🤖 Connecting bots…");
+  // Bots that never reach the server must not keep the overlay up forever
+  metrics.awaitFleet(40, store.settings.advanced.safetyTimeout);
   setInterval(monitorHealth, 10000);
   logger.info(`🌌 Environment: ${process.env.NODE_ENV || "development"}`);
 })();
\ No newline at end of file
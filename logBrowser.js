@@ -0,0 +1,226 @@
+// logBrowser.js (V6.8.5-COSMIC SYNC CORE+)
+// 📜 Log Browser — List, Page Through + Filter latest.log and the Daily Level Files, Gzip a Day
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const logger = require("./logger");
+
+const { main: MAIN_LOG, daily: DAILY_DIR } = logger.paths;
+const LATEST = path.basename(MAIN_LOG);
+const DAILY_FILE = /^(debug|info|success|warn|error)-(\d{4}-\d{2}-\d{2})\.log$/;
+const LINE = /^\[(\S+)\] \[([^\]]+)\] \[(\w+)\] (.*)$/; // logger.js: [timestamp] [CONTEXT] [level] message
+const SCAN_CHUNK = 64 * 1024;
+const MAX_SCAN = 8 * 1024 * 1024; // bytes read per request at most; the returned cursor goes on from there
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+const NEWLINE = 0x0a;
+
+/**
+ * Only latest.log and <level>-<date>.log can be read, so names never reach the filesystem
+ * unchecked (feedback.log, deploy.log and anything else in logs/ stay private).
+ * @returns {string | null} absolute path
+ */
+function resolveLog(name) {
+  if (name === LATEST) return MAIN_LOG;
+  return DAILY_FILE.test(name) ? path.join(DAILY_DIR, name) : null;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🗂️ Listing                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * latest.log first, then daily files newest day first.
+ * @returns {Promise<{ name, kind: "latest" | "daily", level?, date?, size, modifiedAt }[]>}
+ */
+async function listLogs() {
+  const names = await fs.promises.readdir(DAILY_DIR).catch(() => []);
+  const daily = names
+    .map((name) => DAILY_FILE.exec(name))
+    .filter(Boolean)
+    .sort((a, b) => b[2].localeCompare(a[2]) || logger.LEVELS.indexOf(a[1]) - logger.LEVELS.indexOf(b[1]))
+    .map(([name, level, date]) => ({ name, kind: "daily", level, date }));
+
+  const files = [{ name: LATEST, kind: "latest" }, ...daily];
+  const stats = await Promise.all(files.map((f) => fs.promises.stat(resolveLog(f.name)).catch(() => null)));
+  return files
+    .map((f, i) => stats[i] && { ...f, size: stats[i].size, modifiedAt: stats[i].mtime.toISOString() })
+    .filter(Boolean);
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔎 Reading                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * Entries in `buf` (whole lines starting at absolute offset `base`), each with its byte range.
+ * Lines that do not start with a "[timestamp] [CONTEXT] [level]" header (multi-line stack
+ * traces) belong to the entry above them.
+ */
+function parseEntries(buf, base) {
+  const entries = [];
+  for (let pos = 0; pos < buf.length; ) {
+    const newline = buf.indexOf(NEWLINE, pos);
+    const next = newline === -1 ? buf.length : newline + 1;
+    const line = buf.toString("utf8", pos, next).replace(/\r?\n$/, "");
+    const last = entries[entries.length - 1];
+    const match = line && LINE.exec(line);
+    if (match) {
+      const [, timestamp, context, level, message] = match;
+      entries.push({ timestamp, context, level, message, start: base + pos, end: base + next });
+    } else if (last) {
+      if (line) last.message += `\n${line}`;
+      last.end = base + next;
+    } else if (line) {
+      entries.push({ timestamp: null, context: null, level: null, message: line, start: base + pos, end: base + next });
+    }
+    pos = next;
+  }
+  return entries;
+}
+
+/**
+ * @param {{ levels?: string[], contexts?: string[], from?: number, to?: number, q?: string }} filter
+ */
+function matches(entry, { levels, contexts, from, to, q }) {
+  if (levels?.length && !levels.includes(entry.level)) return false;
+  if (contexts?.length && !contexts.includes(entry.context)) return false;
+  if (from !== undefined || to !== undefined) {
+    const at = Date.parse(entry.timestamp);
+    if (!(at >= (from ?? -Infinity) && at <= (to ?? Infinity))) return false;
+  }
+  return !q || entry.message.toLowerCase().includes(q.toLowerCase());
+}
+
+/**
+ * The whole lines inside bytes [from, to). A single line longer than the window yields no
+ * entries and the full window as its range, so the caller skips over it instead of stalling.
+ */
+async function readWindow(handle, size, from, to) {
+  // One byte early, to tell whether `from` already sits at the start of a line
+  const readFrom = Math.max(0, from - 1);
+  const buf = Buffer.alloc(to - readFrom);
+  const { bytesRead } = await handle.read(buf, 0, buf.length, readFrom);
+  const data = buf.subarray(0, bytesRead);
+
+  let head = 0;
+  if (from > 0) head = data[0] === NEWLINE ? 1 : data.indexOf(NEWLINE) + 1 || data.length;
+  let tail = data.length;
+  if (readFrom + data.length < size) tail = data.lastIndexOf(NEWLINE) + 1;
+  if (tail <= head) return { lineStart: from, lineEnd: to, entries: [] };
+  return { lineStart: readFrom + head, lineEnd: readFrom + tail, entries: parseEntries(data.subarray(head, tail), readFrom + head) };
+}
+
+const publicEntry = ({ timestamp, context, level, message }) => ({ timestamp, context, level, message });
+
+/**
+ * Up to `limit` entries matching `filter`. With `start`, reads forward from that offset;
+ * otherwise backward ending at `end` (default: end of file, i.e. a tail). Windows are read
+ * until enough entries match, the file ends, or MAX_SCAN bytes were read. The returned
+ * `start`/`end` cover exactly what was consumed, so the previous page is `{ end: result.start }`
+ * and the next is `{ start: result.end }`.
+ *
+ * @param {string} name file name from listLogs()
+ * @param {{ start?: number, end?: number, limit?: number, filter?: object }} [opts] limit in entries
+ * @returns {Promise<{ name, size, start, end, hasBefore, hasAfter, scanned, entries: object[] } | null>} null for unknown files
+ */
+async function readLog(name, { start, end, limit = DEFAULT_LIMIT, filter = {} } = {}) {
+  const file = resolveLog(name);
+  if (!file) return null;
+  let handle;
+  try {
+    handle = await fs.promises.open(file, "r");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  try {
+    const { size } = await handle.stat();
+    const wanted = Math.min(Math.max(limit, 1), MAX_LIMIT);
+    const kept = [];
+    let scanned = 0;
+    let read = 0;
+    let lower, upper;
+
+    if (start !== undefined) {
+      lower = upper = Math.min(start, size);
+      for (let first = true; upper < size && kept.length < wanted && read < MAX_SCAN; first = false) {
+        const to = Math.min(size, upper + SCAN_CHUNK);
+        const win = await readWindow(handle, size, upper, to);
+        read += to - upper;
+        if (first) lower = win.lineStart;
+        let { entries, lineEnd } = win;
+        // The last entry may go on in the next window (a stack trace) — read it whole next time
+        if (lineEnd < size && entries.length > 1) lineEnd = entries.pop().start;
+        scanned += entries.length;
+        const found = entries.filter((e) => matches(e, filter));
+        const need = wanted - kept.length;
+        if (found.length > need) {
+          kept.push(...found.slice(0, need));
+          upper = kept[kept.length - 1].end;
+          break;
+        }
+        kept.push(...found);
+        upper = lineEnd;
+      }
+    } else {
+      lower = upper = Math.min(end ?? size, size);
+      for (let first = true; lower > 0 && kept.length < wanted && read < MAX_SCAN; first = false) {
+        const from = Math.max(0, lower - SCAN_CHUNK);
+        const win = await readWindow(handle, size, from, lower);
+        read += lower - from;
+        if (first) upper = win.lineEnd;
+        let { entries, lineStart } = win;
+        // Continuation lines at the top belong to an entry further up — leave them for it
+        if (lineStart > 0 && entries.length > 1 && entries[0].timestamp === null) lineStart = entries.shift().end;
+        scanned += entries.length;
+        const found = entries.filter((e) => matches(e, filter));
+        const need = wanted - kept.length;
+        if (found.length > need) {
+          const page = found.slice(-need);
+          kept.unshift(...page);
+          lower = page[0].start;
+          break;
+        }
+        kept.unshift(...found);
+        lower = lineStart;
+      }
+    }
+
+    return {
+      name,
+      size,
+      start: lower,
+      end: upper,
+      hasBefore: lower > 0,
+      hasAfter: upper < size,
+      scanned,
+      entries: kept.map(publicEntry),
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📦 Daily Archive                                                           */
+/* -------------------------------------------------------------------------- */
+/** Daily files for `date` (YYYY-MM-DD), in level order. */
+async function dayLogFiles(date) {
+  const files = await listLogs();
+  return files.filter((f) => f.kind === "daily" && f.date === date).map((f) => resolveLog(f.name));
+}
+
+/**
+ * Stream files (from dayLogFiles) concatenated through gzip into `out`.
+ * @returns {Promise<void>} settles when `out` has finished or failed
+ */
+async function streamDayArchive(files, out) {
+  async function* concat() {
+    for (const file of files) yield* fs.createReadStream(file);
+  }
+  await pipeline(Readable.from(concat()), zlib.createGzip(), out);
+}
+
+module.exports = { listLogs, readLog, dayLogFiles, streamDayArchive, MAX_LIMIT };
@@ -1,10 +1,10 @@
 // logger.js — V6.8.4 Cosmic Gradient+
 // 🌌 Unified async logger with gradient headers, live dashboard replay,
-// smart rotation, plugin hot reload tags, and telemetry bridge
+// smart rotation and plugin hot reload tags
 
 const fs = require("fs");
 const path = require("path");
-const chalk = require("chalk");
+const chalk = require("chalk").default; // chalk 5 is ESM-only; require() returns its namespace
 const { EventEmitter } = require("events");
 const os = require("os");
 
@@ -44,6 +44,19 @@ const ICONS = {
 /* 📡 Live Dashboard + Replay Cache                                          */
 /* -------------------------------------------------------------------------- */
 const logEmitter = new EventEmitter();
+
+// 🎚️ Minimum level written anywhere (settings.logging.level — changeable at runtime)
+const LEVEL_RANK = { debug: 0, info: 1, success: 1, warn: 2, error: 3 };
+let minRank = LEVEL_RANK.info;
+
+function setLevel(level) {
+  if (!(level in LEVEL_RANK)) return false;
+  minRank = LEVEL_RANK[level];
+  return true;
+}
+
+// DEBUG_MODE=true always lets debug lines through
+const isMuted = (level) => LEVEL_RANK[level] < minRank && !(level === "debug" && process.env.DEBUG_MODE === "true");
 const replayCache = [];
 const MAX_CACHE = 100;
 
@@ -72,6 +85,7 @@ class Logger {
   }
 
   async _write(level, message) {
+    if (isMuted(level)) return;
     const timestamp = this._timestamp();
     const formatted = this._format(level, message);
     const line = `[${timestamp}] [${this.context}] [${level}] ${message}${os.EOL}`;
@@ -111,7 +125,7 @@ class Logger {
     this._write("error", msg);
   }
   debug(msg) {
-    if (process.env.DEBUG_MODE === "true") this._write("debug", msg);
+    this._write("debug", msg);
   }
 
   header(title, color = "cyan") {
@@ -121,6 +135,7 @@ class Logger {
   }
 
   tag(tag, msg) {
+    if (isMuted("info")) return;
     let prefix;
     switch (tag) {
       case "#PLUGINS":
@@ -166,48 +181,21 @@ function cleanOldLogs(days = 2) {
   });
 }
 
-setInterval(() => cleanOldLogs(2), 30 * 60 * 1000);
+// unref: log cleanup alone must not keep a CLI script or test run alive
+setInterval(() => cleanOldLogs(2), 30 * 60 * 1000).unref();
 cleanOldLogs(2);
 
-/* -------------------------------------------------------------------------- */
-/* 🌐 Dashboard Integration + Telemetry Bridge                               */
-/* -------------------------------------------------------------------------- */
-try {
-  const { io } = require("./web");
-
-  // Emit new logs live
-  logEmitter.on("log", (data) => {
-    if (io) io.emit("log", data);
-  });
-
-  // Replay cache when a client connects
-  if (io) {
-    io.on("connection", (socket) => {
-      replayCache.forEach((log) => socket.emit("log", log));
-
-      // 🛰️ Telemetry Hook (optional)
-      socket.on("telemetry", (data) => {
-        if (data?.status) {
-          const ping = data.ping ?? "N/A";
-          const mem = data.memory ?? "N/A";
-          const status = data.status ?? "unknown";
-          const msg = `📡 Ping: ${ping}ms | RAM: ${mem}MB | Status: ${status}`;
-          logger.tag("#TELEMETRY", msg);
-        }
-      });
-    });
-  }
-} catch {
-  // Ignore if web.js not initialized yet
-}
-
 /* -------------------------------------------------------------------------- */
 /* 🚀 Export + Init                                                          */
 /* -------------------------------------------------------------------------- */
 const logger = new Logger("SYSTEM");
 module.exports = logger;
 module.exports.Logger = Logger;
-module.exports.logEmitter = logEmitter;
+module.exports.logEmitter = logEmitter; // "log" events — the dashboard server streams these to clients
+module.exports.getReplay = () => [...replayCache]; // recent lines for newly connected clients
+module.exports.setLevel = setLevel;
+module.exports.LEVELS = Object.keys(LEVEL_RANK);
+module.exports.paths = { main: MAIN_LOG, daily: DATA_DIR }; // latest.log + <level>-<YYYY-MM-DD>.log files
 
 logger.header("🪵 LOGGER READY — V6.8.4 Cosmic Gradient+", "blue");
 logger.success("Logger initialized → writing to /logs/latest.log + /data/logs/");
\ No newline at end of file
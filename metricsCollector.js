@@ -0,0 +1,219 @@
+// metricsCollector.js (V6.8.5-COSMIC SYNC CORE+)
+// 📊 Metrics Collector — Process CPU / Memory, Event-Loop Lag, Server TPS + Boot Progress for the Dashboard
+
+const os = require("os");
+const { monitorEventLoopDelay } = require("perf_hooks");
+const { EventEmitter } = require("events");
+const { bus } = require("./eventBus");
+const pluginLoader = require("./pluginLoader");
+
+const SAMPLE_INTERVAL = 5000;
+const TPS_SMOOTHING = 0.5; // weight of the newest reading in the moving average
+const MAX_TPS = 20;
+const MOBILE_UA = /Mobi|Android|iPhone|iPad/i;
+const LOOP_RESOLUTION = 20; // ms between event-loop probes
+
+const round = (n, digits = 1) => +n.toFixed(digits);
+const toMB = (bytes) => round(bytes / 1024 / 1024, 2);
+
+function formatUptime(ms) {
+  const sec = Math.floor(ms / 1000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(sec / 3600))}:${pad(Math.floor((sec % 3600) / 60))}:${pad(sec % 60)}`;
+}
+
+/**
+ * Samples the process and the fleet on a schedule and publishes, via the event bus:
+ *   systemStats     { cpuPercent, loadAvg, memoryMB, heapMB, heapTotalMB, eventLoopLagMs, eventLoopLagMaxMs, tps, timestamp }
+ *   uptime          { uptimeMs, uptimeStr, bots: { [botId]: ms } }
+ *   pluginCount     { total, names } — on plugin changes
+ *   loaderProgress  { percent, stage, message } — boot stages reported by index.js
+ *   deviceInfo      { isMobile, platform, arch, cpus, totalMemMB, node } — per client, on connect
+ * Newly connected clients get the latest of each right away.
+ *
+ * `tps` maps bot id → server ticks per second, estimated from how far `bot.time.age`
+ * advanced between samples (20 = healthy server).
+ */
+class MetricsCollector extends EventEmitter {
+  constructor({ fleet, getSettings }) {
+    super();
+    this.fleet = fleet;
+    this.getSettings = getSettings;
+    this.timer = null;
+    this.loopDelay = monitorEventLoopDelay({ resolution: LOOP_RESOLUTION });
+    this.lastCpu = null;
+    this.ticks = new Map(); // botId → { bot, age, at, tps }
+    this.latest = { systemStats: null, uptime: null, pluginCount: null, loaderProgress: null };
+    this.onConnection = (socket) => this._greet(socket);
+    this.onPluginsChanged = () => this._publish("pluginCount", this.pluginCount());
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.loopDelay.enable();
+    this.lastCpu = { usage: process.cpuUsage(), at: process.hrtime.bigint() };
+    this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+    bus.on("connection", this.onConnection);
+    pluginLoader.on("pluginsUpdated", this.onPluginsChanged);
+    pluginLoader.on("pluginChanged", this.onPluginsChanged);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.loopDelay.disable();
+    bus.off("connection", this.onConnection);
+    pluginLoader.off("pluginsUpdated", this.onPluginsChanged);
+    pluginLoader.off("pluginChanged", this.onPluginsChanged);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 📈 Sampling                                                            */
+  /* ---------------------------------------------------------------------- */
+  sample() {
+    const mem = process.memoryUsage();
+    const stats = {
+      cpuPercent: this._cpuPercent(),
+      loadAvg: round(os.loadavg()[0], 2), // always 0 on Windows
+      memoryMB: toMB(mem.rss),
+      heapMB: toMB(mem.heapUsed),
+      heapTotalMB: toMB(mem.heapTotal),
+      eventLoopLagMs: this._loopLag(this.loopDelay.mean),
+      eventLoopLagMaxMs: this._loopLag(this.loopDelay.max),
+      tps: this._sampleTps(),
+      timestamp: new Date().toISOString(),
+    };
+    this.loopDelay.reset();
+
+    this._publish("systemStats", stats);
+    this._publish("uptime", this.uptime());
+    this.emit("sample", stats);
+    return stats;
+  }
+
+  /**
+   * The histogram records whole probe intervals (ns); lag is what exceeds the probe's own timer.
+   */
+  _loopLag(ns) {
+    if (!Number.isFinite(ns) || !this.loopDelay.count) return 0;
+    return round(Math.max(0, ns / 1e6 - LOOP_RESOLUTION), 2);
+  }
+
+  /**
+   * Share of the machine's CPU used by this process since the previous sample.
+   */
+  _cpuPercent() {
+    const now = process.hrtime.bigint();
+    const usage = process.cpuUsage(this.lastCpu.usage);
+    const elapsedUs = Number(now - this.lastCpu.at) / 1000;
+    this.lastCpu = { usage: process.cpuUsage(), at: now };
+    if (elapsedUs <= 0) return 0;
+    return round(Math.min(100, ((usage.user + usage.system) / elapsedUs / os.cpus().length) * 100));
+  }
+
+  _sampleTps() {
+    const now = Date.now();
+    const result = {};
+    for (const instance of this.fleet.list()) {
+      const bot = instance.online ? instance.bot : null;
+      const age = Number(bot?.time?.age);
+      if (!bot || !Number.isFinite(age)) {
+        this.ticks.delete(instance.id);
+        continue;
+      }
+
+      const prev = this.ticks.get(instance.id);
+      // A new bot object (reconnect) or a rewound clock starts a fresh estimate
+      if (!prev || prev.bot !== bot || age < prev.age) {
+        this.ticks.set(instance.id, { bot, age, at: now, tps: null });
+        continue;
+      }
+
+      const reading = Math.min(MAX_TPS, Math.max(0, (age - prev.age) / ((now - prev.at) / 1000)));
+      const tps = prev.tps === null ? reading : prev.tps + TPS_SMOOTHING * (reading - prev.tps);
+      this.ticks.set(instance.id, { bot, age, at: now, tps });
+      result[instance.id] = round(tps);
+    }
+    return result;
+  }
+
+  uptime() {
+    const uptimeMs = Math.round(process.uptime() * 1000);
+    const bots = {};
+    for (const instance of this.fleet.list()) {
+      bots[instance.id] = instance.uptimeStart ? Date.now() - instance.uptimeStart : 0;
+    }
+    return { uptimeMs, uptimeStr: formatUptime(uptimeMs), bots };
+  }
+
+  pluginCount() {
+    const loaded = pluginLoader.listPlugins().filter((p) => p.state === "loaded");
+    return { total: loaded.length, names: loaded.map((p) => p.name) };
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🚀 Boot Progress                                                       */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * Report a boot stage. The overlay on the dashboard follows these; 100 hides it.
+   */
+  progress(percent, stage, message) {
+    this._publish("loaderProgress", { percent, stage, message });
+  }
+
+  /**
+   * Advance progress from `from`% as enabled bots spawn, and finish at 100% once they all
+   * have — or after `timeout` ms, so an unreachable server does not hold the dashboard hostage.
+   */
+  awaitFleet(from, timeout) {
+    const pending = new Set(this.fleet.list().filter((b) => b.profile.enabled).map((b) => b.id));
+    const total = pending.size;
+    const finish = (message) => {
+      clearTimeout(timer);
+      this.fleet.off("spawn", onSpawn);
+      this.progress(100, "ready", message);
+    };
+    const onSpawn = (instance) => {
+      pending.delete(instance.id);
+      if (!pending.size) return finish(`✅ Ready — ${total} bot(s) online`);
+      this.progress(from + Math.round(((total - pending.size) / total) * (95 - from)), "fleet", `🤖 ${instance.id} spawned`);
+    };
+
+    if (!total) return this.progress(100, "ready", "✅ Ready — no bots enabled");
+    const timer = setTimeout(() => finish(`✅ Ready — still connecting: ${[...pending].join(", ")}`), timeout);
+    this.fleet.on("spawn", onSpawn);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 📡 Delivery                                                            */
+  /* ---------------------------------------------------------------------- */
+  _publish(event, payload) {
+    this.latest[event] = payload;
+    bus.broadcast(event, payload);
+  }
+
+  _greet(socket) {
+    for (const [event, payload] of Object.entries(this.latest)) {
+      if (payload) socket.emit(event, payload);
+    }
+    if (!this.latest.pluginCount) socket.emit("pluginCount", this.pluginCount());
+    if (this.getSettings().telemetry.includeDeviceInfo) socket.emit("deviceInfo", this.deviceInfo(socket));
+  }
+
+  /**
+   * The client's form factor (from its user agent) plus what the dashboard host runs on.
+   */
+  deviceInfo(socket) {
+    return {
+      isMobile: MOBILE_UA.test(socket.handshake?.headers?.["user-agent"] || ""),
+      platform: os.platform(),
+      arch: os.arch(),
+      cpus: os.cpus().length,
+      totalMemMB: Math.round(os.totalmem() / 1024 / 1024),
+      node: process.versions.node,
+    };
+  }
+}
+
+module.exports = { MetricsCollector };
@@ -0,0 +1,245 @@
+// metricsStore.js (V6.8.5-COSMIC SYNC CORE+)
+// 🗄️ Time-Series Telemetry Store — Append-Only Daily Files, 1m / 1h Rollups + Retention
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+
+const METRICS_DIR = path.join(__dirname, "data", "metrics");
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const FLUSH_INTERVAL = 5000;
+const DEFAULT_POINTS = 300; // target points per query when no step is given
+
+// How each series combines within a bucket for the headline `value` of a point
+const SERIES = {
+  ping: "avg", // ms, per bot
+  tps: "avg", // per bot
+  memory: "avg", // process RSS, MB
+  cpu: "avg", // process CPU %
+  eventLoopLag: "avg", // ms
+  reconnects: "sum", // reconnect attempts, per bot
+  pluginErrors: "sum", // crashes + invalid configs, per plugin
+};
+
+// Rollup resolutions and the settings key holding how long each is kept
+const RESOLUTIONS = {
+  raw: { ms: 0, retention: (h) => h.rawRetentionHours * HOUR },
+  "1m": { ms: MINUTE, retention: (h) => h.minuteRetentionDays * DAY },
+  "1h": { ms: HOUR, retention: (h) => h.hourRetentionDays * DAY },
+};
+
+const dayOf = (t) => new Date(t).toISOString().slice(0, 10);
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+/**
+ * Local time-series store. Every sample is appended to `raw/<day>.jsonl` and folded into
+ * one-minute and one-hour buckets (`1m/`, `1h/`), each kept for its own retention
+ * (settings.telemetry.history). Queries pick the coarsest resolution that still fits
+ * the requested step.
+ *
+ *   store.record("ping", 42, "main");
+ *   await store.query({ series: "ping", from, to, step: 5 * MINUTE });
+ */
+class MetricsStore {
+  constructor({ dir = METRICS_DIR, getSettings }) {
+    this.dir = dir;
+    this.getSettings = getSettings;
+    this.open = new Map(); // "res|series|key" → bucket being filled
+    this.pending = []; // [resolution, line] not yet on disk
+    this.flushTimer = null;
+    this.pruneTimer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  get options() {
+    return this.getSettings().telemetry.history;
+  }
+
+  start() {
+    for (const res of Object.keys(RESOLUTIONS)) fs.mkdirSync(path.join(this.dir, res), { recursive: true });
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    this.pruneTimer = setInterval(() => this.prune(), HOUR);
+    this.prune();
+    return this;
+  }
+
+  async stop() {
+    clearInterval(this.flushTimer);
+    clearInterval(this.pruneTimer);
+    await this.flush({ closeAll: true });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* ✍️ Writing                                                             */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * @param {string} series one of SERIES
+   * @param {number} value
+   * @param {string} [key] bot id or plugin name the sample belongs to
+   */
+  record(series, value, key = "", t = Date.now()) {
+    if (!this.options.enabled || !Number.isFinite(value)) return;
+    this.pending.push(["raw", { t, s: series, k: key, v: value }]);
+
+    for (const [res, { ms }] of Object.entries(RESOLUTIONS)) {
+      if (!ms) continue;
+      const id = `${res}|${series}|${key}`;
+      const start = Math.floor(t / ms) * ms;
+      let bucket = this.open.get(id);
+      if (bucket && bucket.t !== start) {
+        this.pending.push([res, bucket]);
+        bucket = null;
+      }
+      if (!bucket) {
+        bucket = { t: start, s: series, k: key, min: value, max: value, sum: 0, n: 0 };
+        this.open.set(id, bucket);
+      }
+      bucket.min = Math.min(bucket.min, value);
+      bucket.max = Math.max(bucket.max, value);
+      bucket.sum += value;
+      bucket.n++;
+    }
+  }
+
+  /**
+   * Append pending lines to their daily files. Buckets whose period has ended are closed
+   * even if no new sample arrived, so quiet series still reach disk.
+   */
+  flush({ closeAll = false } = {}) {
+    const now = Date.now();
+    for (const [id, bucket] of this.open) {
+      const res = id.split("|")[0];
+      if (closeAll || bucket.t + RESOLUTIONS[res].ms <= now) {
+        this.pending.push([res, bucket]);
+        this.open.delete(id);
+      }
+    }
+
+    const batch = this.pending;
+    this.pending = [];
+    const files = new Map();
+    for (const [res, line] of batch) {
+      const file = path.join(this.dir, res, `${dayOf(line.t)}.jsonl`);
+      files.set(file, (files.get(file) || "") + JSON.stringify(line) + "\n");
+    }
+
+    // Chain flushes so two never interleave lines in the same file
+    this.flushing = this.flushing.then(() =>
+      Promise.all(
+        [...files].map(([file, text]) =>
+          fs.promises.appendFile(file, text).catch((err) => logger.warn(`⚠️ Metrics write failed (${file}): ${err.message}`))
+        )
+      )
+    );
+    return this.flushing;
+  }
+
+  /**
+   * Delete daily files that fall entirely outside their resolution's retention.
+   */
+  prune() {
+    const now = Date.now();
+    for (const [res, { retention }] of Object.entries(RESOLUTIONS)) {
+      const dir = path.join(this.dir, res);
+      const cutoff = now - retention(this.options);
+      let files = [];
+      try {
+        files = fs.readdirSync(dir);
+      } catch {
+        continue;
+      }
+      for (const file of files) {
+        const dayEnd = Date.parse(file.replace(".jsonl", "")) + DAY;
+        if (Number.isFinite(dayEnd) && dayEnd < cutoff) fs.unlinkSync(path.join(dir, file));
+      }
+    }
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🔍 Querying                                                            */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * Coarsest resolution that is still finer than `step` and still retains `from`.
+   */
+  pickResolution(from, step) {
+    const age = Date.now() - from;
+    if (step < MINUTE && age <= RESOLUTIONS.raw.retention(this.options)) return "raw";
+    if (step < HOUR && age <= RESOLUTIONS["1m"].retention(this.options)) return "1m";
+    return "1h";
+  }
+
+  /**
+   * `from` is clamped to the longest retention — nothing older exists — and only day files
+   * present on disk are read, so an open-ended range costs no more than the data kept.
+   * @param {{ series: string, from: number, to: number, step?: number, key?: string }} q
+   * @returns {Promise<{ series, from, to, step, resolution, keys: { key, points: { t, value, min, max, sum, n }[] }[] }>}
+   */
+  async query({ series, from, to, step, key }) {
+    const retained = Math.max(...Object.values(RESOLUTIONS).map(({ retention }) => retention(this.options)));
+    from = Math.min(Math.max(from, Date.now() - retained), to);
+    step = Math.max(1000, step || Math.ceil((to - from) / DEFAULT_POINTS));
+    const resolution = this.pickResolution(from, step);
+    await this.flush();
+
+    const dir = path.join(this.dir, resolution);
+    const [first, last] = [dayOf(from), dayOf(to)];
+    const days = (await fs.promises.readdir(dir).catch(() => []))
+      .map((file) => DAY_FILE.exec(file)?.[1])
+      .filter((day) => day && day >= first && day <= last)
+      .sort();
+
+    const rows = [];
+    for (const day of days) {
+      let text;
+      try {
+        text = await fs.promises.readFile(path.join(dir, `${day}.jsonl`), "utf8");
+      } catch {
+        continue;
+      }
+      for (const line of text.split("\n")) {
+        if (!line) continue;
+        try {
+          rows.push(JSON.parse(line));
+        } catch {
+          // a torn last line from a crash — skip it
+        }
+      }
+    }
+    // The bucket still filling is not on disk yet
+    for (const [id, bucket] of this.open) if (id.startsWith(`${resolution}|`)) rows.push(bucket);
+
+    const byKey = new Map();
+    for (const row of rows) {
+      if (row.s !== series || row.t < from || row.t > to || (key !== undefined && row.k !== key)) continue;
+      const raw = row.v !== undefined;
+      const t = Math.floor(row.t / step) * step;
+      const points = byKey.get(row.k) || new Map();
+      byKey.set(row.k, points);
+      const p = points.get(t) || { t, min: Infinity, max: -Infinity, sum: 0, n: 0 };
+      p.min = Math.min(p.min, raw ? row.v : row.min);
+      p.max = Math.max(p.max, raw ? row.v : row.max);
+      p.sum += raw ? row.v : row.sum;
+      p.n += raw ? 1 : row.n;
+      points.set(t, p);
+    }
+
+    const combine = SERIES[series];
+    return {
+      series,
+      from,
+      to,
+      step,
+      resolution,
+      keys: [...byKey].map(([k, points]) => ({
+        key: k,
+        points: [...points.values()]
+          .sort((a, b) => a.t - b.t)
+          .map((p) => ({ ...p, value: combine === "sum" ? p.sum : +(p.sum / p.n).toFixed(2) })),
+      })),
+    };
+  }
+}
+
+module.exports = { MetricsStore, SERIES };
@@ -0,0 +1,208 @@
+// pluginContext.js (V6.8.5-COSMIC SYNC CORE+)
+// 🧹 Scoped Plugin Context — Tracked Listeners, Timers + Disposers for Leak-Free Hot Reload
+
+const LISTENER_METHODS = ["on", "once", "addListener", "prependListener", "prependOnceListener"];
+const REMOVE_METHODS = ["off", "removeListener"];
+
+/**
+ * Handed to every plugin as its fifth argument. Anything registered through it is torn down
+ * automatically when the plugin is reloaded, disabled or its bot disconnects:
+ *
+ *   module.exports = (bot, config, logger, io, ctx) => {
+ *     ctx.on("chat", onChat);
+ *     ctx.setInterval(tick, 10000);
+ *     ctx.onConfigChange((next) => applyLimits(next));   // settings.<name> edited live
+ *     return () => saveState();   // optional disposer (or return { stop() {} })
+ *   };
+ *
+ * Listeners attached around it (bot.on, io.on) still work, but are reported and removed at
+ * teardown. Only ctx timers are cleared — global setInterval/setTimeout belong to whoever
+ * made them, so a plugin has to clear its own in stop().
+ */
+class PluginContext {
+  constructor(name, bot, io, log) {
+    this.name = name;
+    this.bot = bot;
+    this.io = io;
+    this.log = log;
+    this.disposed = false;
+    this.listeners = [];
+    this.ioListeners = [];
+    this.timers = new Set();
+    this.disposers = [];
+    this.configHandlers = [];
+    this.direct = [];
+    this.directIo = [];
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 📡 Tracked Registrations                                               */
+  /* ---------------------------------------------------------------------- */
+  on(event, handler) {
+    this.bot.on(event, handler);
+    this.listeners.push([event, handler]);
+    return this;
+  }
+
+  once(event, handler) {
+    this.bot.once(event, handler);
+    this.listeners.push([event, handler]);
+    return this;
+  }
+
+  onIo(event, handler) {
+    this.io?.on(event, handler);
+    this.ioListeners.push([event, handler]);
+    return this;
+  }
+
+  setInterval(fn, ms) {
+    const timer = setInterval(fn, ms);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  setTimeout(fn, ms) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      fn();
+    }, ms);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  clearInterval(timer) {
+    clearInterval(timer);
+    this.timers.delete(timer);
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+    this.timers.delete(timer);
+  }
+
+  onDispose(fn) {
+    if (typeof fn === "function") this.disposers.push(fn);
+    return this;
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* ⚙️ Live Config                                                         */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * Called with (newConfig, oldConfig) when the plugin's settings block changes.
+   * Return false to ask the loader for a full reload instead.
+   */
+  onConfigChange(fn) {
+    if (typeof fn === "function") this.configHandlers.push(fn);
+    return this;
+  }
+
+  /**
+   * Resolves false when the change was not handled (no hooks, or a hook returned false).
+   */
+  async applyConfig(next, prev) {
+    if (!this.configHandlers.length) return false;
+    let handled = true;
+    for (const fn of this.configHandlers) {
+      if ((await fn(next, prev)) === false) handled = false;
+    }
+    return handled;
+  }
+
+  /**
+   * Bot proxy given to the plugin: listeners attached straight to it (bypassing ctx)
+   * are recorded so dispose() can report and remove the ones still attached.
+   */
+  wrapBot() {
+    return this._recording(this.bot, this.direct);
+  }
+
+  /**
+   * Same for the io channel: io.on() listeners the plugin has not removed by teardown are
+   * reported and removed.
+   */
+  wrapIo() {
+    return this.io && this._recording(this.io, this.directIo);
+  }
+
+  _recording(emitter, list) {
+    return new Proxy(emitter, {
+      get(target, prop, receiver) {
+        const value = Reflect.get(target, prop, receiver);
+        if (typeof value !== "function") return value;
+        if (LISTENER_METHODS.includes(prop)) {
+          return (event, handler) => {
+            list.push([event, handler]);
+            value.call(target, event, handler);
+            return receiver;
+          };
+        }
+        if (REMOVE_METHODS.includes(prop)) {
+          return (event, handler) => {
+            const i = list.findIndex(([e, h]) => e === event && h === handler);
+            if (i !== -1) list.splice(i, 1);
+            value.call(target, event, handler);
+            return receiver;
+          };
+        }
+        return value;
+      },
+    });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🧹 Teardown                                                            */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * Run the plugin's disposers (last registered first), then drop every tracked handle.
+   * Returns the number of untracked bot/io listeners that had to be force-removed.
+   */
+  async dispose() {
+    if (this.disposed) return 0;
+    this.disposed = true;
+
+    for (const fn of this.disposers.reverse()) {
+      try {
+        await fn();
+      } catch (err) {
+        this.log.warn(`⚠️ stop() of plugin "${this.name}" threw: ${err.message}`);
+      }
+    }
+
+    for (const [event, handler] of this.listeners) this.bot.removeListener(event, handler);
+    for (const [event, handler] of this.ioListeners) this.io?.off(event, handler);
+    for (const timer of this.timers) clearTimeout(timer);
+
+    const events = (list) => [...new Set(list.map(([event]) => event))].join(", ");
+    const leaked = this.direct.filter(([event, handler]) =>
+      this.bot.rawListeners(event).some((l) => l === handler || l.listener === handler)
+    );
+    if (leaked.length) {
+      this.log.warn(
+        `⚠️ Plugin "${this.name}" left ${leaked.length} bot listener(s) behind (${events(leaked)}) — removed. ` +
+          "Register them with ctx.on()/ctx.once() or return a stop() disposer."
+      );
+      for (const [event, handler] of leaked) this.bot.removeListener(event, handler);
+    }
+
+    const leakedIo = this.directIo;
+    if (leakedIo.length) {
+      this.log.warn(
+        `⚠️ Plugin "${this.name}" left ${leakedIo.length} io listener(s) behind (${events(leakedIo)}) — removed. ` +
+          "Register them with ctx.onIo() or remove them in stop()."
+      );
+      for (const [event, handler] of leakedIo) this.io?.off(event, handler);
+    }
+
+    this.listeners = [];
+    this.ioListeners = [];
+    this.timers.clear();
+    this.configHandlers = [];
+    this.direct = [];
+    this.directIo = [];
+    return leaked.length + leakedIo.length;
+  }
+}
+
+module.exports = { PluginContext };
@@ -0,0 +1,188 @@
+// pluginIntegrity.js (V6.8.5-COSMIC SYNC CORE+)
+// 🔏 Plugin Integrity — SHA-256 Lockfile Allowlist, Optional ed25519 Signatures + Quarantine
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const ROOT = __dirname;
+const DEFAULT_LOCKFILE = path.join(ROOT, "plugin-lock.json");
+
+/* -------------------------------------------------------------------------- */
+/* 📒 Lockfile                                                               */
+/* -------------------------------------------------------------------------- */
+// {
+//   "version": 1,
+//   "plugins": {
+//     "<id>": { "sha256": "…", "manifestSha256": "…" | null, "approvedAt": "…", "approvedBy": "…", "signature": "base64" | null }
+//   }
+// }
+function integrityOptions(settings = {}) {
+  const opts = settings.plugins?.integrity || {};
+  return {
+    enabled: settings.plugins?.verifyIntegrity === true,
+    lockfile: opts.lockfile ? path.resolve(ROOT, opts.lockfile) : DEFAULT_LOCKFILE,
+    publicKey: opts.publicKey ? path.resolve(ROOT, opts.publicKey) : null,
+    onMismatch: opts.onMismatch === "quarantine" ? "quarantine" : "refuse",
+  };
+}
+
+function readLock(lockfile = DEFAULT_LOCKFILE) {
+  if (!fs.existsSync(lockfile)) return { version: 1, plugins: {} };
+  const lock = JSON.parse(fs.readFileSync(lockfile, "utf8"));
+  return { version: 1, plugins: {}, ...lock };
+}
+
+function writeLock(lock, lockfile = DEFAULT_LOCKFILE) {
+  const sorted = Object.fromEntries(Object.entries(lock.plugins).sort(([a], [b]) => a.localeCompare(b)));
+  fs.writeFileSync(lockfile, JSON.stringify({ ...lock, plugins: sorted }, null, 2) + "\n");
+}
+
+/* -------------------------------------------------------------------------- */
+/* #️⃣ Hashing + Signatures                                                    */
+/* -------------------------------------------------------------------------- */
+function sha256File(filePath) {
+  return crypto.createHash("sha256").update(fs.readFileSync(filePath)).digest("hex");
+}
+
+/**
+ * Current hashes of a plugin and its optional sidecar manifest.
+ */
+function fingerprint(id, pluginDir) {
+  const sidecar = path.join(pluginDir, `${id}.json`);
+  return {
+    sha256: sha256File(path.join(pluginDir, `${id}.js`)),
+    manifestSha256: fs.existsSync(sidecar) ? sha256File(sidecar) : null,
+  };
+}
+
+// The signed message binds the id to both hashes, so a signature can't be replayed onto another plugin.
+function signedPayload(id, { sha256, manifestSha256 }) {
+  return Buffer.from(`${id}:${sha256}:${manifestSha256 || ""}`);
+}
+
+function signEntry(id, hashes, privateKeyPem) {
+  return crypto.sign(null, signedPayload(id, hashes), crypto.createPrivateKey(privateKeyPem)).toString("base64");
+}
+
+function verifySignature(id, entry, publicKeyPem) {
+  if (!entry.signature) return false;
+  try {
+    return crypto.verify(
+      null,
+      signedPayload(id, entry),
+      crypto.createPublicKey(publicKeyPem),
+      Buffer.from(entry.signature, "base64")
+    );
+  } catch {
+    return false;
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* ✅ Approve + Verify                                                        */
+/* -------------------------------------------------------------------------- */
+/**
+ * Record (or refresh) a plugin's hashes in the lockfile, optionally signing them.
+ */
+function approvePlugin(id, pluginDir, { lockfile = DEFAULT_LOCKFILE, privateKeyPem = null, approvedBy = "cli" } = {}) {
+  const hashes = fingerprint(id, pluginDir);
+  const lock = readLock(lockfile);
+  lock.plugins[id] = {
+    ...hashes,
+    approvedAt: new Date().toISOString(),
+    approvedBy,
+    signature: privateKeyPem ? signEntry(id, hashes, privateKeyPem) : null,
+  };
+  writeLock(lock, lockfile);
+  return lock.plugins[id];
+}
+
+function revokePlugin(id, lockfile = DEFAULT_LOCKFILE) {
+  const lock = readLock(lockfile);
+  const existed = Boolean(lock.plugins[id]);
+  delete lock.plugins[id];
+  writeLock(lock, lockfile);
+  return existed;
+}
+
+/**
+ * Check a plugin against the lockfile before it is required.
+ * @returns {{ ok: boolean, status: string, reason?: string, sha256?: string }}
+ *   status: "skipped" | "verified" | "signed" | "unapproved" | "mismatch" | "bad_signature"
+ */
+function verifyPlugin(id, pluginDir, settings) {
+  const opts = integrityOptions(settings);
+  if (!opts.enabled) return { ok: true, status: "skipped" };
+
+  let lock;
+  try {
+    lock = readLock(opts.lockfile);
+  } catch (err) {
+    return { ok: false, status: "unapproved", reason: `Unreadable plugin lockfile: ${err.message}` };
+  }
+
+  const entry = lock.plugins[id];
+  const current = fingerprint(id, pluginDir);
+  if (!entry) {
+    return { ok: false, status: "unapproved", sha256: current.sha256, reason: "Not in plugin lockfile (run npm run plugins:approve)" };
+  }
+  if (entry.sha256 !== current.sha256) {
+    return { ok: false, status: "mismatch", sha256: current.sha256, reason: `SHA-256 mismatch (expected ${entry.sha256.slice(0, 12)}…, got ${current.sha256.slice(0, 12)}…)` };
+  }
+  if ((entry.manifestSha256 || null) !== current.manifestSha256) {
+    return { ok: false, status: "mismatch", sha256: current.sha256, reason: "Sidecar manifest changed since approval" };
+  }
+
+  if (opts.publicKey) {
+    const publicKeyPem = fs.readFileSync(opts.publicKey, "utf8");
+    if (!verifySignature(id, entry, publicKeyPem)) {
+      return { ok: false, status: "bad_signature", sha256: current.sha256, reason: "Missing or invalid ed25519 signature" };
+    }
+    return { ok: true, status: "signed", sha256: current.sha256 };
+  }
+  return { ok: true, status: "verified", sha256: current.sha256 };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🚧 Quarantine                                                              */
+/* -------------------------------------------------------------------------- */
+/**
+ * Move a rejected plugin (and sidecar) into <pluginDir>/.quarantine with a note explaining why.
+ */
+function quarantinePlugin(id, pluginDir, reason) {
+  const dir = path.join(pluginDir, ".quarantine");
+  fs.mkdirSync(dir, { recursive: true });
+  for (const file of [`${id}.js`, `${id}.json`]) {
+    const from = path.join(pluginDir, file);
+    if (fs.existsSync(from)) fs.renameSync(from, path.join(dir, file));
+  }
+
+  const indexPath = path.join(dir, "index.json");
+  const index = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, "utf8")) : {};
+  index[id] = { reason, quarantinedAt: new Date().toISOString() };
+  fs.writeFileSync(indexPath, JSON.stringify(index, null, 2));
+}
+
+function listQuarantined(pluginDir) {
+  const indexPath = path.join(pluginDir, ".quarantine", "index.json");
+  if (!fs.existsSync(indexPath)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, "utf8"));
+  } catch {
+    return {};
+  }
+}
+
+module.exports = {
+  integrityOptions,
+  readLock,
+  writeLock,
+  fingerprint,
+  approvePlugin,
+  revokePlugin,
+  verifyPlugin,
+  quarantinePlugin,
+  listQuarantined,
+  DEFAULT_LOCKFILE,
+};
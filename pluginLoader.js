@@ -3,17 +3,27 @@
 
 const fs = require("fs");
 const path = require("path");
-const chalk = require("chalk");
+const chalk = require("chalk").default;
 const { EventEmitter } = require("events");
+const chokidar = require("chokidar");
 const logger = require("./logger");
+const { PluginContext } = require("./pluginContext");
+const { readManifest, isMinecraftCompatible, resolveLoadOrder } = require("./pluginManifest");
+const { PluginSandbox } = require("./pluginSandbox");
+const { validate, formatErrors } = require("./schema");
+const { store } = require("./settingsStore");
+const { bus } = require("./eventBus");
+const { verifyPlugin, integrityOptions, quarantinePlugin, listQuarantined, approvePlugin } = require("./pluginIntegrity");
 
 const PLUGIN_DIR = path.join(__dirname, "plugins");
-const SETTINGS_PATH = path.join(__dirname, "settings.json");
 
 // 🌐 Global Emitter Bridge
 const pluginEmitter = new EventEmitter();
 global.pluginLoaderEmitter = pluginEmitter;
 
+// 🤖 Bots currently running plugins, keyed by fleet bot id → { bot, io, opts }
+const attachedBots = new Map();
+
 // 🧩 Ensure plugin directory exists
 if (!fs.existsSync(PLUGIN_DIR)) fs.mkdirSync(PLUGIN_DIR, { recursive: true });
 
@@ -25,13 +35,17 @@ function ensureExamplePlugin() {
   if (files.length === 0) {
     const examplePlugin = `
     /* examplePlugin.js — 🧩 Basic Example Plugin for Cosmic Core */
-    module.exports = (bot, config, logger, io) => {
+    module.exports = (bot, config, logger, io, ctx) => {
       logger.info("🧩 Example plugin loaded.");
-      bot.once("spawn", () => logger.success("🎉 Example plugin active!"));
+      ctx.once("spawn", () => logger.success("🎉 Example plugin active!"));
     };
     `;
     fs.writeFileSync(path.join(PLUGIN_DIR, "examplePlugin.js"), examplePlugin.trim(), "utf8");
     logger.info("🧩 Created example plugin: examplePlugin.js");
+
+    // 🔏 We wrote it ourselves, so it goes straight into the integrity lockfile
+    const { enabled, lockfile } = integrityOptions(store.settings); // readSettings is declared below
+    if (enabled) approvePlugin("examplePlugin", PLUGIN_DIR, { lockfile, approvedBy: "loader" });
   }
 }
 ensureExamplePlugin();
@@ -53,72 +67,384 @@ function safeRequire(filePath) {
 }
 
 /* -------------------------------------------------------------------------- */
-/* 🔌 Plugin Loader Core (V2-R13 – Hot Reload Bridge)                         */
+/* 📒 Plugin Registry                                                         */
 /* -------------------------------------------------------------------------- */
-async function loadPlugins(bot, io, opts = {}) {
-  const pluginFiles = fs.readdirSync(PLUGIN_DIR).filter((f) => f.endsWith(".js"));
-  logger.tag("#PLUGINS", `🧩 Loading ${pluginFiles.length} plugins...`);
+// name → { name, file, meta, state, enabled, loadTime, loadedAt, lastError, configErrors,
+//          instances: Map<botId, { loadedAt, ctx, config, sandboxed? }> }
+// state: "unloaded" | "loaded" | "disabled" | "crashed" | "invalid" | "blocked" | "rejected" | "quarantined"
+const registry = new Map();
+
+// Validated, live settings (settingsStore.js keeps them in sync with settings.json)
+const readSettings = () => store.settings;
+
+function isEnabled(settings, name) {
+  return !(settings.plugins && settings.plugins[name] === false);
+}
+
+/**
+ * Persist a plugin's enable flag in settings.json (`plugins.<name>: false` disables it).
+ */
+function persistPluginFlag(name, enabled) {
+  // Quiet store update: the caller applies the toggle itself, the settings watcher must not repeat it
+  store.update((raw) => {
+    raw.plugins = raw.plugins || {};
+    if (enabled) delete raw.plugins[name];
+    else raw.plugins[name] = false;
+  });
+  return readSettings();
+}
+
+function discoverPlugins() {
+  return fs
+    .readdirSync(PLUGIN_DIR)
+    .filter((f) => f.endsWith(".js"))
+    .map((f) => f.replace(".js", ""));
+}
+
+function ensureEntry(name) {
+  if (!registry.has(name)) {
+    registry.set(name, {
+      name,
+      file: `${name}.js`,
+      meta: readManifest(name, null, null),
+      state: "unloaded",
+      enabled: true,
+      loadTime: null,
+      loadedAt: null,
+      lastError: null,
+      configErrors: null,
+      instances: new Map(),
+    });
+  }
+  return registry.get(name);
+}
+
+function describe(entry) {
+  return {
+    name: entry.name,
+    file: entry.file,
+    meta: entry.meta,
+    sandboxed: [...entry.instances.values()].some((i) => i.sandboxed),
+    state: entry.state,
+    enabled: entry.enabled,
+    loadTime: entry.loadTime,
+    loadedAt: entry.loadedAt,
+    lastError: entry.lastError,
+    configErrors: entry.configErrors,
+    integrity: entry.integrity ? { status: entry.integrity.status, sha256: entry.integrity.sha256 || null } : null,
+    bots: [...entry.instances.keys()],
+  };
+}
+
+function emitChange(entry) {
+  pluginEmitter.emit("pluginChanged", describe(entry));
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔌 Single Plugin Load / Unload                                             */
+/* -------------------------------------------------------------------------- */
+/**
+ * Sandboxed plugins are opted in by their sidecar manifest (`isolated: true`)
+ * or by listing them in `plugins.sandbox.isolated` in settings.json.
+ */
+function isIsolated(entry, settings) {
+  return entry.meta.isolated || (settings.plugins?.sandbox?.isolated || []).includes(entry.name);
+}
+
+/**
+ * Require a plugin fresh and refresh its manifest. Returns the module (null if it failed to load).
+ * Isolated plugins are never required in the main process — their worker loads them — and
+ * disabled ones are not required at all: their top-level code must not run, so only the
+ * sidecar manifest (<name>.json) describes them.
+ */
+function preparePlugin(name, settings = readSettings()) {
+  const entry = ensureEntry(name);
 
-  let settings = {};
-  if (fs.existsSync(SETTINGS_PATH)) {
+  if (!isEnabled(settings, name)) {
     try {
-      settings = JSON.parse(fs.readFileSync(SETTINGS_PATH, "utf8")) || {};
+      entry.meta = readManifest(name, null, PLUGIN_DIR);
     } catch (err) {
-      logger.error(`⚠️ Failed to parse settings.json: ${err.message}`);
+      logger.warn(`⚠️ ${err.message}`);
+      entry.meta = readManifest(name, null, null);
     }
+    return null;
   }
 
-  let results = [];
-  let disabled = 0;
+  // 🔏 Nothing is required (or handed to a worker) before its hash checks out
+  entry.integrity = verifyPlugin(name, PLUGIN_DIR, settings);
+  if (!entry.integrity.ok) {
+    logger.error(`🔏 Plugin ${name} failed integrity check: ${entry.integrity.reason}`);
+    if (integrityOptions(settings).onMismatch === "quarantine") {
+      quarantinePlugin(name, PLUGIN_DIR, entry.integrity.reason);
+      entry.integrity.quarantined = true;
+      logger.warn(`🚧 Plugin ${name} moved to quarantine.`);
+    }
+    return null;
+  }
 
-  for (const file of pluginFiles) {
-    const name = file.replace(".js", "");
-    const pluginPath = path.join(PLUGIN_DIR, file);
+  try {
+    entry.meta = readManifest(name, null, PLUGIN_DIR);
+  } catch (err) {
+    logger.warn(`⚠️ ${err.message} — falling back to exported meta.`);
+    entry.meta = readManifest(name, null, null);
+  }
+  if (isIsolated(entry, settings)) return null;
 
-    if (settings.plugins && settings.plugins[name] === false) {
-      logger.info(`🚫 Plugin disabled: ${name}`);
-      disabled++;
-      continue;
-    }
+  const mod = safeRequire(path.join(PLUGIN_DIR, entry.file));
+  try {
+    entry.meta = readManifest(name, mod, PLUGIN_DIR);
+  } catch {
+    entry.meta = readManifest(name, mod, null);
+  }
+  return mod;
+}
 
-    try {
-      const plugin = safeRequire(pluginPath);
-      if (!plugin) continue;
+/**
+ * Run an isolated plugin in a worker thread. A runtime crash (exception, OOM, watchdog kill)
+ * only marks the plugin crashed — the bot and every other plugin keep running.
+ */
+async function startSandboxed(entry, target, settings, config, ctx, pluginLogger) {
+  const { bot, io, opts } = target;
+  const sandbox = new PluginSandbox({
+    name: entry.name,
+    file: path.join(PLUGIN_DIR, entry.file),
+    bot,
+    io,
+    ctx,
+    config,
+    logger: pluginLogger,
+    limits: settings.plugins?.sandbox || {},
+  });
 
-      const start = Date.now();
+  sandbox.on("crash", (reason) => {
+    const instance = entry.instances.get(opts.botId);
+    if (instance?.ctx !== ctx) return;
+    entry.instances.delete(opts.botId);
+    ctx.dispose();
+    Object.assign(entry, { state: "crashed", lastError: reason });
+    io?.emit("toast", { type: "error", message: `Sandboxed plugin ${entry.name} crashed: ${reason}` });
+    emitChange(entry);
+  });
 
-      if (typeof plugin === "function") {
-        await plugin(bot, settings[name] || {}, logger.child(name), io);
-      } else if (typeof plugin === "object" && typeof plugin.run === "function") {
-        await plugin.run(bot, settings[name] || {}, logger.child(name), io);
-      } else {
-        logger.warn(`⚠️ Invalid plugin format: ${name}`);
-        continue;
-      }
+  ctx.onConfigChange((next, prev) => sandbox.updateConfig(next, prev));
+  const exportedMeta = await sandbox.start();
+  if (exportedMeta) entry.meta = { ...readManifest(entry.name, { meta: exportedMeta }, PLUGIN_DIR), isolated: true };
+}
+
+/**
+ * Why a plugin cannot run on this bot right now (unloaded dependency, wrong Minecraft version), or null.
+ */
+function blockReason(entry, target) {
+  const missing = entry.meta.dependsOn.find((dep) => !registry.get(dep)?.instances.has(target.opts.botId));
+  if (missing) return `Dependency "${missing}" is not loaded`;
+  if (!isMinecraftCompatible(entry.meta.minecraft, target.bot?.version)) {
+    return `Requires Minecraft ${entry.meta.minecraft.join(" / ")} (bot runs ${target.bot.version})`;
+  }
+  return null;
+}
 
+/* -------------------------------------------------------------------------- */
+/* ⚙️ Plugin Config                                                           */
+/* -------------------------------------------------------------------------- */
+/**
+ * The plugin's `settings.<name>` block, validated against its manifest's configSchema
+ * with defaults filled in. Plugins without a schema get the raw block.
+ */
+function resolveConfig(entry, settings) {
+  const raw = settings[entry.name] ?? {};
+  if (!entry.meta.configSchema) return { config: raw, errors: [] };
+  const { value, errors } = validate(entry.meta.configSchema, raw);
+  return { config: value, errors };
+}
+
+function markConfigInvalid(entry, errors, io) {
+  const message = formatErrors(errors);
+  logger.error(`⚙️ Plugin ${entry.name} has an invalid config — not loaded:`);
+  for (const e of errors) {
+    logger.error(`   • ${e.path === "(root)" ? entry.name : `${entry.name}.${e.path}`}: ${e.message}`);
+  }
+  Object.assign(entry, { state: "invalid", lastError: `Invalid config: ${message}`, configErrors: errors });
+  io?.emit("toast", { type: "error", message: `Plugin ${entry.name}: invalid config (${message})` });
+  emitChange(entry);
+}
+
+function markBlocked(entry, reason) {
+  logger.warn(`⛔ Plugin ${entry.name} skipped: ${reason}`);
+  Object.assign(entry, { state: "blocked", lastError: reason });
+  emitChange(entry);
+}
+
+/**
+ * Run one plugin against one attached bot. Returns `{ name, time }` on success, null otherwise.
+ * A plugin that throws while loading is marked crashed and auto-disabled in settings.json.
+ */
+async function loadPluginForBot(name, target, settings, mod = preparePlugin(name, settings)) {
+  const entry = ensureEntry(name);
+  entry.enabled = isEnabled(settings, name);
+
+  if (!entry.enabled) {
+    logger.info(`🚫 Plugin disabled: ${name}`);
+    entry.state = "disabled";
+    emitChange(entry);
+    return null;
+  }
+
+  if (entry.integrity && !entry.integrity.ok) {
+    Object.assign(entry, {
+      state: entry.integrity.quarantined ? "quarantined" : "rejected",
+      lastError: entry.integrity.reason,
+    });
+    emitChange(entry);
+    return null;
+  }
+
+  const reason = blockReason(entry, target);
+  if (reason) {
+    markBlocked(entry, reason);
+    return null;
+  }
+
+  const { bot, io, opts } = target;
+  const { config, errors } = resolveConfig(entry, settings);
+  if (errors.length) {
+    markConfigInvalid(entry, errors, io);
+    return null;
+  }
+  entry.configErrors = null;
+
+  const pluginLogger = logger.child(name);
+  const ctx = new PluginContext(name, bot, io, pluginLogger);
+  try {
+    if (isIsolated(entry, settings)) {
+      const start = Date.now();
+      await startSandboxed(entry, target, settings, config, ctx, pluginLogger);
       const time = Date.now() - start;
-      results.push({ name, time });
-      logger.success(`🔌 Loaded plugin: ${chalk.bold(name)} (${time}ms)`);
+      entry.instances.set(opts.botId, { loadedAt: Date.now(), ctx, config, sandboxed: true });
+      Object.assign(entry, { state: "loaded", loadTime: time, loadedAt: new Date().toISOString(), lastError: null });
+      logger.success(`🧪 Loaded sandboxed plugin: ${chalk.bold(name)} v${entry.meta.version} (${time}ms)`);
+      emitChange(entry);
+      return { name, time };
+    }
 
-    } catch (err) {
-      logger.error(`❌ Error in plugin "${file}": ${err.message}`);
-      console.error(err.stack || err);
-      if (settings.plugins) settings.plugins[name] = false;
-      fs.writeFileSync(SETTINGS_PATH, JSON.stringify(settings, null, 2));
-      io?.emit("toast", { type: "error", message: `Plugin ${name} crashed and was auto-disabled` });
+    const plugin = mod;
+    if (!plugin) {
+      Object.assign(entry, { state: "invalid", lastError: "Module failed to load (see console)" });
+      emitChange(entry);
+      return null;
+    }
+
+    const start = Date.now();
+    const args = [ctx.wrapBot(), config, pluginLogger, ctx.wrapIo(), ctx];
+    let returned;
+
+    if (typeof plugin === "function") {
+      returned = await plugin(...args);
+    } else if (typeof plugin === "object" && typeof plugin.run === "function") {
+      returned = await plugin.run(...args);
+    } else {
+      logger.warn(`⚠️ Invalid plugin format: ${name}`);
+      entry.state = "invalid";
+      entry.lastError = "Plugin must export a function or { run }";
+      emitChange(entry);
+      return null;
     }
+
+    // 🧹 Teardown contract: returned disposer, returned { stop }, or exported stop(bot)
+    if (typeof returned === "function") ctx.onDispose(returned);
+    else if (returned && typeof returned.stop === "function") ctx.onDispose(() => returned.stop());
+    if (typeof plugin.stop === "function") ctx.onDispose(() => plugin.stop(bot));
+
+    // ⚙️ Live config hooks: ctx.onConfigChange(), returned { onConfigChange }, or exported onConfigChange(next, prev, bot)
+    if (typeof returned?.onConfigChange === "function") ctx.onConfigChange((next, prev) => returned.onConfigChange(next, prev));
+    if (typeof plugin.onConfigChange === "function") ctx.onConfigChange((next, prev) => plugin.onConfigChange(next, prev, bot));
+
+    const time = Date.now() - start;
+    entry.instances.set(opts.botId, { loadedAt: Date.now(), ctx, config });
+    Object.assign(entry, { state: "loaded", loadTime: time, loadedAt: new Date().toISOString(), lastError: null });
+    logger.success(`🔌 Loaded plugin: ${chalk.bold(name)} v${entry.meta.version} (${time}ms)`);
+    emitChange(entry);
+    return { name, time };
+  } catch (err) {
+    logger.error(`❌ Error in plugin "${entry.file}": ${err.message}`);
+    console.error(err.stack || err);
+    await ctx.dispose();
+    persistPluginFlag(name, false);
+    Object.assign(entry, { state: "crashed", enabled: false, lastError: err.message });
+    entry.instances.delete(opts.botId);
+    io?.emit("toast", { type: "error", message: `Plugin ${name} crashed and was auto-disabled` });
+    emitChange(entry);
+    return null;
+  }
+}
+
+/**
+ * Tear down one plugin on one bot (or every bot) and evict its module from the require cache.
+ */
+async function unloadPlugin(name, botId) {
+  const entry = registry.get(name);
+  if (!entry) return;
+  const ids = botId ? [botId] : [...entry.instances.keys()];
+  for (const id of ids) {
+    const instance = entry.instances.get(id);
+    entry.instances.delete(id);
+    if (instance?.ctx) await instance.ctx.dispose();
+  }
+
+  if (!entry.instances.size) {
+    const file = path.join(PLUGIN_DIR, entry.file);
+    if (require.cache[file]) delete require.cache[file];
+    if (entry.state === "loaded") entry.state = "unloaded";
+  }
+  emitChange(entry);
+}
+
+function targetsFor(name) {
+  return [...attachedBots.values()].filter((t) => !t.opts.only || t.opts.only.includes(name));
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔌 Plugin Loader Core (V2-R13 – Hot Reload Bridge)                         */
+/* -------------------------------------------------------------------------- */
+async function loadPlugins(bot, io, opts = {}) {
+  const botId = opts.botId || "main";
+  const target = { bot, io, opts: { botId, only: opts.only } };
+  attachedBots.set(botId, target);
+
+  // A fleet profile may restrict which plugins its bot runs
+  const names = discoverPlugins().filter((n) => !opts.only || opts.only.includes(n));
+  logger.tag("#PLUGINS", `🧩 Loading ${names.length} plugins for ${botId}...`);
+
+  const settings = readSettings();
+  const results = [];
+  let disabled = 0;
+
+  // 📜 Manifests first, so dependencies load before their dependents
+  for (const name of names) await unloadPlugin(name, botId);
+  const modules = new Map(names.map((name) => [name, preparePlugin(name, settings)]));
+  const { order, blocked } = resolveLoadOrder(new Map(names.map((name) => [name, registry.get(name).meta])));
+
+  for (const name of order) {
+    if (blocked.has(name)) {
+      markBlocked(registry.get(name), blocked.get(name));
+      continue;
+    }
+    const result = await loadPluginForBot(name, target, settings, modules.get(name));
+    if (result) results.push(result);
+    else if (registry.get(name)?.state === "disabled") disabled++;
   }
 
   const summary = {
-    total: pluginFiles.length,
+    botId,
+    total: names.length,
     loaded: results.length,
     disabled,
     list: results.map((p) => p.name),
+    plugins: names.map((name) => describe(registry.get(name))),
   };
 
   logger.info(
     chalk.cyanBright(
-      `\n📦 Plugin Summary
+      `\n📦 Plugin Summary [${botId}]
 ──────────────────────────────
 Total:    ${summary.total}
 Loaded:   ${summary.loaded}
@@ -141,14 +467,255 @@ Active:   ${summary.list.join(", ") || "none"}\n`
   return summary;
 }
 
+/* -------------------------------------------------------------------------- */
+/* 🎛️ Per-Plugin Lifecycle API                                                */
+/* -------------------------------------------------------------------------- */
+function assertKnown(name) {
+  if (!name || !discoverPlugins().includes(name)) throw new Error(`Unknown plugin: ${name}`);
+}
+
+/**
+ * Registered plugins that (transitively) depend on `name`, dependencies first.
+ */
+function dependentsOf(name) {
+  const found = new Set();
+  const walk = (id) => {
+    for (const entry of registry.values()) {
+      if (entry.meta.dependsOn.includes(id) && !found.has(entry.name)) {
+        found.add(entry.name);
+        walk(entry.name);
+      }
+    }
+  };
+  walk(name);
+  const { order } = resolveLoadOrder(new Map([...registry.values()].map((e) => [e.name, e.meta])));
+  return order.filter((id) => found.has(id));
+}
+
+/**
+ * Load one plugin (plus any blocked dependents it unlocks) on every bot allowed to run it.
+ */
+async function loadEverywhere(name, settings) {
+  for (const target of targetsFor(name)) {
+    await loadPluginForBot(name, target, settings);
+  }
+  for (const dependent of dependentsOf(name)) {
+    if (registry.get(dependent).state !== "blocked") continue;
+    for (const target of targetsFor(dependent)) await loadPluginForBot(dependent, target, settings);
+  }
+}
+
+/**
+ * Reload one plugin on every attached bot without touching unrelated plugins.
+ * Dependents are restarted too, since they may hold references into the old instance.
+ */
+async function reloadPlugin(name, settings = readSettings()) {
+  assertKnown(name);
+  const dependents = dependentsOf(name);
+  for (const dependent of [...dependents].reverse()) await unloadPlugin(dependent);
+  await unloadPlugin(name);
+
+  for (const target of targetsFor(name)) await loadPluginForBot(name, target, settings);
+  for (const dependent of dependents) {
+    for (const target of targetsFor(dependent)) await loadPluginForBot(dependent, target, settings);
+  }
+
+  const entry = ensureEntry(name);
+  logger.tag("#PLUGINS", `🔁 Reloaded ${name} on ${entry.instances.size} bot(s)`);
+  return describe(entry);
+}
+
+async function activatePlugin(name, settings) {
+  const entry = ensureEntry(name);
+  entry.enabled = true;
+  entry.state = "unloaded";
+  await loadEverywhere(name, settings);
+  emitChange(entry);
+  return describe(entry);
+}
+
+async function deactivatePlugin(name) {
+  await parkDependents(name, `Dependency "${name}" was disabled`);
+  await unloadPlugin(name);
+  const entry = ensureEntry(name);
+  Object.assign(entry, { enabled: false, state: "disabled" });
+  logger.info(`🚫 Plugin disabled: ${name}`);
+  emitChange(entry);
+  return describe(entry);
+}
+
+async function enablePlugin(name) {
+  assertKnown(name);
+  return activatePlugin(name, persistPluginFlag(name, true));
+}
+
+/**
+ * Dependents cannot run without `name` — unload them (last first) and park them as blocked.
+ */
+async function parkDependents(name, reason) {
+  for (const dependent of [...dependentsOf(name)].reverse()) {
+    const dep = registry.get(dependent);
+    if (!dep.instances.size) continue;
+    await unloadPlugin(dependent);
+    markBlocked(dep, reason);
+  }
+}
+
+async function disablePlugin(name) {
+  assertKnown(name);
+  persistPluginFlag(name, false);
+  return deactivatePlugin(name);
+}
+
+/**
+ * Every plugin on disk plus anything still registered (e.g. a deleted file that is still loaded).
+ */
+function listPlugins() {
+  const settings = readSettings();
+  for (const name of discoverPlugins()) {
+    const entry = ensureEntry(name);
+    entry.enabled = isEnabled(settings, name);
+    if (!entry.enabled && entry.state === "unloaded") entry.state = "disabled";
+  }
+  for (const [name, info] of Object.entries(listQuarantined(PLUGIN_DIR))) {
+    if (discoverPlugins().includes(name)) continue;
+    Object.assign(ensureEntry(name), { state: "quarantined", lastError: info.reason });
+  }
+  return [...registry.values()].map(describe);
+}
+
+/* -------------------------------------------------------------------------- */
+/* ⚙️ Live Config Updates                                                     */
+/* -------------------------------------------------------------------------- */
+const sameConfig = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Diff every plugin's settings block against what its instances are running with and hand only
+ * the changed ones to their onConfigChange hooks. Plugins without a hook (or whose hook throws or
+ * returns false) are reloaded on their own; an invalid new config is rejected and the old one kept.
+ */
+async function applyConfigChanges(settings = readSettings()) {
+  const changed = [];
+  for (const entry of [...registry.values()]) {
+    // A plugin parked for a bad config gets another chance once the config is fixed
+    if (entry.state === "invalid" && entry.configErrors) {
+      if (resolveConfig(entry, settings).errors.length) continue;
+      logger.info(`⚙️ Config for ${entry.name} is valid again — loading.`);
+      await loadEverywhere(entry.name, settings);
+      changed.push(entry.name);
+      continue;
+    }
+    if (!entry.instances.size) continue;
+
+    const { config, errors } = resolveConfig(entry, settings);
+    if (errors.length) {
+      const lastError = `Invalid config: ${formatErrors(errors)}`;
+      if (entry.lastError === lastError) continue;
+      logger.warn(`⚙️ Ignoring invalid config for ${entry.name} (keeping the running one): ${formatErrors(errors)}`);
+      Object.assign(entry, { lastError, configErrors: errors });
+      changed.push(entry.name);
+      emitChange(entry);
+      continue;
+    }
+
+    const stale = [...entry.instances.values()].filter((instance) => !sameConfig(instance.config, config));
+    if (!stale.length) {
+      // Reverted to what is already running after a rejected edit
+      if (entry.configErrors) {
+        Object.assign(entry, { lastError: null, configErrors: null });
+        emitChange(entry);
+      }
+      continue;
+    }
+    changed.push(entry.name);
+
+    let needsReload = false;
+    for (const instance of stale) {
+      try {
+        if (await instance.ctx.applyConfig(config, instance.config)) instance.config = config;
+        else needsReload = true;
+      } catch (err) {
+        logger.warn(`⚠️ onConfigChange of ${entry.name} threw: ${err.message}`);
+        needsReload = true;
+      }
+    }
+
+    if (needsReload) {
+      logger.tag("#PLUGINS", `⚙️ Config of ${entry.name} changed — reloading it.`);
+      await reloadPlugin(entry.name, settings);
+    } else {
+      logger.tag("#PLUGINS", `⚙️ Applied new config to ${entry.name} without reload.`);
+      Object.assign(entry, { lastError: null, configErrors: null });
+      emitChange(entry);
+    }
+  }
+  return changed;
+}
+
+// File-triggered work (config edits, hot reloads) runs one job at a time
+let watchQueue = Promise.resolve();
+function enqueue(label, job) {
+  watchQueue = watchQueue.then(job).catch((err) => logger.error(`❌ ${label} failed: ${err.message}`));
+  return watchQueue;
+}
+
+/**
+ * `plugins.<name>: false` added or removed by hand — enable/disable without touching the file again.
+ */
+async function applyPluginToggles(settings = readSettings()) {
+  for (const name of discoverPlugins()) {
+    const entry = registry.get(name);
+    const wanted = isEnabled(settings, name);
+    if (wanted && entry && !entry.enabled) await activatePlugin(name, settings);
+    else if (!wanted && entry?.enabled) await deactivatePlugin(name);
+  }
+}
+
+/**
+ * Follow the settings store: plugin toggles and plugin config blocks apply live.
+ * (An unreadable settings.json never reaches here — the store keeps the last good copy.)
+ */
+let followingSettings = false;
+function followSettings() {
+  if (followingSettings) return;
+  followingSettings = true;
+  store.on("change", ({ changes, settings }) => {
+    if (changes.some((c) => c.section === "plugins")) enqueue("Applying plugin toggles", () => applyPluginToggles(settings));
+    enqueue("Applying plugin config", () => applyConfigChanges(settings));
+  });
+}
+
 /* -------------------------------------------------------------------------- */
 /* 🔁 Hot Reload Logic                                                       */
 /* -------------------------------------------------------------------------- */
+/**
+ * Re-run plugins against every attached bot (each keeps its own plugin filter).
+ */
+async function reloadAllPlugins() {
+  const summaries = [];
+  for (const { bot, io, opts } of attachedBots.values()) {
+    summaries.push(await loadPlugins(bot, io, { ...opts, hotReload: true }));
+  }
+  return summaries;
+}
+
+/**
+ * Forget a bot that disconnected or left the fleet so reloads skip it.
+ */
+function detachBot(botId) {
+  attachedBots.delete(botId);
+  for (const entry of registry.values()) {
+    const instance = entry.instances.get(botId);
+    entry.instances.delete(botId);
+    instance?.ctx.dispose().catch((err) => logger.warn(`⚠️ Teardown of ${entry.name} failed: ${err.message}`));
+  }
+}
+
 pluginEmitter.on("reloadPlugins", async () => {
   logger.header("♻️ Hot Reloading Plugins...");
   try {
-    await loadPlugins(global.botInstance, global.ioInstance, { hotReload: true });
-    global.ioInstance?.emit("toast", {
+    await reloadAllPlugins();
+    bus.broadcast("toast", {
       type: "success",
       message: "✅ Plugins reloaded successfully (Hot Bridge)",
     });
@@ -158,16 +725,93 @@ pluginEmitter.on("reloadPlugins", async () => {
 });
 
 /* -------------------------------------------------------------------------- */
-/* 🌌 Cosmic Hot Reload — Watch for Changes                                  */
+/* 🌌 Cosmic Hot Reload — Per-File, Debounced                                */
 /* -------------------------------------------------------------------------- */
+const HOT_RELOAD_DEBOUNCE = 300;
+// Editor droppings: dotfiles, vim swap files, emacs #autosave#, backups~, temp and partial downloads
+const IGNORED_FILE = /^(\.|#.*#$)|~$|\.(sw[a-p]|tmp|temp|bak|orig|part|crdownload)$/i;
+const pendingReloads = new Map(); // plugin id → debounce timer
+let watcher = null;
+
+const autoReloadEnabled = () => readSettings().plugins?.autoReload !== false;
+
+function pluginIdFromPath(file) {
+  const match = /^(.+)\.(js|json)$/.exec(path.basename(file));
+  return match ? match[1] : null;
+}
+
+/**
+ * Bring one plugin in line with what is on disk: load it if new, reload it if edited,
+ * unload it (parking its dependents) if its file is gone.
+ */
+async function hotReloadPlugin(id) {
+  const settings = readSettings();
+  const start = Date.now();
+  const existed = registry.get(id);
+  let action;
+
+  if (!fs.existsSync(path.join(PLUGIN_DIR, `${id}.js`))) {
+    if (!existed) return null;
+    action = "removed";
+    await parkDependents(id, `Dependency "${id}" was removed`);
+    await unloadPlugin(id);
+    if (!existed.integrity?.quarantined) registry.delete(id);
+  } else if (existed?.instances.size) {
+    action = "changed";
+    await reloadPlugin(id, settings);
+  } else {
+    action = existed ? "changed" : "added";
+    await loadEverywhere(id, settings);
+  }
+
+  const entry = registry.get(id);
+  const result = {
+    plugin: id,
+    action,
+    time: Date.now() - start,
+    state: entry ? entry.state : "removed",
+    bots: entry ? [...entry.instances.keys()] : [],
+    error: entry?.state === "loaded" ? null : entry?.lastError || null,
+    timestamp: Date.now(),
+  };
+  logger.tag("#HOT", `♻️ ${id} ${action} → ${result.state} in ${result.time}ms`);
+  pluginEmitter.emit("pluginReloaded", result);
+  return result;
+}
+
+function scheduleHotReload(event, file) {
+  const id = pluginIdFromPath(file);
+  if (!id) return;
+  if (!autoReloadEnabled()) {
+    logger.debug(`♻️ Ignoring ${event} of ${path.basename(file)} (plugins.autoReload is off)`);
+    return;
+  }
+
+  // Editors fire several events per save (truncate + write, or unlink + rename) — settle first
+  clearTimeout(pendingReloads.get(id));
+  pendingReloads.set(
+    id,
+    setTimeout(() => {
+      pendingReloads.delete(id);
+      enqueue(`Hot reload of ${id}`, () => hotReloadPlugin(id));
+    }, HOT_RELOAD_DEBOUNCE)
+  );
+}
+
 function initHotReload() {
-  fs.watch(PLUGIN_DIR, (event, filename) => {
-    if (filename && filename.endsWith(".js")) {
-      logger.tag("#HOT", `♻️ Detected change in ${filename}, reloading plugins...`);
-      pluginEmitter.emit("reloadPlugins");
-    }
+  if (watcher) return watcher;
+  watcher = chokidar.watch(PLUGIN_DIR, {
+    ignoreInitial: true,
+    depth: 0,
+    ignored: (file) => file !== PLUGIN_DIR && IGNORED_FILE.test(path.basename(file)),
   });
-  logger.info("🌌 Cosmic Hot Reload active — watching for plugin updates...");
+  for (const event of ["add", "change", "unlink"]) watcher.on(event, (file) => scheduleHotReload(event, file));
+  watcher.on("error", (err) => logger.error(`❌ Plugin watcher error: ${err.message}`));
+
+  followSettings();
+  if (autoReloadEnabled()) logger.info("🌌 Cosmic Hot Reload active — watching for plugin updates and config changes...");
+  else logger.info("🌌 Plugin hot reload is paused (plugins.autoReload: false) — config changes still apply live.");
+  return watcher;
 }
 
 /* -------------------------------------------------------------------------- */
@@ -175,6 +819,17 @@ function initHotReload() {
 /* -------------------------------------------------------------------------- */
 module.exports = {
   loadPlugins,
+  reloadAllPlugins,
+  reloadPlugin,
+  enablePlugin,
+  disablePlugin,
+  unloadPlugin,
+  listPlugins,
+  applyConfigChanges,
+  applyPluginToggles,
+  detachBot,
   initHotReload,
   loaderEmitter: pluginEmitter,
+  on: (event, listener) => pluginEmitter.on(event, listener),
+  off: (event, listener) => pluginEmitter.off(event, listener),
 };
\ No newline at end of file
@@ -0,0 +1,123 @@
+// pluginManifest.js (V6.8.5-COSMIC SYNC CORE+)
+// 📜 Plugin Manifests — Metadata, Minecraft Version Ranges + Dependency Load Ordering
+
+const fs = require("fs");
+const path = require("path");
+
+/* -------------------------------------------------------------------------- */
+/* 📜 Manifest Reading                                                        */
+/* -------------------------------------------------------------------------- */
+const toList = (value) => (value == null ? [] : Array.isArray(value) ? value.map(String) : [String(value)]);
+
+/**
+ * Build a plugin's manifest from its exported `meta` and an optional sidecar `<name>.json`
+ * next to the plugin file (sidecar fields win; pass no pluginDir to skip it).
+ * `dependsOn` lists plugin ids (file names without .js).
+ *
+ *   module.exports.meta = {
+ *     name: "Auto Eat", version: "1.2.0", author: "Uttam", description: "Eats when hungry",
+ *     minecraft: ["1.12.x", "1.20"], dependsOn: ["inventoryUtils"],
+ *   };
+ *
+ * `isolated: true` runs the plugin in a worker thread; it is only honoured from the sidecar,
+ * since the main process must not require() a plugin it is meant to isolate.
+ *
+ * `configSchema` is a JSON-schema-style description of the plugin's `settings.<id>` block
+ * (see schema.js) — the loader validates it and fills in defaults before the plugin runs.
+ * Isolated plugins should declare it in the sidecar, since it is needed before their worker starts.
+ */
+function readManifest(id, pluginModule, pluginDir) {
+  const sidecarPath = pluginDir ? path.join(pluginDir, `${id}.json`) : null;
+  const hasSidecar = Boolean(sidecarPath && fs.existsSync(sidecarPath));
+  let sidecar = {};
+  if (hasSidecar) {
+    try {
+      sidecar = JSON.parse(fs.readFileSync(sidecarPath, "utf8")) || {};
+    } catch (err) {
+      throw new Error(`Invalid manifest ${id}.json: ${err.message}`);
+    }
+  }
+
+  const meta = { ...(pluginModule?.meta || {}), ...sidecar };
+  return {
+    name: String(meta.name || id),
+    version: String(meta.version || "0.0.0"),
+    author: String(meta.author || "unknown"),
+    description: String(meta.description || ""),
+    minecraft: toList(meta.minecraft),
+    dependsOn: toList(meta.dependsOn).filter((dep) => dep !== id),
+    isolated: meta.isolated === true,
+    configSchema: meta.configSchema && typeof meta.configSchema === "object" ? meta.configSchema : null,
+    source: hasSidecar ? "sidecar" : pluginModule?.meta ? "export" : "none",
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🎮 Minecraft Version Compatibility                                         */
+/* -------------------------------------------------------------------------- */
+/**
+ * Patterns are version prefixes: "1.12" or "1.12.x" match 1.12, 1.12.1, 1.12.2 …; "1.20.1" is exact.
+ * An empty list (or an unknown bot version) means compatible.
+ */
+function isMinecraftCompatible(patterns, version) {
+  if (!patterns.length || !version) return true;
+  const have = String(version).split(".");
+  return patterns.some((pattern) => {
+    const want = pattern.replace(/\.x$/i, "").split(".");
+    return want.every((part, i) => part === "x" || part === have[i]);
+  });
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🧮 Topological Load Order                                                  */
+/* -------------------------------------------------------------------------- */
+/**
+ * Order plugins so every dependency loads before its dependents.
+ * @param {Map<string, {dependsOn: string[]}>} manifests  plugin id → manifest
+ * @returns {{ order: string[], blocked: Map<string, string> }}  blocked: id → reason (cycle / missing dep)
+ */
+function resolveLoadOrder(manifests) {
+  const order = [];
+  const blocked = new Map();
+  const state = new Map(); // id → "visiting" | "done"
+
+  const visit = (id, trail) => {
+    if (state.get(id) === "done") return;
+    if (state.get(id) === "visiting") {
+      const cycle = [...trail.slice(trail.indexOf(id)), id];
+      for (const member of cycle) blocked.set(member, `Dependency cycle: ${cycle.join(" → ")}`);
+      return;
+    }
+
+    state.set(id, "visiting");
+    for (const dep of manifests.get(id).dependsOn) {
+      if (!manifests.has(dep)) {
+        if (!blocked.has(id)) blocked.set(id, `Missing dependency: ${dep}`);
+        continue;
+      }
+      visit(dep, [...trail, id]);
+    }
+    state.set(id, "done");
+    order.push(id);
+  };
+
+  for (const id of [...manifests.keys()].sort()) visit(id, []);
+
+  // Anything depending on a blocked plugin is blocked too
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const id of order) {
+      if (blocked.has(id)) continue;
+      const bad = manifests.get(id).dependsOn.find((dep) => blocked.has(dep));
+      if (bad) {
+        blocked.set(id, `Dependency "${bad}" is blocked`);
+        changed = true;
+      }
+    }
+  }
+
+  return { order, blocked };
+}
+
+module.exports = { readManifest, isMinecraftCompatible, resolveLoadOrder };
@@ -0,0 +1,318 @@
+// pluginSandbox.js (V6.8.5-COSMIC SYNC CORE+)
+// 🧪 Plugin Isolation Host — worker_threads Sandbox, Bot API Bridge, Memory + CPU Caps + Runaway Watchdog
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { EventEmitter } = require("events");
+const { goals } = require("mineflayer-pathfinder");
+const { Vec3 } = require("vec3");
+
+const WORKER_PATH = path.join(__dirname, "pluginWorker.js");
+const STATE_INTERVAL = 1000;
+
+/* -------------------------------------------------------------------------- */
+/* 📦 Structured-Clone Safe Serialisation                                     */
+/* -------------------------------------------------------------------------- */
+/**
+ * Reduce mineflayer objects (entities, Vec3, items…) to plain data the worker can receive.
+ */
+function toPlain(value, depth = 3, seen = new WeakSet()) {
+  if (value == null || typeof value !== "object") return typeof value === "function" ? undefined : value;
+  if (typeof value.x === "number" && typeof value.y === "number" && typeof value.z === "number") {
+    return { x: value.x, y: value.y, z: value.z };
+  }
+  if (seen.has(value) || depth <= 0 || Buffer.isBuffer(value)) return undefined;
+  seen.add(value);
+  if (Array.isArray(value)) return value.slice(0, 100).map((v) => toPlain(v, depth - 1, seen));
+
+  const out = {};
+  for (const key of Object.keys(value).slice(0, 50)) {
+    const plain = toPlain(value[key], depth - 1, seen);
+    if (plain !== undefined) out[key] = plain;
+  }
+  return out;
+}
+
+// Keyed by username like mineflayer's bot.players; the entity is reduced to its position
+function playersState(players = {}) {
+  return Object.fromEntries(
+    Object.entries(players).map(([username, p]) => [
+      username,
+      {
+        username,
+        uuid: p.uuid,
+        displayName: p.displayName?.toString?.() ?? username,
+        gamemode: p.gamemode,
+        ping: p.ping,
+        entity: p.entity ? { position: toPlain(p.entity.position) } : null,
+      },
+    ])
+  );
+}
+
+function botState(bot) {
+  return {
+    username: bot.username,
+    version: bot.version,
+    health: bot.health,
+    food: bot.food,
+    dimension: bot.game?.dimension,
+    position: toPlain(bot.entity?.position),
+    players: playersState(bot.players),
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🎯 Allowed Bot Calls                                                       */
+/* -------------------------------------------------------------------------- */
+function buildGoal(bot, spec) {
+  if (!spec || !Object.hasOwn(goals, spec.type)) throw new Error(`Unsupported goal: ${spec?.type}`);
+  const args = [...(spec.args || [])];
+  if (spec.type === "GoalFollow") {
+    // Entities can't cross threads — GoalFollow takes a username instead
+    const entity = bot.players[args[0]]?.entity;
+    if (!entity) throw new Error(`Player not visible: ${args[0]}`);
+    args[0] = entity;
+  }
+  return new goals[spec.type](...args);
+}
+
+const CALLS = {
+  chat: (bot, message) => bot.chat(String(message)),
+  whisper: (bot, username, message) => bot.whisper(String(username), String(message)),
+  lookAt: (bot, point, force) => bot.lookAt(new Vec3(point.x, point.y, point.z), force),
+  setControlState: (bot, control, value) => bot.setControlState(control, Boolean(value)),
+  clearControlStates: (bot) => bot.clearControlStates(),
+  "pathfinder.setGoal": (bot, goal, dynamic) => bot.pathfinder.setGoal(goal ? buildGoal(bot, goal) : null, dynamic),
+  "pathfinder.goto": (bot, goal) => bot.pathfinder.goto(buildGoal(bot, goal)),
+  "pathfinder.stop": (bot) => bot.pathfinder.stop(),
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🧪 Sandbox                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * One plugin running in its own worker against one bot. Bot listeners are registered through
+ * the plugin's PluginContext, so the usual teardown removes them. Emits "crash" (reason) when the
+ * worker dies, runs out of memory, goes over its CPU budget, or stops answering the watchdog.
+ */
+class PluginSandbox extends EventEmitter {
+  constructor({ name, file, bot, io, ctx, config, logger, limits = {} }) {
+    super();
+    Object.assign(this, { name, file, bot, io, ctx, config, logger });
+    this.memoryMB = limits.memoryMB ?? 64;
+    this.watchdogMs = limits.watchdogMs ?? 5000;
+    this.cpuPercent = limits.cpuPercent ?? 50;
+    this.cpuWindowMs = limits.cpuWindowMs ?? 10000;
+    this.cpuUsed = 0; // % of the last window
+    this.subscriptions = new Map();
+    this.configSeq = 0;
+    this.worker = null;
+    this.lastPong = Date.now();
+    this.stopping = false;
+  }
+
+  /**
+   * Spawn the worker and resolve once the plugin's run() finished (rejects if it threw).
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.worker = new Worker(WORKER_PATH, {
+        workerData: { name: this.name, file: this.file, config: this.config, state: botState(this.bot) },
+        resourceLimits: { maxOldGenerationSizeMb: this.memoryMB },
+      });
+
+      let booted = false;
+      const bootTimer = setTimeout(() => {
+        reject(new Error(`Plugin did not finish loading within ${(this.watchdogMs * 2) / 1000}s`));
+        this.kill();
+      }, this.watchdogMs * 2);
+
+      this.worker.on("message", (msg) => {
+        if (msg.type === "ready") {
+          booted = true;
+          clearTimeout(bootTimer);
+          this._startWatchdog();
+          resolve(msg.meta);
+        } else if (msg.type === "failed") {
+          clearTimeout(bootTimer);
+          reject(new Error(msg.error));
+          this.kill();
+        } else {
+          this._handle(msg);
+        }
+      });
+
+      this.worker.on("error", (err) => {
+        const reason = err.code === "ERR_WORKER_OUT_OF_MEMORY" ? `Exceeded ${this.memoryMB}MB memory limit` : err.message;
+        if (!booted) reject(new Error(reason));
+        else this._crash(reason);
+      });
+
+      this.worker.on("exit", (code) => {
+        clearTimeout(bootTimer);
+        this._stopTimers();
+        if (!booted) reject(new Error(`Worker exited during startup (code ${code})`));
+        else if (!this.stopping) this._crash(`Worker exited unexpectedly (code ${code})`);
+      });
+
+      this.ctx.onDispose(() => this.stop());
+    });
+  }
+
+  _handle(msg) {
+    switch (msg.type) {
+      case "pong":
+        this.lastPong = Date.now();
+        break;
+      case "log":
+        (this.logger[msg.level] || this.logger.info).call(this.logger, msg.message);
+        break;
+      case "emit":
+        this.io?.emit(msg.event, msg.payload);
+        break;
+      case "subscribe":
+        this._subscribe(msg.event);
+        break;
+      case "unsubscribe": {
+        const handler = this.subscriptions.get(msg.event);
+        if (handler) this.bot.removeListener(msg.event, handler);
+        this.subscriptions.delete(msg.event);
+        break;
+      }
+      case "call":
+        this._call(msg);
+        break;
+    }
+  }
+
+  _subscribe(event) {
+    if (this.subscriptions.has(event)) return;
+    const handler = (...args) => this._post({ type: "event", event, args: args.map((a) => toPlain(a)) });
+    this.subscriptions.set(event, handler);
+    this.ctx.on(event, handler);
+  }
+
+  async _call({ id, method, args }) {
+    try {
+      if (!Object.hasOwn(CALLS, method)) throw new Error(`Bot method not available in sandbox: ${method}`);
+      const value = await CALLS[method](this.bot, ...args);
+      this._post({ type: "result", id, ok: true, value: toPlain(value) });
+    } catch (err) {
+      this._post({ type: "result", id, ok: false, error: err.message });
+    }
+  }
+
+  _post(msg) {
+    try {
+      this.worker?.postMessage(msg);
+    } catch {
+      // worker already gone
+    }
+  }
+
+  /**
+   * Forward a changed config block to the worker's onConfigChange hooks.
+   * Resolves whether the plugin handled it; rejects if a hook threw or the worker didn't answer.
+   */
+  updateConfig(config, previous) {
+    if (!this.worker || this.stopping) return Promise.resolve(false);
+    const worker = this.worker;
+    const id = ++this.configSeq;
+    return new Promise((resolve, reject) => {
+      const onMessage = (msg) => {
+        if (msg.type !== "configApplied" || msg.id !== id) return;
+        clearTimeout(timer);
+        worker.off("message", onMessage);
+        if (msg.ok) resolve(msg.handled);
+        else reject(new Error(msg.error));
+      };
+      const timer = setTimeout(() => {
+        worker.off("message", onMessage);
+        reject(new Error(`onConfigChange did not finish within ${this.watchdogMs / 1000}s`));
+      }, this.watchdogMs);
+      worker.on("message", onMessage);
+      this.config = config;
+      this._post({ type: "config", id, config, previous });
+    });
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🐕 Watchdog                                                            */
+  /* ---------------------------------------------------------------------- */
+  // A plugin spinning a tight loop never answers pings; the worker is terminated,
+  // the bot connection (owned by the main thread) is unaffected.
+  _startWatchdog() {
+    let pingId = 0;
+    this.lastPong = Date.now();
+    this.watchdog = setInterval(() => {
+      if (Date.now() - this.lastPong > this.watchdogMs) {
+        this._crash(`Watchdog: unresponsive for ${this.watchdogMs / 1000}s (runaway loop?) — worker killed`);
+        return;
+      }
+      this._post({ type: "ping", id: ++pingId });
+    }, Math.max(250, Math.floor(this.watchdogMs / 5)));
+
+    this.stateTimer = setInterval(() => this._post({ type: "state", state: botState(this.bot) }), STATE_INTERVAL);
+
+    this.cpuMark = this.worker.performance.eventLoopUtilization();
+    this.cpuTimer = setInterval(() => this._checkCpu(), this.cpuWindowMs);
+  }
+
+  // A plugin that keeps yielding still answers pings while burning a core. The worker's
+  // event-loop utilisation (share of wall time spent running its code) is its CPU use.
+  _checkCpu() {
+    if (!this.worker) return;
+    const { utilization } = this.worker.performance.eventLoopUtilization(this.cpuMark);
+    this.cpuMark = this.worker.performance.eventLoopUtilization();
+    this.cpuUsed = Math.round(utilization * 100);
+    if (this.cpuUsed > this.cpuPercent) {
+      this._crash(`CPU budget exceeded: ${this.cpuUsed}% over ${this.cpuWindowMs / 1000}s (limit ${this.cpuPercent}%) — worker killed`);
+    }
+  }
+
+  _stopTimers() {
+    clearInterval(this.watchdog);
+    clearInterval(this.stateTimer);
+    clearInterval(this.cpuTimer);
+  }
+
+  _crash(reason) {
+    if (this.stopping) return;
+    this.logger.error(`💥 Sandboxed plugin crashed: ${reason}`);
+    this.kill();
+    this.emit("crash", reason);
+  }
+
+  kill() {
+    this.stopping = true;
+    this._stopTimers();
+    this.worker?.terminate();
+    this.worker = null;
+  }
+
+  /**
+   * Ask the plugin to run its disposers, then terminate the worker (forcefully after 2s).
+   */
+  stop() {
+    if (!this.worker || this.stopping) return Promise.resolve();
+    this.stopping = true;
+    this._stopTimers();
+    const worker = this.worker;
+    return new Promise((resolve) => {
+      const onMessage = (msg) => msg.type === "stopped" && done();
+      const done = () => {
+        clearTimeout(timer);
+        worker.off("message", onMessage);
+        worker.terminate().finally(resolve);
+      };
+      const timer = setTimeout(done, 2000);
+      worker.on("message", onMessage);
+      worker.postMessage({ type: "stop" });
+    }).then(() => {
+      this.worker = null;
+    });
+  }
+}
+
+module.exports = { PluginSandbox, toPlain };
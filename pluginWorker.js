@@ -0,0 +1,185 @@
+// pluginWorker.js (V6.8.5-COSMIC SYNC CORE+)
+// 🧪 Sandboxed Plugin Runtime — Runs One Plugin in a worker_thread Against a Message-Passing Bot Proxy
+
+const { parentPort, workerData } = require("worker_threads");
+const { EventEmitter } = require("events");
+
+const { name, file, config } = workerData;
+const state = { ...workerData.state };
+const events = new EventEmitter();
+const pending = new Map();
+const disposers = [];
+const configHandlers = [];
+let seq = 0;
+
+/* -------------------------------------------------------------------------- */
+/* 📨 Host Bridge                                                             */
+/* -------------------------------------------------------------------------- */
+const post = (msg) => parentPort.postMessage(msg);
+
+function call(method, ...args) {
+  return new Promise((resolve, reject) => {
+    const id = ++seq;
+    pending.set(id, { resolve, reject });
+    post({ type: "call", id, method, args });
+  });
+}
+
+const format = (args) => args.map((a) => (typeof a === "string" ? a : JSON.stringify(a))).join(" ");
+const logger = Object.fromEntries(
+  ["info", "success", "warn", "error", "debug"].map((level) => [
+    level,
+    (...args) => post({ type: "log", level, message: format(args) }),
+  ])
+);
+
+const io = {
+  emit: (event, payload) => post({ type: "emit", event, payload }),
+  on: () => logger.warn("io.on() is not available to sandboxed plugins."),
+};
+
+/* -------------------------------------------------------------------------- */
+/* 🤖 Bot Proxy                                                               */
+/* -------------------------------------------------------------------------- */
+function subscribe(event) {
+  if (events.listenerCount(event) === 0) post({ type: "subscribe", event });
+}
+
+function unsubscribeIfIdle(event) {
+  if (events.listenerCount(event) === 0) post({ type: "unsubscribe", event });
+}
+
+// Goals cross the thread boundary as { type, args } and are rebuilt on the host.
+const goals = Object.fromEntries(
+  ["GoalBlock", "GoalNear", "GoalXZ", "GoalNearXZ", "GoalY", "GoalGetToBlock", "GoalFollow"].map((type) => [
+    type,
+    (...args) => ({ type, args }),
+  ])
+);
+
+const bot = {
+  get username() { return state.username; },
+  get version() { return state.version; },
+  get health() { return state.health; },
+  get food() { return state.food; },
+  get players() { return state.players; },
+  get game() { return { dimension: state.dimension }; },
+  get entity() { return state.position ? { position: state.position } : null; },
+
+  chat: (message) => call("chat", message),
+  whisper: (username, message) => call("whisper", username, message),
+  lookAt: (point, force) => call("lookAt", point, force),
+  setControlState: (control, value) => call("setControlState", control, value),
+  clearControlStates: () => call("clearControlStates"),
+
+  pathfinder: {
+    setGoal: (goal, dynamic) => call("pathfinder.setGoal", goal, dynamic),
+    goto: (goal) => call("pathfinder.goto", goal),
+    stop: () => call("pathfinder.stop"),
+  },
+
+  on(event, handler) {
+    subscribe(event);
+    events.on(event, handler);
+    return bot;
+  },
+  once(event, handler) {
+    subscribe(event);
+    events.once(event, handler);
+    return bot;
+  },
+  removeListener(event, handler) {
+    events.removeListener(event, handler);
+    unsubscribeIfIdle(event);
+    return bot;
+  },
+};
+bot.addListener = bot.on;
+bot.off = bot.removeListener;
+
+// Same surface as the in-process PluginContext; everything dies with the worker anyway.
+const ctx = {
+  goals,
+  on: (event, handler) => bot.on(event, handler),
+  once: (event, handler) => bot.once(event, handler),
+  onIo: io.on,
+  setInterval,
+  setTimeout,
+  clearInterval,
+  clearTimeout,
+  onDispose: (fn) => typeof fn === "function" && disposers.push(fn),
+  onConfigChange: (fn) => typeof fn === "function" && configHandlers.push(fn),
+};
+
+/* -------------------------------------------------------------------------- */
+/* 📥 Host Messages                                                           */
+/* -------------------------------------------------------------------------- */
+parentPort.on("message", async (msg) => {
+  switch (msg.type) {
+    case "ping":
+      post({ type: "pong", id: msg.id });
+      break;
+    case "state":
+      Object.assign(state, msg.state);
+      break;
+    case "event":
+      events.emit(msg.event, ...msg.args);
+      unsubscribeIfIdle(msg.event); // once() handlers may have been the last ones
+      break;
+    case "result": {
+      const waiter = pending.get(msg.id);
+      pending.delete(msg.id);
+      if (!waiter) break;
+      if (msg.ok) waiter.resolve(msg.value);
+      else waiter.reject(new Error(msg.error));
+      break;
+    }
+    case "config": {
+      // Same contract as PluginContext.applyConfig: unhandled → the host reloads the plugin
+      try {
+        let handled = configHandlers.length > 0;
+        for (const fn of configHandlers) {
+          if ((await fn(msg.config, msg.previous)) === false) handled = false;
+        }
+        post({ type: "configApplied", id: msg.id, ok: true, handled });
+      } catch (err) {
+        post({ type: "configApplied", id: msg.id, ok: false, error: err.message });
+      }
+      break;
+    }
+    case "stop":
+      for (const fn of disposers.reverse()) {
+        try {
+          await fn();
+        } catch (err) {
+          logger.warn(`stop() threw: ${err.message}`);
+        }
+      }
+      post({ type: "stopped" });
+      break;
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* 🚀 Boot                                                                    */
+/* -------------------------------------------------------------------------- */
+(async () => {
+  try {
+    const plugin = require(file);
+    const args = [bot, config, logger, io, ctx];
+    let returned;
+    if (typeof plugin === "function") returned = await plugin(...args);
+    else if (typeof plugin?.run === "function") returned = await plugin.run(...args);
+    else throw new Error("Plugin must export a function or { run }");
+
+    if (typeof returned === "function") disposers.push(returned);
+    else if (returned && typeof returned.stop === "function") disposers.push(() => returned.stop());
+    if (typeof plugin.stop === "function") disposers.push(() => plugin.stop(bot));
+    if (typeof returned?.onConfigChange === "function") ctx.onConfigChange((next, prev) => returned.onConfigChange(next, prev));
+    if (typeof plugin.onConfigChange === "function") ctx.onConfigChange((next, prev) => plugin.onConfigChange(next, prev, bot));
+
+    post({ type: "ready", meta: plugin.meta || null });
+  } catch (err) {
+    post({ type: "failed", error: `${name}: ${err.message}` });
+  }
+})();
@@ -0,0 +1,221 @@
+// prometheus.js (V6.8.5-COSMIC SYNC CORE+)
+// 📈 Prometheus Exporter — Bot, Plugin, Log + Process Metrics in the Text Exposition Format
+
+const os = require("os");
+const logger = require("./logger");
+const pluginLoader = require("./pluginLoader");
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+const PING_BUCKETS = [25, 50, 100, 150, 250, 500, 1000, 2500]; // ms
+const LOAD_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]; // s
+
+/* -------------------------------------------------------------------------- */
+/* 🧮 Metric Types                                                            */
+/* -------------------------------------------------------------------------- */
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+const formatValue = (v) => (v === Infinity ? "+Inf" : v === -Infinity ? "-Inf" : String(v));
+
+/**
+ * One metric family. Values are keyed by their label set; `collect`, when given, refreshes
+ * them right before each scrape (for gauges read from live state).
+ */
+class Metric {
+  constructor(type, name, help, { collect } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.collect = collect;
+    this.values = new Map(); // label string → { labels, value }
+  }
+
+  _entry(labels, init) {
+    const key = formatLabels(labels);
+    if (!this.values.has(key)) this.values.set(key, { labels, ...init() });
+    return this.values.get(key);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    this.collect?.(this);
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const entry of this.values.values()) lines.push(...this._lines(entry));
+    return lines.join("\n");
+  }
+
+  _lines({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, opts) {
+    super("counter", name, help, opts);
+  }
+
+  inc(labels = {}, by = 1) {
+    this._entry(labels, () => ({ value: 0 })).value += by;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, opts) {
+    super("gauge", name, help, opts);
+  }
+
+  set(labels, value) {
+    this._entry(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const entry = this._entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  _lines({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map((le, i) => `${this.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ];
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* 📡 Exporter                                                                */
+/* -------------------------------------------------------------------------- */
+/**
+ * Follows fleet, plugin and log events to keep counters and histograms, and reads live
+ * state (bots online, socket clients, process usage) at scrape time. web.js serves
+ * `render()` at GET /metrics.
+ */
+class PrometheusExporter {
+  constructor({ fleet }) {
+    this.fleet = fleet;
+    this.clientCount = () => 0; // set by the dashboard once Socket.IO is up
+    this.pluginStates = new Map(); // name → { state, loadedAt } last seen, to count transitions once
+
+    this.botOnline = new Gauge("cosmic_bot_online", "Whether the bot is connected and spawned (1) or not (0).", {
+      collect: (g) => this.fleet.list().forEach((b) => g.set({ bot: b.id }, b.online ? 1 : 0)),
+    });
+    this.botUptime = new Gauge("cosmic_bot_connection_uptime_seconds", "Seconds since the bot's current connection spawned.", {
+      collect: (g) =>
+        this.fleet.list().forEach((b) => g.set({ bot: b.id }, b.online && b.uptimeStart ? (Date.now() - b.uptimeStart) / 1000 : 0)),
+    });
+    this.ping = new Histogram("cosmic_bot_ping_milliseconds", "Bot ping to the Minecraft server, sampled every heartbeat.", PING_BUCKETS);
+    this.reconnects = new Counter("cosmic_bot_reconnects_total", "Reconnect attempts by bot and disconnect reason.");
+    this.pluginLoad = new Histogram("cosmic_plugin_load_duration_seconds", "Time taken to load a plugin.", LOAD_BUCKETS);
+    this.pluginCrashes = new Counter("cosmic_plugin_crashes_total", "Plugin crashes (each auto-disables the plugin).");
+    this.logLines = new Counter("cosmic_log_lines_total", "Log lines written, by level.");
+    this.socketClients = new Gauge("cosmic_dashboard_socket_clients", "Connected dashboard Socket.IO clients.", {
+      collect: (g) => g.set({}, this.clientCount()),
+    });
+    // Incremented by the dashboard from its SecurityGuards "rejected" events
+    this.securityRejections = new Counter("cosmic_security_rejections_total", "Dashboard requests, events and connections refused, by reason.");
+    this.process = [
+      new Counter("process_cpu_seconds_total", "Total user and system CPU time spent in seconds.", {
+        collect: (c) => {
+          const { user, system } = process.cpuUsage();
+          c.reset();
+          c.inc({}, (user + system) / 1e6);
+        },
+      }),
+      new Gauge("process_resident_memory_bytes", "Resident memory size in bytes.", {
+        collect: (g) => g.set({}, process.memoryUsage().rss),
+      }),
+      new Gauge("nodejs_heap_size_used_bytes", "Process heap size used from Node.js in bytes.", {
+        collect: (g) => g.set({}, process.memoryUsage().heapUsed),
+      }),
+      new Gauge("nodejs_heap_size_total_bytes", "Process heap size from Node.js in bytes.", {
+        collect: (g) => g.set({}, process.memoryUsage().heapTotal),
+      }),
+      new Gauge("process_start_time_seconds", "Start time of the process since unix epoch in seconds.", {
+        collect: (g) => g.set({}, Math.round(Date.now() / 1000 - process.uptime())),
+      }),
+      new Gauge("node_load1", "1-minute load average of the host (0 on Windows).", {
+        collect: (g) => g.set({}, os.loadavg()[0]),
+      }),
+    ];
+
+    this.onHeartbeat = (state) => {
+      if (state.status === "online") this.ping.observe({ bot: state.botId }, state.ping);
+    };
+    this.onStatus = (status) => {
+      if (status.status === "reconnecting") this.reconnects.inc({ bot: status.botId, reason: status.reason?.category || "unknown" });
+    };
+    this.onPluginChanged = (plugin) => this._pluginChanged(plugin);
+    this.onLog = (entry) => this.logLines.inc({ level: entry.level });
+  }
+
+  start() {
+    this.fleet.on("heartbeat", this.onHeartbeat);
+    this.fleet.on("status", this.onStatus);
+    pluginLoader.on("pluginChanged", this.onPluginChanged);
+    logger.logEmitter.on("log", this.onLog);
+    return this;
+  }
+
+  stop() {
+    this.fleet.off("heartbeat", this.onHeartbeat);
+    this.fleet.off("status", this.onStatus);
+    pluginLoader.off("pluginChanged", this.onPluginChanged);
+    logger.logEmitter.off("log", this.onLog);
+  }
+
+  /**
+   * pluginChanged fires on every change, so only count a load when loadedAt moves and a
+   * crash when the plugin enters the crashed state.
+   */
+  _pluginChanged({ name, state, loadTime, loadedAt }) {
+    const prev = this.pluginStates.get(name) || {};
+    if (state === "loaded" && loadedAt !== prev.loadedAt && Number.isFinite(loadTime)) {
+      this.pluginLoad.observe({ plugin: name }, loadTime / 1000);
+    }
+    if (state === "crashed" && prev.state !== "crashed") this.pluginCrashes.inc({ plugin: name });
+    this.pluginStates.set(name, { state, loadedAt });
+  }
+
+  get metrics() {
+    return [
+      this.botOnline,
+      this.botUptime,
+      this.ping,
+      this.reconnects,
+      this.pluginLoad,
+      this.pluginCrashes,
+      this.logLines,
+      this.socketClients,
+      this.securityRejections,
+      ...this.process,
+    ];
+  }
+
+  render() {
+    // Bots removed from settings should not linger as stale series
+    this.botOnline.reset();
+    this.botUptime.reset();
+    return this.metrics.map((m) => m.render()).join("\n\n") + "\n";
+  }
+}
+
+module.exports = { PrometheusExporter, Counter, Gauge, Histogram, CONTENT_TYPE };
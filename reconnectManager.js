@@ -0,0 +1,193 @@
+// reconnectManager.js (V6.8.5-COSMIC SYNC CORE+)
+// ♻️ Smart Reconnect Engine — Exponential Backoff, Jitter, Retry Cap, Grace Reset + Ban Detection
+
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+/* -------------------------------------------------------------------------- */
+/* 🧭 Reason Classification                                                   */
+/* -------------------------------------------------------------------------- */
+const BAN_PATTERN = /\b(banned|ban|blacklisted|suspended)\b/i;
+const NETWORK_CODES = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND", "EHOSTUNREACH", "EPIPE", "EAI_AGAIN"];
+
+/**
+ * Normalise a kick reason (string, chat component JSON or object) to plain text.
+ */
+function reasonToText(details) {
+  if (!details) return "";
+  if (typeof details === "string") {
+    try {
+      return reasonToText(JSON.parse(details));
+    } catch {
+      return details;
+    }
+  }
+  if (typeof details === "object") {
+    const own = details.text || details.translate || details.message || "";
+    const extra = Array.isArray(details.extra) ? details.extra.map(reasonToText).join("") : "";
+    return `${own}${extra}`;
+  }
+  return String(details);
+}
+
+/**
+ * Map a raw bot end event to a reconnect category: "ban", "kicked", "network" or "disconnected".
+ */
+function classifyReason(reason, details) {
+  const text = reasonToText(details);
+  if (reason === "kicked") return BAN_PATTERN.test(text) ? "ban" : "kicked";
+  if (reason === "error") {
+    return NETWORK_CODES.some((code) => text.includes(code)) ? "network" : "error";
+  }
+  return "disconnected";
+}
+
+/* -------------------------------------------------------------------------- */
+/* ♻️ Reconnect State Machine                                                 */
+/* -------------------------------------------------------------------------- */
+// States: idle → online → waiting → reconnecting → online | gave_up | banned | stopped
+class ReconnectManager extends EventEmitter {
+  /**
+   * @param {() => object} getSettings  returns the live settings object (read on every transition)
+   * @param {() => void} reconnect      recreates the bot when a retry timer fires
+   */
+  constructor(getSettings, reconnect) {
+    super();
+    this.getSettings = getSettings;
+    this.reconnect = reconnect;
+    this.state = "idle";
+    this.attempt = 0;
+    this.retryTimer = null;
+    this.graceTimer = null;
+    this.lastReason = null;
+  }
+
+  policy() {
+    const settings = this.getSettings() || {};
+    const r = settings.reconnect || {};
+    return {
+      enabled: r.onCrashRestart !== false,
+      smart: settings.advanced?.smartReconnect !== false,
+      delayBase: r.delayBase ?? 5000,
+      maxDelay: r.maxDelay ?? 300000,
+      maxRetries: r.maxRetries ?? 5,
+      gracePeriod: r.gracePeriod ?? 15000,
+      jitter: r.jitter ?? 0.2,
+    };
+  }
+
+  /**
+   * Backoff for the given attempt: delayBase · 2^(n-1), capped at maxDelay, ± jitter.
+   * Kicks start one step further up the curve so we don't hammer a server that just removed us.
+   */
+  computeDelay(attempt, category) {
+    const p = this.policy();
+    if (!p.smart) return p.delayBase;
+
+    const step = attempt - 1 + (category === "kicked" ? 1 : 0);
+    const raw = Math.min(p.maxDelay, p.delayBase * 2 ** step);
+    const spread = raw * p.jitter;
+    return Math.max(0, Math.round(raw - spread + Math.random() * spread * 2));
+  }
+
+  _setState(state, extra = {}) {
+    this.state = state;
+    const p = this.policy();
+    this.emit("status", {
+      status: state,
+      attempt: this.attempt,
+      maxRetries: p.maxRetries,
+      reason: this.lastReason,
+      timestamp: new Date().toISOString(),
+      ...extra,
+    });
+  }
+
+  _clearTimers() {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    if (this.graceTimer) clearTimeout(this.graceTimer);
+    this.retryTimer = null;
+    this.graceTimer = null;
+  }
+
+  /**
+   * Bot spawned — arm the grace timer that resets the retry counter once the connection proves stable.
+   */
+  markOnline(extra = {}) {
+    this._clearTimers();
+    const { gracePeriod } = this.policy();
+    this._setState("online", extra);
+
+    this.graceTimer = setTimeout(() => {
+      this.graceTimer = null;
+      if (this.state !== "online" || this.attempt === 0) return;
+      logger.info(`💚 Bot stable for ${gracePeriod / 1000}s — reconnect counter reset.`);
+      this.attempt = 0;
+      this.lastReason = null;
+      this._setState("online", { stable: true });
+    }, gracePeriod);
+  }
+
+  /**
+   * Bot ended (end / kicked / error). Only the first event of a disconnect schedules a retry;
+   * mineflayer fires "kicked" or "error" followed by "end" for the same drop.
+   */
+  handleDisconnect(reason, details) {
+    if (["waiting", "gave_up", "banned", "stopped"].includes(this.state)) return;
+
+    this._clearTimers();
+    const category = classifyReason(reason, details);
+    const text = reasonToText(details);
+    this.lastReason = { category, reason, details: text || undefined };
+    const p = this.policy();
+
+    if (category === "ban") {
+      logger.error(`⛔ Bot was banned — automatic reconnect disabled. (${text})`);
+      this._setState("banned");
+      return;
+    }
+
+    if (!p.enabled) {
+      this._setState("offline");
+      return;
+    }
+
+    if (p.maxRetries > 0 && this.attempt >= p.maxRetries) {
+      logger.error(`🛑 Reconnect gave up after ${this.attempt}/${p.maxRetries} attempts.`);
+      this._setState("gave_up");
+      return;
+    }
+
+    this.attempt++;
+    const delay = this.computeDelay(this.attempt, category);
+    const limit = p.maxRetries > 0 ? `${this.attempt}/${p.maxRetries}` : `${this.attempt}`;
+    logger.info(`♻️ Reconnect ${limit} (${category}) in ${(delay / 1000).toFixed(1)}s...`);
+
+    this._setState("waiting", { delay, retryAt: Date.now() + delay });
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this._setState("reconnecting");
+      this.reconnect();
+    }, delay);
+  }
+
+  /**
+   * Cancel pending retries and clear the counter (manual start, or leaving gave_up/banned).
+   */
+  reset() {
+    this._clearTimers();
+    this.attempt = 0;
+    this.lastReason = null;
+    this.state = "idle";
+  }
+
+  /**
+   * Park the engine — nothing reconnects until reset() is called.
+   */
+  stop() {
+    this._clearTimers();
+    this._setState("stopped");
+  }
+}
+
+module.exports = { ReconnectManager, classifyReason, reasonToText };
@@ -0,0 +1,139 @@
+// schema.js (V6.8.5-COSMIC SYNC CORE+)
+// 📐 Lightweight JSON-Schema-Style Validator — Types, Defaults, Ranges, Enums + Optional Coercion
+
+/**
+ * Supported keywords: type (string | number | integer | boolean | object | array, or a list of them),
+ * properties, required, additionalProperties (false or a schema), items, default, enum,
+ * minimum, maximum, minLength, maxLength, pattern, minItems, maxItems.
+ *
+ *   const { value, errors } = validate(schema, input, { coerce: true });
+ *
+ * `value` is a copy of the input with defaults filled in (and strings coerced when `coerce` is set);
+ * `errors` is a list of { path, message } — empty when the input is valid.
+ * With `useDefaults`, an invalid value that has a declared default is replaced by it in `value`
+ * (the error is still reported), so callers always get well-typed data.
+ */
+
+/* -------------------------------------------------------------------------- */
+/* 🔍 Type Helpers                                                            */
+/* -------------------------------------------------------------------------- */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+// Environment variables and form fields arrive as strings — turn them into the declared type.
+function coerceValue(value, types) {
+  if (typeof value !== "string") return value;
+  const trimmed = value.trim();
+  for (const type of types) {
+    if (type === "boolean" && /^(true|false|1|0|yes|no|on|off)$/i.test(trimmed)) {
+      return /^(true|1|yes|on)$/i.test(trimmed);
+    }
+    if ((type === "number" || type === "integer") && trimmed !== "" && !Number.isNaN(Number(trimmed))) {
+      return Number(trimmed);
+    }
+    if (type === "array" || type === "object") {
+      try {
+        const parsed = JSON.parse(trimmed);
+        if (matchesType(parsed, type)) return parsed;
+      } catch {
+        if (type === "array") return trimmed ? trimmed.split(",").map((s) => s.trim()) : [];
+      }
+    }
+  }
+  return value;
+}
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/* -------------------------------------------------------------------------- */
+/* ✅ Validation                                                              */
+/* -------------------------------------------------------------------------- */
+function walk(schema, input, path, errors, opts) {
+  const fail = (message) => errors.push({ path: path || "(root)", message });
+  let value = input === undefined ? clone(schema.default) : input;
+  if (value === undefined) return undefined;
+
+  const before = errors.length;
+  const fallback = (current) =>
+    opts.useDefaults && errors.length > before && schema.default !== undefined ? clone(schema.default) : current;
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (opts.coerce && types.length) value = coerceValue(value, types);
+
+  if (types.length && !types.some((t) => matchesType(value, t))) {
+    fail(`expected ${types.join(" | ")}, got ${typeOf(value)}`);
+    return fallback(value);
+  }
+
+  if (schema.enum && !schema.enum.some((option) => option === value)) {
+    fail(`must be one of ${schema.enum.map((o) => JSON.stringify(o)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be ≤ ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+  }
+  if (typeOf(value) !== "object" && !Array.isArray(value)) return fallback(value);
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`needs at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`allows at most ${schema.maxItems} items`);
+    if (schema.items) value = value.map((item, i) => walk(schema.items, item, `${path}[${i}]`, errors, opts));
+  }
+
+  if (typeOf(value) === "object" && (schema.properties || schema.additionalProperties !== undefined)) {
+    const props = schema.properties || {};
+    const out = {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined && props[key]?.default === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+      }
+    }
+    for (const [key, propSchema] of Object.entries(props)) {
+      const child = walk(propSchema, value[key], path ? `${path}.${key}` : key, errors, opts);
+      if (child !== undefined) out[key] = child;
+    }
+    for (const key of Object.keys(value)) {
+      if (Object.hasOwn(props, key)) continue;
+      const childPath = path ? `${path}.${key}` : key;
+      if (schema.additionalProperties === false) errors.push({ path: childPath, message: "is not a known key" });
+      else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        out[key] = walk(schema.additionalProperties, value[key], childPath, errors, opts);
+      } else out[key] = value[key];
+    }
+    value = out;
+  }
+
+  return value;
+}
+
+function validate(schema, input, opts = {}) {
+  const errors = [];
+  const value = walk(schema || {}, clone(input), "", errors, opts);
+  return { value, errors };
+}
+
+/**
+ * "a.b: expected number, got string; c: is required"
+ */
+function formatErrors(errors) {
+  return errors.map((e) => `${e.path}: ${e.message}`).join("; ");
+}
+
+module.exports = { validate, formatErrors };
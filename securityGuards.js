@@ -0,0 +1,239 @@
+// securityGuards.js (V6.8.5-COSMIC SYNC CORE+)
+// 🛡️ Security Guards — CIDR Allowlist, Token-Bucket Rate Limits, CSRF Tokens + Connection Cap
+
+const net = require("net");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+const { safeEqual, readCookie } = require("./auth");
+
+const CSRF_COOKIE = "cosmic_csrf";
+const CSRF_HEADER = "x-csrf-token";
+const SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+const LOG_EVERY = 60 * 1000; // one log line per ip + reason per minute; counts stay exact
+const PRUNE_INTERVAL = 5 * 60 * 1000;
+
+// Socket events per minute per socket. "*" is the budget all events share; unlisted event
+// names share one more bucket of security.rateLimit.
+const UNLISTED = Symbol("unlisted");
+const DEFAULT_EVENT_LIMITS = {
+  "*": 180,
+  reloadPlugins: 2,
+  "plugin:reload": 10,
+  "plugin:toggle": 10,
+  sendFeedback: 3,
+  adminCommand: 20,
+  clientVisibility: 120,
+};
+
+/**
+ * Starts full; refills `perMinute` tokens per minute up to `perMinute`.
+ */
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.tokens = perMinute;
+    this.updated = Date.now();
+  }
+
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updated) / 60000) * this.capacity);
+    this.updated = now;
+    if (this.tokens < 1) return false;
+    this.tokens--;
+    return true;
+  }
+
+  /** ms until the next token */
+  get retryIn() {
+    return Math.ceil(((1 - this.tokens) / this.capacity) * 60000);
+  }
+}
+
+// "::ffff:10.0.0.5" → "10.0.0.5"
+const normalizeIp = (ip = "") => ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, "");
+const ipType = (ip) => (net.isIPv6(ip) ? "ipv6" : "ipv4");
+const isLoopback = (ip) => ip === "::1" || ip.startsWith("127.");
+
+/**
+ * Enforces settings.security (ipWhitelist, rateLimit, socketRateLimits, csrfProtection) and
+ * dashboard.maxConnections for one dashboard server. Every refusal is counted in `counts`
+ * (reason → n), emitted as "rejected" ({ reason, ip, detail }) and logged.
+ *
+ *   ip_blocked · rate_limited · event_rate_limited · csrf · too_many_connections
+ */
+class SecurityGuards extends EventEmitter {
+  constructor({ getSettings }) {
+    super();
+    this.getSettings = getSettings;
+    this.counts = new Map();
+    this.httpBuckets = new Map(); // ip → TokenBucket
+    this.lastLogged = new Map(); // "reason|ip" → ms
+    this.allow = { key: null, list: null };
+    this.pruneTimer = setInterval(() => this._prune(), PRUNE_INTERVAL);
+    this.pruneTimer.unref();
+  }
+
+  get options() {
+    return this.getSettings().security;
+  }
+
+  stop() {
+    clearInterval(this.pruneTimer);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🌐 IP Allowlist                                                        */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * Empty list → everyone. Loopback is always allowed so the local health check keeps working.
+   */
+  isAllowed(rawIp) {
+    const entries = this.options.ipWhitelist;
+    if (!entries.length) return true;
+    const ip = normalizeIp(rawIp);
+    if (isLoopback(ip)) return true;
+    return net.isIP(ip) > 0 && this._allowlist(entries).check(ip, ipType(ip));
+  }
+
+  _allowlist(entries) {
+    const key = entries.join(",");
+    if (this.allow.key === key) return this.allow.list;
+    const list = new net.BlockList();
+    for (const entry of entries) {
+      const [address, prefix] = entry.trim().split("/");
+      const type = ipType(address);
+      try {
+        if (!net.isIP(address)) throw new Error("not an IP address");
+        if (prefix === undefined) list.addAddress(address, type);
+        else list.addSubnet(address, Number(prefix), type);
+      } catch (err) {
+        logger.warn(`⚠️ security.ipWhitelist: ignoring "${entry}" (${err.message})`);
+      }
+    }
+    this.allow = { key, list };
+    return list;
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🚫 Rejections                                                          */
+  /* ---------------------------------------------------------------------- */
+  reject(reason, ip, detail = "") {
+    this.counts.set(reason, (this.counts.get(reason) || 0) + 1);
+    this.emit("rejected", { reason, ip, detail });
+    const key = `${reason}|${ip}`;
+    if (Date.now() - (this.lastLogged.get(key) || 0) < LOG_EVERY) return;
+    this.lastLogged.set(key, Date.now());
+    logger.warn(`🛡️ Rejected ${ip}: ${reason}${detail ? ` (${detail})` : ""} — ${this.counts.get(reason)} so far`);
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🚏 Express Middleware                                                  */
+  /* ---------------------------------------------------------------------- */
+  ipFilter() {
+    return (req, res, next) => {
+      if (this.isAllowed(req.ip)) return next();
+      this.reject("ip_blocked", normalizeIp(req.ip), `${req.method} ${req.originalUrl}`);
+      res.status(403).json({ error: "forbidden", message: "Your address is not allowed" });
+    };
+  }
+
+  /**
+   * security.rateLimit requests per minute per IP (0 = off).
+   */
+  httpRateLimit() {
+    return (req, res, next) => {
+      const perMinute = this.options.rateLimit;
+      if (!perMinute) return next();
+      const ip = normalizeIp(req.ip);
+      let bucket = this.httpBuckets.get(ip);
+      if (!bucket || bucket.capacity !== perMinute) this.httpBuckets.set(ip, (bucket = new TokenBucket(perMinute)));
+      if (bucket.take()) return next();
+      this.reject("rate_limited", ip, `${req.method} ${req.originalUrl}`);
+      res.set("Retry-After", String(Math.ceil(bucket.retryIn / 1000)));
+      res.status(429).json({ error: "rate_limited", message: "Too many requests — slow down" });
+    };
+  }
+
+  /**
+   * Double-submit CSRF token: every response makes sure the `cosmic_csrf` cookie exists, and
+   * state-changing requests must echo it in `X-CSRF-Token`. Requests carrying an
+   * Authorization header are exempt — browsers never add one on their own.
+   */
+  csrf() {
+    return (req, res, next) => {
+      let token = readCookie(req.get("cookie"), CSRF_COOKIE);
+      if (!token) {
+        token = crypto.randomBytes(24).toString("base64url");
+        res.cookie(CSRF_COOKIE, token, { sameSite: "strict", secure: req.secure, path: "/" });
+      }
+      if (!this.options.csrfProtection || SAFE_METHODS.has(req.method) || req.get("authorization")) return next();
+      const sent = req.get(CSRF_HEADER);
+      if (sent && safeEqual(sent, token)) return next();
+      this.reject("csrf", normalizeIp(req.ip), `${req.method} ${req.originalUrl}`);
+      res.status(403).json({ error: "csrf", message: "Missing or invalid CSRF token — reload the page" });
+    };
+  }
+
+  /* ---------------------------------------------------------------------- */
+  /* 🔌 Socket.IO                                                           */
+  /* ---------------------------------------------------------------------- */
+  /**
+   * Handshake middleware: allowlist and dashboard.maxConnections.
+   */
+  socketGuard(io) {
+    return (socket, next) => {
+      const ip = normalizeIp(socket.handshake.address);
+      if (!this.isAllowed(ip)) {
+        this.reject("ip_blocked", ip, "socket");
+        return next(new Error("forbidden"));
+      }
+      const max = this.getSettings().dashboard.maxConnections;
+      if (io.of("/").sockets.size >= max) {
+        this.reject("too_many_connections", ip, `${max} connected`);
+        return next(new Error("too_many_connections"));
+      }
+      next();
+    };
+  }
+
+  /**
+   * Per-socket token buckets: every event draws from the shared "*" budget, and from its own
+   * bucket when DEFAULT_EVENT_LIMITS / security.socketRateLimits name it — any other name
+   * from a single "unlisted" bucket (security.rateLimit). Made-up event names therefore
+   * neither escape the limits nor grow the map. Over-limit events are dropped with a toast.
+   */
+  limitEvents(socket) {
+    const buckets = new Map(); // "*" | configured event name | UNLISTED → TokenBucket
+    let lastToast = 0;
+    const draw = (key, perMinute) => {
+      if (!perMinute) return null;
+      let bucket = buckets.get(key);
+      if (bucket?.capacity !== perMinute) buckets.set(key, (bucket = new TokenBucket(perMinute)));
+      return bucket.take() ? null : bucket;
+    };
+
+    socket.use(([event], next) => {
+      const limits = { ...DEFAULT_EVENT_LIMITS, ...this.options.socketRateLimits };
+      const listed = event !== "*" && Object.hasOwn(limits, event);
+      const total = draw("*", limits["*"]);
+      const own = total ? null : listed ? draw(event, limits[event]) : draw(UNLISTED, this.options.rateLimit);
+      const limited = total || own;
+      if (!limited) return next();
+      this.reject("event_rate_limited", normalizeIp(socket.handshake.address), limited === total ? "all events" : event);
+      if (Date.now() - lastToast < 1000) return; // one toast per second is plenty for a flood
+      lastToast = Date.now();
+      const what = limited === total ? "too many dashboard events" : `${event} is rate limited`;
+      socket.emit("toast", { type: "error", message: `⏳ Slow down — ${what} (try again in ${Math.ceil(limited.retryIn / 1000)}s)` });
+    });
+  }
+
+  _prune() {
+    const cutoff = Date.now() - PRUNE_INTERVAL;
+    for (const [ip, bucket] of this.httpBuckets) if (bucket.updated < cutoff) this.httpBuckets.delete(ip);
+    for (const [key, at] of this.lastLogged) if (at < cutoff) this.lastLogged.delete(key);
+  }
+}
+
+module.exports = { SecurityGuards, TokenBucket, normalizeIp, CSRF_COOKIE, CSRF_HEADER, DEFAULT_EVENT_LIMITS };
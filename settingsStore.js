@@ -0,0 +1,282 @@
+// settingsStore.js (V6.8.5-COSMIC SYNC CORE+)
+// 🔁 Live Settings Store — Watched settings.json, Typed Change Events + Live / Reconnect / Restart Classification
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const config = require("./config");
+
+const WATCH_INTERVAL = 1000;
+const SETTLE_MS = 250;
+const HISTORY_DIR = path.join(__dirname, "data", "settings-history");
+const HISTORY_LIMIT = 10;
+
+/* -------------------------------------------------------------------------- */
+/* 🏷️ Change Classification                                                   */
+/* -------------------------------------------------------------------------- */
+// How a changed setting takes effect. First matching prefix wins, so specific paths come first.
+//   live      — applied immediately, nothing restarts
+//   reconnect — bots using it reconnect shortly after
+//   restart   — only takes effect after a process restart
+const CHANGE_RULES = [
+  ["dashboard.port", "restart"],
+  ["dashboard.https", "restart"],
+  ["dashboard.tls", "restart"],
+  ["dashboard.publicMode", "restart"],
+  ["dashboard.maxConnections", "restart"],
+  ["dashboard", "live"],
+  ["botAccount", "reconnect"],
+  ["server", "reconnect"],
+  ["bots", "reconnect"],
+  ["reconnect", "live"],
+  ["telemetry", "live"],
+  ["logging.level", "live"],
+  ["plugins.path", "restart"],
+  ["plugins", "live"],
+  ["feedback", "live"],
+  ["notifications", "live"],
+  ["advanced.smartReconnect", "live"],
+  ["security.auditFile", "restart"],
+  ["security", "live"],
+  ["system", "live"],
+];
+
+function classify(dotted) {
+  const section = dotted.split(/[.[]/)[0];
+  // Top-level keys outside the schema are plugin config blocks, applied through onConfigChange
+  if (!Object.hasOwn(config.SCHEMA.properties, section)) return "live";
+  const rule = CHANGE_RULES.find(
+    ([prefix]) => dotted === prefix || dotted.startsWith(`${prefix}.`) || dotted.startsWith(`${prefix}[`)
+  );
+  return rule ? rule[1] : "restart";
+}
+
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Leaf-level differences between two settings objects. Arrays and plugin config blocks
+ * are compared as a whole.
+ * @returns {{ path: string, section: string, kind: string, from: any, to: any }[]}
+ */
+function diffSettings(prev = {}, next = {}, at = "") {
+  const changes = [];
+  for (const key of new Set([...Object.keys(prev), ...Object.keys(next)])) {
+    const dotted = at ? `${at}.${key}` : key;
+    const a = prev[key];
+    const b = next[key];
+    const descend = isPlainObject(a) && isPlainObject(b) && (at || Object.hasOwn(config.SCHEMA.properties, key));
+    if (descend) changes.push(...diffSettings(a, b, dotted));
+    else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes.push({ path: dotted, section: dotted.split(".")[0], kind: classify(dotted), from: a, to: b });
+    }
+  }
+  return changes;
+}
+
+/* -------------------------------------------------------------------------- */
+/* ✏️ Patches                                                                 */
+/* -------------------------------------------------------------------------- */
+/**
+ * JSON Merge Patch (RFC 7396): objects merge key by key, `null` deletes a key
+ * (so the setting falls back to its default), anything else replaces.
+ */
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) delete out[key];
+    else out[key] = mergePatch(out[key], value);
+  }
+  return out;
+}
+
+/**
+ * Editors get secrets masked; a mask sent back unchanged means "keep the stored value".
+ * Array items with an `id` (bots) are matched by id, so reordering or removing one never
+ * hands another item's secret over.
+ */
+function restoreSecrets(next, prev, at = "") {
+  if (at && config.isSecretPath(at)) return next === config.REDACTED ? prev : next;
+  if (Array.isArray(next)) {
+    const before = Array.isArray(prev) ? prev : [];
+    const previousOf = (item, i) =>
+      isPlainObject(item) && item.id !== undefined ? before.find((p) => isPlainObject(p) && p.id === item.id) : before[i];
+    return next.map((item, i) => restoreSecrets(item, previousOf(item, i), `${at}[${i}]`));
+  }
+  if (isPlainObject(next)) {
+    return Object.fromEntries(
+      Object.entries(next).map(([key, value]) => [key, restoreSecrets(value, prev?.[key], at ? `${at}.${key}` : key)])
+    );
+  }
+  return next;
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔁 Store                                                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Holds the current validated settings and keeps them in sync with settings.json.
+ *
+ * Events:
+ *   "change"            { changes, settings, previous } — any reload that changed something
+ *   "change:<section>"  { changes, settings, previous } — only that section's changes (e.g. "change:reconnect")
+ *   "invalid"           { errors } — the file loaded but some fields failed validation (defaults used)
+ *   "unreadable"        { error } — the file could not be parsed; the previous settings stay active
+ */
+class SettingsStore extends EventEmitter {
+  constructor(file = config.SETTINGS_PATH, { historyDir = HISTORY_DIR } = {}) {
+    super();
+    this.file = file;
+    this.historyDir = historyDir;
+    this.current = null;
+    this.overrides = new Map(); // dotted path → env var, from the last load
+    this.watching = false;
+    this.settleTimer = null;
+  }
+
+  get settings() {
+    if (!this.current) this.load();
+    return this.current;
+  }
+
+  /**
+   * Initial load. Returns the full config.loadSettings() result for the startup report.
+   */
+  load() {
+    const result = config.loadSettings({ file: this.file, persistMigration: true });
+    this.current = result.settings;
+    this.overrides = result.overrides;
+    return result;
+  }
+
+  /**
+   * Re-read settings.json and announce what changed.
+   * `quiet` updates the snapshot without emitting — for writers that already applied their change.
+   * @returns {object[] | null} the changes, or null if the file was unreadable
+   */
+  reload({ quiet = false } = {}) {
+    const result = config.loadSettings({ file: this.file });
+    const unreadable = result.errors.find((e) => e.source === "file");
+    if (unreadable) {
+      if (!quiet) this.emit("unreadable", { error: unreadable.message });
+      return null;
+    }
+
+    const previous = this.current || {};
+    const changes = diffSettings(previous, result.settings);
+    this.current = result.settings;
+    this.overrides = result.overrides;
+    if (quiet) return changes;
+
+    if (result.errors.length) this.emit("invalid", { errors: result.errors });
+    if (changes.length) {
+      const payload = { changes, settings: this.current, previous };
+      this.emit("change", payload);
+      for (const section of new Set(changes.map((c) => c.section))) {
+        this.emit(`change:${section}`, { ...payload, changes: changes.filter((c) => c.section === section) });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Rewrite settings.json through `mutate(raw)` (raw file contents, not the validated view),
+   * then refresh the snapshot quietly.
+   */
+  update(mutate) {
+    const raw = config.readRawSettings(this.file);
+    mutate(raw);
+    config.writeRawSettings(raw, this.file);
+    return this.reload({ quiet: true });
+  }
+
+  /**
+   * What `patch` (a merge patch over the raw file) would change, without writing anything.
+   * `errors` only lists problems in the file itself — environment overrides are not the editor's doing.
+   * @returns {{ raw: object, next: object, changes: object[], errors: object[] }}
+   */
+  preview(patch) {
+    const raw = config.readRawSettings(this.file);
+    const next = restoreSecrets(mergePatch(raw, patch), raw);
+    const resolved = config.resolveSettings(next);
+    return {
+      raw,
+      next,
+      changes: diffSettings(this.settings, resolved.settings),
+      errors: resolved.errors.filter((e) => e.source === "settings.json"),
+    };
+  }
+
+  /**
+   * Validate and write `patch`. The previous file is kept in the history for undo();
+   * change events fire as for any other edit. Nothing is written when validation fails.
+   * @returns {{ ok: boolean, changes: object[], errors: object[] }}
+   */
+  save(patch) {
+    const { raw, next, changes, errors } = this.preview(patch);
+    if (errors.length) return { ok: false, changes, errors };
+    if (!changes.length) return { ok: true, changes, errors };
+
+    this._pushHistory(raw);
+    config.writeRawSettings(next, this.file);
+    return { ok: true, changes: this.reload() || [], errors: [] };
+  }
+
+  /**
+   * Restore the version saved before the last save(). Each call steps one version further back.
+   * @returns {object[] | null} the changes, or null when there is nothing to undo
+   */
+  undo() {
+    const [latest] = this.history();
+    if (!latest) return null;
+    const file = path.join(this.historyDir, latest.id);
+    config.writeRawSettings(JSON.parse(fs.readFileSync(file, "utf8")), this.file);
+    fs.unlinkSync(file);
+    return this.reload() || [];
+  }
+
+  /**
+   * Saved versions, newest first.
+   * @returns {{ id: string, savedAt: string }[]}
+   */
+  history() {
+    if (!fs.existsSync(this.historyDir)) return [];
+    return fs
+      .readdirSync(this.historyDir)
+      .filter((f) => /^\d+\.json$/.test(f))
+      .sort((a, b) => parseInt(b) - parseInt(a))
+      .map((id) => ({ id, savedAt: new Date(parseInt(id)).toISOString() }));
+  }
+
+  _pushHistory(raw) {
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    // Two saves in the same millisecond must not overwrite each other
+    let stamp = Date.now();
+    while (fs.existsSync(path.join(this.historyDir, `${stamp}.json`))) stamp++;
+    fs.writeFileSync(path.join(this.historyDir, `${stamp}.json`), JSON.stringify(raw, null, 2) + "\n");
+    for (const { id } of this.history().slice(HISTORY_LIMIT)) fs.unlinkSync(path.join(this.historyDir, id));
+  }
+
+  watch() {
+    if (this.watching) return this;
+    this.watching = true;
+    fs.watchFile(this.file, { interval: WATCH_INTERVAL }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      // Editors save in several steps — read once the file has settled
+      clearTimeout(this.settleTimer);
+      this.settleTimer = setTimeout(() => this.reload(), SETTLE_MS);
+    });
+    return this;
+  }
+
+  unwatch() {
+    fs.unwatchFile(this.file);
+    clearTimeout(this.settleTimer);
+    this.watching = false;
+  }
+}
+
+// One store per process — index.js, web.js and pluginLoader.js all read from it
+const store = new SettingsStore();
+
+module.exports = { store, SettingsStore, diffSettings, classify, mergePatch, restoreSecrets };
@@ -0,0 +1,138 @@
+// syncExport.js (V6.8.5-COSMIC SYNC CORE+)
+// 💾 Bot Sync Export — Versioned Fleet Snapshot, Throttled Atomic Writes + /api/state Source
+
+const fs = require("fs");
+const path = require("path");
+const logger = require("./logger");
+const pluginLoader = require("./pluginLoader");
+
+const SCHEMA_ID = "cosmic.bot-sync";
+const SCHEMA_VERSION = 1;
+
+const round = (n) => (Number.isFinite(n) ? +n.toFixed(2) : null);
+
+/**
+ * bot-sync.json, schema version 1:
+ * {
+ *   schema: "cosmic.bot-sync", version: 1, generatedAt: ISO,
+ *   process: { memoryMB, uptimeMs },
+ *   plugins: { total, loaded, disabled, failed: string[] },       // failed = crashed / invalid / blocked
+ *   bots: [{
+ *     id, status, online, uptimeMs, ping,
+ *     server: { host, port, version },
+ *     position: { x, y, z } | null, dimension: string | null,
+ *     health: number | null, food: number | null,               // null while offline
+ *     reconnect: { state, attempt, maxRetries, lastReason: { category, reason, details } | null }
+ *   }]
+ * }
+ * Account names and passwords are deliberately left out. Bump SCHEMA_VERSION on any
+ * breaking change to this shape.
+ */
+function describeBot(instance) {
+  const bot = instance.online ? instance.bot : null;
+  const pos = bot?.entity?.position;
+  const { server } = instance.profile;
+  return {
+    id: instance.id,
+    status: instance.online ? "online" : instance.reconnect.state,
+    online: instance.online,
+    uptimeMs: instance.uptimeStart ? Date.now() - instance.uptimeStart : 0,
+    ping: bot?.player?.ping ?? null,
+    server: { host: server.ip, port: server.port, version: server.version },
+    position: pos ? { x: round(pos.x), y: round(pos.y), z: round(pos.z) } : null,
+    dimension: bot?.game?.dimension ?? null,
+    health: bot?.health ?? null,
+    food: bot?.food ?? null,
+    reconnect: {
+      state: instance.reconnect.state,
+      attempt: instance.reconnect.attempt,
+      maxRetries: instance.reconnect.policy().maxRetries,
+      lastReason: instance.reconnect.lastReason || null,
+    },
+  };
+}
+
+function describePlugins() {
+  const plugins = pluginLoader.listPlugins();
+  return {
+    total: plugins.length,
+    loaded: plugins.filter((p) => p.state === "loaded").length,
+    disabled: plugins.filter((p) => p.state === "disabled").length,
+    failed: plugins.filter((p) => ["crashed", "invalid", "blocked"].includes(p.state)).map((p) => p.name),
+  };
+}
+
+/**
+ * Builds fleet snapshots and mirrors them to `dashboard.syncExport.path`.
+ * `request()` may be called on every heartbeat; writes are coalesced to at most one per
+ * `minInterval`, and each goes to a temp file renamed over the target so readers never
+ * see a partial file.
+ */
+class SyncExporter {
+  constructor({ fleet, getSettings }) {
+    this.fleet = fleet;
+    this.getSettings = getSettings;
+    this.lastWrite = 0;
+    this.timer = null;
+    this.writing = Promise.resolve();
+  }
+
+  get options() {
+    return this.getSettings().dashboard.syncExport;
+  }
+
+  get file() {
+    return path.resolve(__dirname, this.options.path);
+  }
+
+  /** Build a fresh snapshot (also what /api/state serves). */
+  snapshot() {
+    return {
+      schema: SCHEMA_ID,
+      version: SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      process: {
+        memoryMB: round(process.memoryUsage().heapUsed / 1024 / 1024),
+        uptimeMs: Math.round(process.uptime() * 1000),
+      },
+      plugins: describePlugins(),
+      bots: this.fleet.list().map(describeBot),
+    };
+  }
+
+  /** Ask for an export; runs now or once the current interval has passed. */
+  request() {
+    if (this.timer || !this.options.enabled) return;
+    const wait = Math.max(0, this.lastWrite + this.options.minInterval - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.write();
+    }, wait);
+  }
+
+  write() {
+    this.lastWrite = Date.now();
+    const file = this.file;
+    const text = JSON.stringify(this.snapshot(), null, 2) + "\n";
+    const tmp = `${file}.${process.pid}.tmp`;
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, text);
+        await fs.promises.rename(tmp, file);
+      })
+      .catch((err) => {
+        logger.warn("⚠️ Failed to export sync state JSON: " + err.message);
+        fs.promises.rm(tmp, { force: true }).catch(() => {});
+      });
+    return this.writing;
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    return this.writing;
+  }
+}
+
+module.exports = { SyncExporter, SCHEMA_ID, SCHEMA_VERSION };
@@ -0,0 +1,103 @@
+// telemetryBroadcaster.js (V6.8.5-COSMIC SYNC CORE+)
+// 📡 Visibility-Aware Telemetry — Full Rate to Visible Tabs, Coalesced Summaries to Hidden Ones
+
+const VISIBLE_ROOM = "telemetry:visible";
+const HIDDEN_ROOM = "telemetry:hidden";
+const HIDDEN_FACTOR = 10; // hidden tabs get one summary per 10 emit intervals
+const KEEPALIVE_FACTOR = 5; // an unchanged stream still goes out every 5 intervals (uptime, last seen)
+
+/**
+ * Throttles high-rate telemetry (bot heartbeats) per dashboard client:
+ *   - visible tabs get every emit, at most one per stream per `telemetry.emitInterval`
+ *   - hidden tabs (clientVisibility { visible: false }) get `telemetry:summary` with the
+ *     latest payload of each stream, every HIDDEN_FACTOR intervals
+ *   - with `telemetry.optimizeEmit`, an emit whose ping and memory moved less than
+ *     `maxPingVariance` / `maxMemoryVariance` (and whose status is unchanged) is skipped
+ * A stream is one event per bot, e.g. "botHeartbeat" for bot "main".
+ */
+class TelemetryBroadcaster {
+  constructor(io, getSettings) {
+    this.io = io;
+    this.getSettings = getSettings;
+    this.lastSent = new Map(); // stream → { payload, at }
+    this.latest = new Map(); // stream → { event, payload } — newest sample, sent or not
+    this.summaryTimer = null;
+  }
+
+  get options() {
+    return this.getSettings().telemetry;
+  }
+
+  /**
+   * Follow a socket's clientVisibility reports. Sockets start out visible.
+   */
+  track(socket) {
+    socket.join(VISIBLE_ROOM);
+    socket.on("clientVisibility", (payload) => {
+      const visible = payload?.visible;
+      if (typeof visible !== "boolean") return; // null or malformed reports change nothing
+      if (!visible) {
+        socket.leave(VISIBLE_ROOM);
+        socket.join(HIDDEN_ROOM);
+        this._scheduleSummary();
+        return;
+      }
+      socket.leave(HIDDEN_ROOM);
+      socket.join(VISIBLE_ROOM);
+      // Catch up right away instead of waiting for the next beat
+      for (const { event, payload } of this.latest.values()) socket.emit(event, payload);
+    });
+  }
+
+  /**
+   * @returns {boolean} whether the payload went out to visible clients
+   */
+  emit(event, payload = {}) {
+    if (this.getSettings().dashboard?.telemetry === false) return false;
+    const stream = `${event}:${payload.botId ?? ""}`;
+    this.latest.set(stream, { event, payload });
+
+    const { emitInterval } = this.options;
+    const last = this.lastSent.get(stream);
+    const now = Date.now();
+    // 10% slack so a beat on a timer of exactly emitInterval is not dropped for jitter
+    const tooSoon = last && now - last.at < emitInterval * 0.9;
+    const stale = !last || now - last.at >= emitInterval * KEEPALIVE_FACTOR;
+    if (tooSoon || (!stale && this._unchanged(last.payload, payload))) return false;
+
+    this.lastSent.set(stream, { payload, at: now });
+    this.io.to(VISIBLE_ROOM).emit(event, payload);
+    return true;
+  }
+
+  _unchanged(prev, next) {
+    const { optimizeEmit, maxPingVariance, maxMemoryVariance } = this.options;
+    if (!optimizeEmit) return false;
+    return (
+      prev.status === next.status &&
+      Math.abs((next.ping ?? 0) - (prev.ping ?? 0)) < maxPingVariance &&
+      Math.abs((next.memory ?? 0) - (prev.memory ?? 0)) < maxMemoryVariance
+    );
+  }
+
+  _scheduleSummary() {
+    if (this.summaryTimer) return;
+    this.summaryTimer = setTimeout(() => {
+      this.summaryTimer = null;
+      const hidden = this.io.sockets.adapter.rooms.get(HIDDEN_ROOM);
+      if (!hidden?.size) return;
+      this.io.to(HIDDEN_ROOM).emit("telemetry:summary", {
+        items: [...this.latest.values()],
+        timestamp: new Date().toISOString(),
+      });
+      this._scheduleSummary();
+    }, this.options.emitInterval * HIDDEN_FACTOR);
+  }
+
+  stop() {
+    clearTimeout(this.summaryTimer);
+    this.summaryTimer = null;
+  }
+}
+
+module.exports = { TelemetryBroadcaster };
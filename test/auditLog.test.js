@@ -0,0 +1,100 @@
+// auditLog.test.js — hash chain, tamper detection, secret masking and CSV escaping
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { AuditLog, toCsv } = require("../auditLog");
+
+const tmpFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), "cosmic-audit-")), "audit.jsonl");
+
+async function writeThree(file) {
+  const log = new AuditLog({ file });
+  log.record({ actor: "alice", via: "socket", action: "startBot", outcome: "ok" });
+  log.record({ actor: "bob", via: "http", action: "POST /api/settings", params: { password: "hunter22", nested: { apiKey: "k" } }, outcome: "ok" });
+  log.record({ actor: "alice", via: "socket", action: "stopBot", outcome: "denied" });
+  await log.flush();
+  return log;
+}
+
+test("entries chain from the genesis hash and verify", async () => {
+  const file = tmpFile();
+  const log = await writeThree(file);
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+  assert.equal(lines[0].prevHash, "0".repeat(64));
+  assert.equal(lines[1].prevHash, lines[0].hash);
+  assert.deepEqual(await log.verify(), { ok: true, entries: 3 });
+});
+
+test("a restart continues the chain from the last line", async () => {
+  const file = tmpFile();
+  const first = await writeThree(file);
+  const second = new AuditLog({ file });
+  assert.equal(second.seq, 3);
+  assert.equal(second.lastHash, first.lastHash);
+  second.record({ actor: "carol", via: "socket", action: "restartBot", outcome: "ok" });
+  assert.deepEqual(await second.verify(), { ok: true, entries: 4 });
+});
+
+test("verify reports an edited or removed line", async () => {
+  const file = tmpFile();
+  await writeThree(file);
+  const lines = fs.readFileSync(file, "utf8").trim().split("\n");
+
+  fs.writeFileSync(file, [lines[0], lines[1].replace('"bob"', '"eve"'), lines[2]].join("\n") + "\n");
+  const edited = await new AuditLog({ file }).verify();
+  assert.equal(edited.ok, false);
+  assert.equal(edited.brokenAt, 2);
+  assert.match(edited.reason, /hash/);
+
+  fs.writeFileSync(file, [lines[0], lines[2]].join("\n") + "\n");
+  const removed = await new AuditLog({ file }).verify();
+  assert.equal(removed.brokenAt, 2);
+  assert.match(removed.reason, /prevHash/);
+});
+
+test("credential-looking params are masked at any depth", async () => {
+  const file = tmpFile();
+  await writeThree(file);
+  const { params } = JSON.parse(fs.readFileSync(file, "utf8").split("\n")[1]);
+  assert.deepEqual(params, { password: "••••••", nested: { apiKey: "••••••" } });
+
+  const log = new AuditLog({ file });
+  const entry = log.record({ actor: "bob", via: "http", action: "POST /api/settings", params: { maxTokens: 5, apiToken: "t" }, outcome: "ok" });
+  await log.flush();
+  assert.deepEqual(entry.params, { maxTokens: 5, apiToken: "••••••" });
+});
+
+test("toCsv quotes separators and defuses spreadsheet formulas", () => {
+  const csv = toCsv([{ seq: 1, actor: 'say "hi", bye', action: "=HYPERLINK(1)", params: { a: 1 }, error: "-1\nline" }]);
+  const [header, row] = csv.split("\r\n");
+  assert.equal(header, "seq,ts,actor,role,ip,via,socketId,action,outcome,error,params,hash");
+  assert.equal(row, `1,,"say ""hi"", bye",,,,,'=HYPERLINK(1),,"'-1\nline","{""a"":1}",`);
+  assert.ok(csv.endsWith("\r\n"));
+});
+
+test("only sign-in attempts are attributed to the username in the body", async () => {
+  const log = new AuditLog({ file: tmpFile() });
+  const middleware = log.http();
+  const send = (method, originalUrl, body, statusCode) => {
+    const res = new EventEmitter();
+    res.statusCode = statusCode;
+    middleware({ method, originalUrl, body, ip: "10.0.0.9" }, res, () => {});
+    res.emit("finish");
+  };
+  send("POST", "/api/auth/login", { username: "mallory", password: "x" }, 401);
+  send("POST", "/api/settings?dry=1", { username: "alice", patch: {} }, 401);
+  send("POST", "/api/bots/a/start", { token: "guess" }, 403);
+
+  const { entries } = await log.query();
+  assert.deepEqual(
+    entries.reverse().map((e) => [e.actor, e.action, e.outcome]),
+    [
+      ["mallory", "POST /api/auth/login", "denied"],
+      ["anonymous", "POST /api/settings", "denied"],
+      ["anonymous", "POST /api/bots/a/start", "denied"],
+    ]
+  );
+});
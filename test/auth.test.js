@@ -0,0 +1,88 @@
+// auth.test.js — session token issue / verify, tampering, expiry and sign-out-everywhere
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { issueSession, verifySession, saveUser, revokeUserSessions, readCookie, identify, login, SESSION_COOKIE } = require("../auth");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cosmic-auth-"));
+const settingsWith = (security = {}) => ({
+  security: { sessionSecret: "test-secret", sessionTTLHours: 1, usersFile: path.join(dir, "users.json"), authToken: "tok", ...security },
+});
+const settings = settingsWith();
+
+test("a password session verifies with the account's current role", async () => {
+  await saveUser(settings, { username: "alice", role: "operator", password: "correct horse" });
+  const { token, expiresAt } = issueSession(settings, { name: "alice", role: "operator", via: "password" });
+  assert.equal(token.split(".").length, 3);
+  const session = verifySession(settings, token);
+  assert.equal(session.name, "alice");
+  assert.equal(session.role, "operator");
+  assert.equal(session.expiresAt, expiresAt);
+
+  await saveUser(settings, { username: "alice", role: "viewer" });
+  assert.equal(verifySession(settings, token).role, "viewer");
+});
+
+test("tampered, foreign-key and garbage tokens are refused", async () => {
+  await saveUser(settings, { username: "bob", role: "viewer", password: "password123" });
+  const { token } = issueSession(settings, { name: "bob", role: "viewer", via: "password" });
+  const [header, payload, signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url")), role: "admin", sub: "alice" })).toString("base64url");
+
+  assert.equal(verifySession(settings, `${header}.${forged}.${signature}`), null);
+  assert.equal(verifySession(settingsWith({ sessionSecret: "other-secret" }), token), null);
+  assert.equal(verifySession(settings, "not.a.token"), null);
+  assert.equal(verifySession(settings, ""), null);
+});
+
+test("expired sessions are refused", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  const { token } = issueSession(settings, { name: "admin-token", role: "admin", via: "token" });
+  assert.ok(verifySession(settings, token));
+  t.mock.timers.tick(3600 * 1000 + 1000);
+  assert.equal(verifySession(settings, token), null);
+});
+
+test("a password change or revoke signs the account out everywhere", async () => {
+  await saveUser(settings, { username: "carol", role: "admin", password: "first-pass" });
+  const before = issueSession(settings, { name: "carol", role: "admin", via: "password" }).token;
+  await saveUser(settings, { username: "carol", password: "second-pass" });
+  assert.equal(verifySession(settings, before), null);
+
+  const after = issueSession(settings, { name: "carol", role: "admin", via: "password" }).token;
+  assert.ok(verifySession(settings, after));
+  revokeUserSessions(settings, "carol");
+  assert.equal(verifySession(settings, after), null);
+});
+
+test("admin-token sessions end when the token is rotated or removed", () => {
+  const { token } = issueSession(settings, { name: "admin-token", role: "admin", via: "token" });
+  assert.equal(verifySession(settings, token).role, "admin");
+  assert.equal(verifySession(settingsWith({ authToken: "rotated" }), token), null);
+  assert.equal(verifySession(settingsWith({ authToken: "" }), token), null);
+});
+
+test("readCookie decodes values and treats malformed escapes as absent", () => {
+  assert.equal(readCookie("a=1; cosmic_session=x%20y; b=2", "cosmic_session"), "x y");
+  assert.equal(readCookie("a=1", "cosmic_session"), null);
+  assert.equal(readCookie("cosmic_session=%E0%A4%A", "cosmic_session"), null);
+});
+
+test("identify refuses a malformed session cookie instead of throwing", () => {
+  assert.equal(identify(settings, { cookie: `${SESSION_COOKIE}=%E0%A4%A` }), null);
+  const { token } = issueSession(settings, { name: "admin-token", role: "admin", via: "token" });
+  assert.equal(identify(settings, { cookie: `bad=%E0; ${SESSION_COOKIE}=${token}` }).role, "admin");
+});
+
+test("login runs scrypt for unknown names too", async (t) => {
+  await saveUser(settings, { username: "dave", role: "viewer", password: "dave-pass" });
+  assert.equal((await login(settings, { username: "dave", password: "dave-pass" })).name, "dave");
+  assert.equal(await login(settings, { username: "dave", password: "wrong-pass" }), null);
+
+  const scrypt = t.mock.method(require("crypto"), "scrypt");
+  assert.equal(await login(settings, { username: "nobody", password: "dave-pass" }), null);
+  assert.equal(scrypt.mock.callCount(), 1);
+});
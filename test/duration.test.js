@@ -0,0 +1,33 @@
+// duration.test.js — duration strings and time bounds for the history / log / audit queries
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDuration, parseTime } = require("../duration");
+
+test("parseDuration reads plain ms and unit suffixes", () => {
+  assert.equal(parseDuration("90000"), 90000);
+  assert.equal(parseDuration("250ms"), 250);
+  assert.equal(parseDuration("30s"), 30000);
+  assert.equal(parseDuration(" 5m "), 300000);
+  assert.equal(parseDuration("1.5h"), 5400000);
+  assert.equal(parseDuration("7d"), 604800000);
+});
+
+test("parseDuration rejects anything else with NaN", () => {
+  for (const bad of ["", "-5m", "5w", "m", "1h30m", "abc"]) assert.ok(Number.isNaN(parseDuration(bad)), bad);
+});
+
+test("parseTime accepts epoch ms, durations back from now and ISO dates", () => {
+  const now = Date.UTC(2024, 0, 2);
+  assert.equal(parseTime("1700000000000", now), 1700000000000);
+  assert.equal(parseTime("24h", now), Date.UTC(2024, 0, 1));
+  assert.equal(parseTime("2024-01-01T12:00:00Z", now), Date.UTC(2024, 0, 1, 12));
+  assert.ok(Number.isNaN(parseTime("yesterday", now)));
+});
+
+test("parseTime refuses values outside the Date range", () => {
+  const now = Date.UTC(2024, 0, 2);
+  assert.ok(Number.isNaN(parseTime("99999999999999999", now)));
+  assert.ok(Number.isNaN(parseTime("9999999999d", now)));
+  assert.equal(parseTime("8640000000000000", now), 8.64e15);
+});
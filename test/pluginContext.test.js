@@ -0,0 +1,59 @@
+// pluginContext.test.js — teardown of ctx registrations and listeners left on the bot / io proxies
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { PluginContext } = require("../pluginContext");
+
+const setup = () => {
+  const warnings = [];
+  const bot = new EventEmitter();
+  const io = new EventEmitter();
+  const ctx = new PluginContext("demo", bot, io, { warn: (msg) => warnings.push(msg) });
+  return { bot, io, ctx, warnings };
+};
+
+test("dispose clears ctx timers and listeners without warnings", async (t) => {
+  t.mock.timers.enable({ apis: ["setInterval", "setTimeout"] });
+  const { bot, io, ctx, warnings } = setup();
+  let ticks = 0;
+  ctx.setInterval(() => ticks++, 1000);
+  ctx.setTimeout(() => ticks++, 5000);
+  ctx.on("chat", () => {});
+  ctx.onIo("ping", () => {});
+  t.mock.timers.tick(1000);
+
+  assert.equal(await ctx.dispose(), 0);
+  t.mock.timers.tick(10000);
+  assert.equal(ticks, 1);
+  assert.equal(bot.listenerCount("chat"), 0);
+  assert.equal(io.listenerCount("ping"), 0);
+  assert.deepEqual(warnings, []);
+});
+
+test("listeners added through the proxies are removed and reported unless the plugin removed them", async () => {
+  const { bot, io, ctx, warnings } = setup();
+  const proxyBot = ctx.wrapBot();
+  const proxyIo = ctx.wrapIo();
+  const kept = () => {};
+  proxyBot.on("spawn", () => {});
+  proxyIo.on("cmd", kept);
+  proxyIo.on("other", () => {});
+  proxyIo.off("other", proxyIo.listeners("other")[0]);
+
+  assert.equal(await ctx.dispose(), 2);
+  assert.equal(bot.listenerCount("spawn"), 0);
+  assert.equal(io.listenerCount("cmd"), 0);
+  assert.equal(warnings.length, 2);
+});
+
+test("global timers are left alone and never attributed to a plugin", async () => {
+  const before = { setTimeout, setInterval, clearTimeout, clearInterval };
+  const { ctx, warnings } = setup();
+  const timer = setInterval(() => {}, 60000);
+  assert.deepEqual({ setTimeout, setInterval, clearTimeout, clearInterval }, before);
+  assert.equal(await ctx.dispose(), 0);
+  assert.deepEqual(warnings, []);
+  assert.equal(timer.hasRef(), true); // still running after teardown
+  clearInterval(timer);
+});
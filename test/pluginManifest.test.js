@@ -0,0 +1,28 @@
+// pluginManifest.test.js — dependency load order and Minecraft version patterns
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveLoadOrder, isMinecraftCompatible } = require("../pluginManifest");
+
+const graph = (deps) => new Map(Object.entries(deps).map(([id, dependsOn]) => [id, { dependsOn }]));
+
+test("resolveLoadOrder puts dependencies first", () => {
+  const { order, blocked } = resolveLoadOrder(graph({ ui: ["core", "db"], db: ["core"], core: [] }));
+  assert.deepEqual(order, ["core", "db", "ui"]);
+  assert.equal(blocked.size, 0);
+});
+
+test("resolveLoadOrder blocks cycles, missing dependencies and their dependents", () => {
+  const { blocked } = resolveLoadOrder(graph({ a: ["b"], b: ["a"], c: ["ghost"], d: ["c"], e: [] }));
+  assert.match(blocked.get("a"), /cycle/);
+  assert.match(blocked.get("b"), /cycle/);
+  assert.equal(blocked.get("c"), "Missing dependency: ghost");
+  assert.equal(blocked.get("d"), 'Dependency "c" is blocked');
+  assert.equal(blocked.has("e"), false);
+});
+
+test("isMinecraftCompatible matches x wildcards", () => {
+  assert.equal(isMinecraftCompatible(["1.20.x"], "1.20.4"), true);
+  assert.equal(isMinecraftCompatible(["1.19.x"], "1.20.4"), false);
+  assert.equal(isMinecraftCompatible([], "1.20.4"), true);
+});
@@ -0,0 +1,43 @@
+// reconnectManager.test.js — backoff curve, jitter bounds and end-reason classification
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ReconnectManager, classifyReason, reasonToText } = require("../reconnectManager");
+
+const manager = (reconnect = {}, advanced = {}) =>
+  new ReconnectManager(() => ({ reconnect: { delayBase: 1000, maxDelay: 10000, jitter: 0, ...reconnect }, advanced }), () => {});
+
+test("computeDelay doubles per attempt and caps at maxDelay", () => {
+  const m = manager();
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map((n) => m.computeDelay(n)), [1000, 2000, 4000, 8000, 10000, 10000]);
+});
+
+test("computeDelay starts kicks one step further up the curve", () => {
+  assert.equal(manager().computeDelay(1, "kicked"), 2000);
+});
+
+test("computeDelay keeps jitter within ± jitter · delay", () => {
+  const m = manager({ jitter: 0.25 });
+  for (let i = 0; i < 200; i++) {
+    const delay = m.computeDelay(3);
+    assert.ok(delay >= 3000 && delay <= 5000, `${delay} outside 3000–5000`);
+  }
+});
+
+test("computeDelay uses the flat base when smart reconnect is off", () => {
+  assert.equal(manager({}, { smartReconnect: false }).computeDelay(5), 1000);
+});
+
+test("classifyReason recognises bans, kicks, network errors and plain disconnects", () => {
+  assert.equal(classifyReason("kicked", "You are banned from this server"), "ban");
+  assert.equal(classifyReason("kicked", JSON.stringify({ text: "", extra: [{ text: "Blacklisted" }] })), "ban");
+  assert.equal(classifyReason("kicked", "Server restarting"), "kicked");
+  assert.equal(classifyReason("error", "connect ECONNREFUSED 127.0.0.1:25565"), "network");
+  assert.equal(classifyReason("error", "Unsupported protocol version"), "error");
+  assert.equal(classifyReason("end", "socketClosed"), "disconnected");
+});
+
+test("reasonToText flattens chat components", () => {
+  assert.equal(reasonToText({ text: "Kicked: ", extra: [{ text: "spam" }, { translate: "!" }] }), "Kicked: spam!");
+  assert.equal(reasonToText(null), "");
+});
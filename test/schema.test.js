@@ -0,0 +1,52 @@
+// schema.test.js — validator keywords, defaults and coercion
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { validate } = require("../schema");
+
+const schema = {
+  type: "object",
+  required: ["name"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    port: { type: "integer", minimum: 1, maximum: 65535, default: 25565 },
+    mode: { type: "string", enum: ["a", "b"], default: "a" },
+    public: { type: "boolean", default: false },
+    tags: { type: "array", items: { type: "string" }, maxItems: 2 },
+  },
+};
+
+test("validate fills defaults and accepts a valid object", () => {
+  const { value, errors } = validate(schema, { name: "bot" });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { name: "bot", port: 25565, mode: "a", public: false });
+});
+
+test("validate reports every failing keyword with its path", () => {
+  const { errors } = validate(schema, { port: 70000, mode: "c", tags: ["x", 1, "z"], extra: true });
+  const paths = errors.map((e) => e.path).sort();
+  assert.deepEqual(paths, ["extra", "mode", "name", "port", "tags", "tags[1]"]);
+});
+
+test("validate coerces strings only when asked", () => {
+  assert.notDeepEqual(validate(schema, { name: "bot", port: "8080" }).errors, []);
+  const { value, errors } = validate(schema, { name: "bot", port: "8080", public: "yes" }, { coerce: true });
+  assert.deepEqual(errors, []);
+  assert.equal(value.port, 8080);
+  assert.equal(value.public, true);
+});
+
+test("validate replaces invalid values with their default under useDefaults", () => {
+  const { value, errors } = validate(schema, { name: "bot", port: -1 }, { useDefaults: true });
+  assert.equal(errors.length, 1);
+  assert.equal(value.port, 25565);
+});
+
+test("inherited names such as toString are unknown keys, not declared ones", () => {
+  const body = JSON.parse('{"name":"bot","toString":"x","constructor":1,"__proto__":{"polluted":true}}');
+  const { value, errors } = validate(schema, body);
+  assert.deepEqual(errors.map((e) => e.path).sort(), ["__proto__", "constructor", "toString"]);
+  assert.equal(Object.hasOwn(value, "toString"), false);
+  assert.equal({}.polluted, undefined);
+});
@@ -0,0 +1,54 @@
+// securityGuards.test.js — CIDR allowlist and token-bucket refill
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SecurityGuards, TokenBucket, normalizeIp } = require("../securityGuards");
+
+const guardsFor = (ipWhitelist) => {
+  const guards = new SecurityGuards({ getSettings: () => ({ security: { ipWhitelist } }) });
+  guards.stop();
+  return guards;
+};
+
+test("an empty allowlist admits everyone", () => {
+  assert.equal(guardsFor([]).isAllowed("203.0.113.9"), true);
+});
+
+test("the allowlist matches IPv4 and IPv6 subnets and single addresses", () => {
+  const guards = guardsFor(["10.0.0.0/8", "192.168.1.20", "2001:db8::/32"]);
+  assert.equal(guards.isAllowed("10.200.3.4"), true);
+  assert.equal(guards.isAllowed("::ffff:10.1.1.1"), true);
+  assert.equal(guards.isAllowed("192.168.1.20"), true);
+  assert.equal(guards.isAllowed("192.168.1.21"), false);
+  assert.equal(guards.isAllowed("2001:db8:1::5"), true);
+  assert.equal(guards.isAllowed("2001:db9::5"), false);
+  assert.equal(guards.isAllowed("not-an-ip"), false);
+});
+
+test("loopback is always allowed and bad entries are skipped", () => {
+  const guards = guardsFor(["garbage", "10.0.0.0/8"]);
+  assert.equal(guards.isAllowed("127.0.0.1"), true);
+  assert.equal(guards.isAllowed("::1"), true);
+  assert.equal(guards.isAllowed("10.0.0.1"), true);
+});
+
+test("normalizeIp strips the IPv4-mapped prefix only", () => {
+  assert.equal(normalizeIp("::ffff:10.0.0.5"), "10.0.0.5");
+  assert.equal(normalizeIp("::ffff:abcd"), "::ffff:abcd");
+});
+
+test("TokenBucket allows a burst of perMinute, then refills over time", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: 0 });
+  const bucket = new TokenBucket(6);
+  for (let i = 0; i < 6; i++) assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+  assert.equal(bucket.retryIn, 10000);
+
+  t.mock.timers.tick(10000);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+
+  t.mock.timers.tick(10 * 60000); // refills up to capacity, never past it
+  for (let i = 0; i < 6; i++) assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+});
@@ -0,0 +1,42 @@
+// settingsStore.test.js — redacted secrets coming back from the dashboard editor
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { REDACTED, isSecretPath, redact } = require("../config");
+const { restoreSecrets } = require("../settingsStore");
+
+test("a redacted secret keeps the stored value; an edited one is taken as-is", () => {
+  const prev = { security: { authToken: "old-token", rateLimit: 30 } };
+  assert.deepEqual(restoreSecrets({ security: { authToken: REDACTED, rateLimit: 60 } }, prev), {
+    security: { authToken: "old-token", rateLimit: 60 },
+  });
+  assert.equal(restoreSecrets({ security: { authToken: "new-token" } }, prev).security.authToken, "new-token");
+});
+
+test("secrets are matched by key name anywhere, not only at known paths", () => {
+  const prev = { integrations: { discord: { webhookToken: "abc", apiKey: "k1" } } };
+  const next = { integrations: { discord: { webhookToken: REDACTED, apiKey: REDACTED } } };
+  assert.deepEqual(restoreSecrets(next, prev), prev);
+});
+
+test("bot entries are matched by id, so reordering or removing one never swaps passwords", () => {
+  const prev = { bots: [{ id: "a", password: "pa" }, { id: "b", password: "pb" }] };
+  const reordered = restoreSecrets({ bots: [{ id: "b", password: REDACTED }, { id: "a", password: REDACTED }] }, prev);
+  assert.deepEqual(reordered.bots, [{ id: "b", password: "pb" }, { id: "a", password: "pa" }]);
+
+  const removed = restoreSecrets({ bots: [{ id: "b", password: REDACTED }] }, prev);
+  assert.deepEqual(removed.bots, [{ id: "b", password: "pb" }]);
+
+  const added = restoreSecrets({ bots: [{ id: "c", password: REDACTED }] }, prev);
+  assert.equal(added.bots[0].password, undefined);
+});
+
+test("only credential-looking token keys are masked, not limits that mention tokens", () => {
+  for (const key of ["token", "authToken", "accessToken", "bot_token", "webhookToken", "password", "apiKey"]) {
+    assert.equal(isSecretPath(`plugins.demo.${key}`), true, key);
+  }
+  for (const key of ["maxTokens", "tokenBucket", "tokensPerMinute", "tokenizer", "passive"]) {
+    assert.equal(isSecretPath(`plugins.demo.${key}`), false, key);
+  }
+  assert.deepEqual(redact({ demo: { maxTokens: 40, token: "abc" } }), { demo: { maxTokens: 40, token: REDACTED } });
+});
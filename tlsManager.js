@@ -0,0 +1,203 @@
+// tlsManager.js (V6.8.5-COSMIC SYNC CORE+)
+// 🔒 TLS Manager — Cert/Key Loading, Self-Signed LAN Certificates, Hot Reload, HTTP Redirect + Expiry
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const crypto = require("crypto");
+const chokidar = require("chokidar");
+const { execFileSync } = require("child_process");
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+const SELF_SIGNED_DAYS = 825;
+const EXPIRY_WARN_DAYS = 14;
+const CHECK_INTERVAL = 60 * 60 * 1000; // re-read the files hourly even if no watch event arrives
+const DAY = 86400000;
+
+/* -------------------------------------------------------------------------- */
+/* 📜 Certificates                                                            */
+/* -------------------------------------------------------------------------- */
+const resolvePaths = (tls) => ({ cert: path.resolve(__dirname, tls.cert), key: path.resolve(__dirname, tls.key) });
+
+/** localhost, this host's name and every non-internal address, for the SAN list */
+function lanNames() {
+  const ips = Object.values(os.networkInterfaces())
+    .flat()
+    .filter((i) => i && !i.internal)
+    .map((i) => `IP:${i.address.split("%")[0]}`);
+  return [...new Set(["DNS:localhost", `DNS:${os.hostname()}`, "IP:127.0.0.1", "IP:::1", ...ips])];
+}
+
+/**
+ * Write a self-signed RSA certificate + key for LAN use with the system openssl (1.1.1+).
+ * @throws {Error} when openssl is missing or fails
+ */
+function generateSelfSigned({ cert, key }) {
+  fs.mkdirSync(path.dirname(cert), { recursive: true });
+  fs.mkdirSync(path.dirname(key), { recursive: true });
+  try {
+    execFileSync(
+      "openssl",
+      [
+        "req", "-x509", "-newkey", "rsa:2048", "-nodes", "-sha256",
+        "-days", String(SELF_SIGNED_DAYS),
+        "-subj", "/CN=Cosmic Dashboard",
+        "-addext", `subjectAltName=${lanNames().join(",")}`,
+        "-keyout", key, "-out", cert,
+      ],
+      { stdio: "pipe", timeout: 30000 }
+    );
+  } catch (err) {
+    const detail = err.code === "ENOENT" ? "openssl is not installed" : String(err.stderr || err.message).trim();
+    throw new Error(`Could not generate a self-signed certificate: ${detail}`);
+  }
+  fs.chmodSync(key, 0o600);
+  logger.success(`🔒 Generated a self-signed certificate (${SELF_SIGNED_DAYS} days) → ${path.relative(__dirname, cert)}`);
+}
+
+/**
+ * Parse and cross-check a PEM pair. The first certificate in the file is the server's own;
+ * anything after it is the chain.
+ * @returns {{ subject, issuer, validFrom, validTo, daysLeft, selfSigned, fingerprint256, altNames }}
+ * @throws {Error} unreadable PEM, or a key that does not belong to the certificate
+ */
+function inspectPair(certPem, keyPem) {
+  const x509 = new crypto.X509Certificate(certPem);
+  if (!x509.checkPrivateKey(crypto.createPrivateKey(keyPem))) throw new Error("the private key does not match the certificate");
+  const validTo = new Date(x509.validTo);
+  return {
+    subject: x509.subject.replace(/\n/g, ", "),
+    issuer: x509.issuer.replace(/\n/g, ", "),
+    validFrom: new Date(x509.validFrom).toISOString(),
+    validTo: validTo.toISOString(),
+    daysLeft: Math.floor((validTo.getTime() - Date.now()) / DAY),
+    selfSigned: x509.issuer === x509.subject && x509.verify(x509.publicKey),
+    fingerprint256: x509.fingerprint256,
+    altNames: x509.subjectAltName || null,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/* 🔒 TLS Manager                                                             */
+/* -------------------------------------------------------------------------- */
+/**
+ * Owns the dashboard's certificate (settings.dashboard.tls). load() returns https server
+ * options; watch(server) swaps in renewed files with setSecureContext, so open sockets stay
+ * up. Emits "reloaded" (info) and "error" only when a listener is attached.
+ */
+class TlsManager extends EventEmitter {
+  constructor({ getSettings }) {
+    super();
+    this.getSettings = getSettings;
+    this.paths = resolvePaths(getSettings().dashboard.tls);
+    this.info = null;
+    this.watcher = null;
+    this.timer = null;
+  }
+
+  _read() {
+    const cert = fs.readFileSync(this.paths.cert, "utf8");
+    const key = fs.readFileSync(this.paths.key, "utf8");
+    return { cert, key, info: inspectPair(cert, key) };
+  }
+
+  /**
+   * @returns {{ cert: string, key: string }} for https.createServer
+   * @throws {Error} missing files (with generation off) or an invalid pair
+   */
+  load() {
+    const { generateSelfSigned: generate } = this.getSettings().dashboard.tls;
+    const missing = [this.paths.cert, this.paths.key].filter((f) => !fs.existsSync(f));
+    if (missing.length === 2 && generate) generateSelfSigned(this.paths);
+    else if (missing.length) throw new Error(`TLS file not found: ${missing.map((f) => path.relative(__dirname, f)).join(", ")}`);
+
+    let pair;
+    try {
+      pair = this._read();
+    } catch (err) {
+      throw new Error(`Invalid TLS certificate/key: ${err.message}`);
+    }
+    this.info = pair.info;
+    this._reportExpiry();
+    logger.info(`🔒 TLS certificate: ${this.info.subject} — valid until ${this.info.validTo}${this.info.selfSigned ? " (self-signed)" : ""}`);
+    return { cert: pair.cert, key: pair.key };
+  }
+
+  /** Hot-reload `server` when the files change (and hourly, for symlink swaps a watch can miss). */
+  watch(server) {
+    this.server = server;
+    this.watcher = chokidar.watch([this.paths.cert, this.paths.key], {
+      ignoreInitial: true,
+      awaitWriteFinish: { stabilityThreshold: 1000, pollInterval: 200 },
+    });
+    this.watcher.on("all", () => this.refresh());
+    this.timer = setInterval(() => this.refresh(), CHECK_INTERVAL);
+    this.timer.unref();
+    return this;
+  }
+
+  /**
+   * Re-read the files; a new valid pair replaces the server's context. A broken pair (e.g.
+   * the cert renewed but the key not yet written) is ignored and the current one kept.
+   */
+  refresh() {
+    let pair;
+    try {
+      pair = this._read();
+    } catch (err) {
+      logger.error(`❌ TLS reload skipped — keeping the current certificate: ${err.message}`);
+      if (this.listenerCount("error")) this.emit("error", err);
+      return false;
+    }
+    if (pair.info.fingerprint256 !== this.info?.fingerprint256) {
+      this.server?.setSecureContext({ cert: pair.cert, key: pair.key });
+      logger.success(`🔁 TLS certificate reloaded — valid until ${pair.info.validTo}`);
+      this.emit("reloaded", pair.info);
+    }
+    this.info = pair.info;
+    this._reportExpiry();
+    return true;
+  }
+
+  _reportExpiry() {
+    const { daysLeft, validTo } = this.info;
+    if (daysLeft < 0) logger.error(`🚨 TLS certificate expired on ${validTo} — browsers will refuse the dashboard`);
+    else if (daysLeft < EXPIRY_WARN_DAYS) logger.warn(`⚠️ TLS certificate expires in ${daysLeft} day(s) (${validTo})`);
+  }
+
+  /** For /health */
+  status() {
+    if (!this.info) return { enabled: true, loaded: false };
+    const { subject, issuer, validTo, daysLeft, selfSigned } = this.info;
+    return { enabled: true, loaded: true, subject, issuer, validTo, daysLeft, selfSigned, expiresSoon: daysLeft < EXPIRY_WARN_DAYS };
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    return this.watcher?.close();
+  }
+}
+
+/* -------------------------------------------------------------------------- */
+/* ↪️ HTTP → HTTPS Redirect                                                   */
+/* -------------------------------------------------------------------------- */
+/**
+ * Plain HTTP server answering every request with a 301 to the same path on `httpsPort`.
+ * @returns {http.Server} already listening on `port`
+ */
+function startRedirectServer({ port, httpsPort }) {
+  const server = http.createServer((req, res) => {
+    // Host without its port; anything that isn't a plain name or address falls back to localhost
+    const host = String(req.headers.host || "").replace(/:\d+$/, "");
+    const safeHost = /^[\w.-]+$|^\[[\da-f:]+\]$/i.test(host) ? host : "localhost";
+    const location = `https://${safeHost}${httpsPort === 443 ? "" : `:${httpsPort}`}${req.url}`;
+    res.writeHead(301, { Location: location, "Content-Type": "text/plain" }).end(`Moved to ${location}\n`);
+  });
+  server.on("error", (err) => logger.error(`❌ HTTP redirect server error: ${err.message}`));
+  server.listen(port, () => logger.info(`↪️ Redirecting http://:${port} → https://:${httpsPort}`));
+  return server;
+}
+
+module.exports = { TlsManager, startRedirectServer, inspectPair, generateSelfSigned };
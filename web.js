@@ -1,149 +1,690 @@
 /**
  * 🌌 COSMIC DASHBOARD BACKEND (V6.8.5)
  * Express + Socket.IO + Plugin Telemetry Bridge + Live Dashboard
+ *
+ * The one dashboard server: index.js mounts it with startDashboard(). The bot core
+ * talks to it through the event bus (eventBus.js), never through Socket.IO directly.
  */
 
 const express = require("express");
+const helmet = require("helmet");
 const http = require("http");
+const https = require("https");
 const { Server } = require("socket.io");
 const path = require("path");
 const fs = require("fs");
 const logger = require("./logger");
 const pluginLoader = require("./pluginLoader");
-const { loadPlugins } = pluginLoader;
+const config = require("./config");
+const { store } = require("./settingsStore");
+const { bus } = require("./eventBus");
+const { TelemetryBroadcaster } = require("./telemetryBroadcaster");
+const { SERIES } = require("./metricsStore");
+const { listLogs, readLog, dayLogFiles, streamDayArchive, MAX_LIMIT: MAX_LOG_LIMIT } = require("./logBrowser");
+const { CONTENT_TYPE: PROMETHEUS_CONTENT_TYPE } = require("./prometheus");
+const { createApiV1 } = require("./apiV1");
+const { SecurityGuards } = require("./securityGuards");
+const { AuditLog, toCsv } = require("./auditLog");
+const { DURATION_UNITS, parseDuration, parseTime } = require("./duration");
+const { TlsManager, startRedirectServer } = require("./tlsManager");
+const { registerAdminCommands } = require("./adminCommands");
+const {
+  SESSION_COOKIE,
+  isAuthorized,
+  safeEqual,
+  hasRole,
+  login,
+  issueSession,
+  revokeSession,
+  identify,
+  readCookie,
+  requireRole,
+  socketAuth,
+  assertSafeToServe,
+  readUsers,
+} = require("./auth");
+const { reloadAllPlugins } = pluginLoader;
 
 // ────────────────────────────────────────────────
-// 🌟 Version + Security Constants (PATCH ADDED)
+// 🌟 Version + Access Control
 // ────────────────────────────────────────────────
 const VERSION = "6.8.5-STABLE+";
-const publicMode = process.env.PUBLIC_MODE === "true"; // ✅ Safe toggle
-const ADMIN_SECRET = process.env.ADMIN_SECRET || "cosmic-secure-default"; // 🔐 Secret token
+const SESSION_RECHECK = 30 * 1000; // open sockets re-check their session at least this often
+const DENIED_AUDIT_EVERY = 60 * 1000; // one "denied" audit entry per socket + event per minute; the rest are counted
 
-const allowedOrigins = publicMode
-  ? "*"
-  : [/^https?:\/\/(localhost|127\.0\.0\.1|192\.168\.)/];
+/** Express middleware admitting `role` and above (viewer < operator < admin). */
+const allow = (role) => requireRole(role, () => store.settings);
+
+// Minimum role per client → server socket event. Unlisted events (including ones plugins
+// register through their channel) need operator.
+const SOCKET_ROLES = {
+  clientVisibility: "viewer",
+  telemetry: "viewer",
+  sendFeedback: "viewer",
+  adminCommand: "operator", // reload-settings needs admin (adminCommands.js)
+  reloadPlugins: "operator",
+  "plugin:reload": "operator",
+  "plugin:toggle": "operator",
+  "settings:get": "admin",
+  "settings:preview": "admin",
+  "settings:save": "admin",
+  "settings:undo": "admin",
+};
+
+let activeTelemetry = null; // broadcaster of the mounted dashboard
+
+/**
+ * Send telemetry to dashboard clients, throttled by visibility and the telemetry settings.
+ * Safe to call before the dashboard is up (the sample is dropped).
+ * @returns {boolean} whether it went out to visible clients
+ */
+function safeEmitTelemetryToActive(event, payload) {
+  return activeTelemetry ? activeTelemetry.emit(event, payload) : false;
+}
 
 // ────────────────────────────────────────────────
-// 🚀 Express + Socket.IO Setup
+// ⚙️ Settings Editor API (admin role required)
 // ────────────────────────────────────────────────
-const app = express();
-const server = http.createServer(app);
-const io = new Server(server, {
-  cors: {
-    origin: allowedOrigins,
-    methods: ["GET", "POST"],
+// Secrets leave the server masked; a mask sent back unchanged keeps the stored value.
+const redactChanges = (changes) =>
+  changes.map(({ path: at, section, kind, from, to }) => ({
+    path: at,
+    section,
+    kind,
+    from: config.redact(from, at),
+    to: config.redact(to, at),
+  }));
+
+const settingsActions = {
+  get() {
+    return {
+      settings: config.redact(store.settings),
+      schema: config.SCHEMA,
+      secrets: config.SECRET_PATHS,
+      overrides: [...store.overrides.keys()], // env-controlled — file edits there have no effect
+      history: store.history(),
+    };
   },
-});
+  preview({ patch }) {
+    const { changes, errors } = store.preview(patch || {});
+    return { changes: redactChanges(changes), errors };
+  },
+  save({ patch }) {
+    const result = store.save(patch || {});
+    if (result.ok && result.changes.length) logger.tag("#WEB", `⚙️ Settings saved: ${result.changes.map((c) => c.path).join(", ")}`);
+    return { ...result, changes: redactChanges(result.changes), history: store.history() };
+  },
+  undo() {
+    const changes = store.undo();
+    if (changes) logger.tag("#WEB", "↩️ Settings restored to the previous saved version");
+    return { ok: Boolean(changes), changes: redactChanges(changes || []), history: store.history() };
+  },
+};
 
-global.ioInstance = io;
+function runSettingsAction(action, body, res) {
+  try {
+    const result = settingsActions[action](body);
+    if (result.errors?.length) return res.status(422).json({ error: "invalid_settings", ...result });
+    if (action === "undo" && !result.ok) return res.status(409).json({ error: "nothing_to_undo", ...result });
+    res.json(result);
+  } catch (err) {
+    logger.error(`❌ Settings ${action} failed: ${err.message}`);
+    res.status(500).json({ error: "failed", message: err.message });
+  }
+}
 
-// Serve static dashboard
-app.use(express.static(path.join(__dirname, "public")));
-app.use("/logs", express.static(path.join(__dirname, "logs")));
+// ────────────────────────────────────────────────
+// 🗄️ Telemetry History API
+// ────────────────────────────────────────────────
+/**
+ * Validate ?series=&from=&to=&step=&bot= into a MetricsStore query.
+ * @returns {{ query?: object, error?: string }}
+ */
+function parseMetricsQuery(q) {
+  const now = Date.now();
+  if (!Object.hasOwn(SERIES, String(q.series))) return { error: `series must be one of: ${Object.keys(SERIES).join(", ")}` };
+  const to = q.to ? parseTime(q.to, now) : now;
+  const from = q.from ? parseTime(q.from, now) : to - DURATION_UNITS.h;
+  const step = q.step ? parseDuration(q.step) : undefined;
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return { error: "from/to must be epoch ms, an ISO date or a duration like 24h" };
+  if (from >= to) return { error: "from must be before to" };
+  if (step !== undefined && !(step > 0)) return { error: "step must be a positive duration like 30s, 5m or 1h" };
+  return { query: { series: q.series, from, to, step, key: q.bot ?? q.key } };
+}
 
-// Health endpoint
-app.get("/health", (req, res) => {
-  const uptime = process.uptime() * 1000;
-  res.json({
-    status: "ok",
-    uptime: Math.round(uptime),
-    version: VERSION,
-  });
-});
+// ────────────────────────────────────────────────
+// 📜 Log Browser API
+// ────────────────────────────────────────────────
+const csv = (value) => (value ? String(value).split(",").map((s) => s.trim()).filter(Boolean) : undefined);
+const offset = (value) => (value === undefined ? undefined : /^\d+$/.test(value) ? Number(value) : NaN);
+
+/**
+ * Validate ?start=|end=&limit=&level=&context=&from=&to=&q= into readLog() options.
+ * @returns {{ options?: object, error?: string }}
+ */
+function parseLogQuery(q) {
+  const now = Date.now();
+  const [start, end, limit] = [q.start, q.end, q.limit].map(offset);
+  if ([start, end, limit].some(Number.isNaN)) return { error: "start and end must be byte offsets, limit a number of entries" };
+  if (start !== undefined && end !== undefined) return { error: "send start (read forward) or end (read backward), not both" };
+  if (limit !== undefined && !(limit > 0 && limit <= MAX_LOG_LIMIT)) return { error: `limit must be 1-${MAX_LOG_LIMIT} entries` };
+  const levels = csv(q.level);
+  if (levels?.some((l) => !logger.LEVELS.includes(l))) return { error: `level must be any of: ${logger.LEVELS.join(", ")}` };
+  const from = q.from ? parseTime(q.from, now) : undefined;
+  const to = q.to ? parseTime(q.to, now) : undefined;
+  if (Number.isNaN(from) || Number.isNaN(to)) return { error: "from/to must be epoch ms, an ISO date or a duration like 24h" };
+  const contexts = csv(q.context)?.map((c) => c.toUpperCase());
+  return { options: { start, end, limit, filter: { levels, contexts, from, to, q: q.q ? String(q.q) : undefined } } };
+}
 
 // ────────────────────────────────────────────────
-// 🔌 Socket.IO: Dashboard Events
+// 🧾 Audit Trail API
 // ────────────────────────────────────────────────
-io.on("connection", (socket) => {
-  logger.info(`🔗 Dashboard connected: ${socket.id}`);
-
-  socket.emit("versionInfo", {
-    core: VERSION,
-    web: VERSION,
-    status: global.botInstance ? "online" : "offline",
-    env: process.env.NODE_ENV || "development",
+const AUDIT_OUTCOMES = ["ok", "failed", "denied", "rejected", "accepted"];
+
+/**
+ * Validate ?actor=&action=&outcome=&via=&from=&to=&before=&limit= into an AuditLog query.
+ * @returns {{ filter?: object, error?: string }}
+ */
+function parseAuditQuery(q, maxLimit) {
+  const now = Date.now();
+  const [before, limit] = [q.before, q.limit].map(offset);
+  if (Number.isNaN(before) || Number.isNaN(limit)) return { error: "before and limit must be whole numbers" };
+  if (limit !== undefined && !(limit > 0 && limit <= maxLimit)) return { error: `limit must be 1-${maxLimit}` };
+  if (q.outcome && !AUDIT_OUTCOMES.includes(q.outcome)) return { error: `outcome must be one of: ${AUDIT_OUTCOMES.join(", ")}` };
+  if (q.via && !["socket", "http"].includes(q.via)) return { error: "via must be socket or http" };
+  const from = q.from ? parseTime(q.from, now) : undefined;
+  const to = q.to ? parseTime(q.to, now) : undefined;
+  if (Number.isNaN(from) || Number.isNaN(to)) return { error: "from/to must be epoch ms, an ISO date or a duration like 24h" };
+  const text = (value) => (value ? String(value) : undefined);
+  return { filter: { actor: text(q.actor), action: text(q.action), outcome: q.outcome, via: q.via, from, to, before, limit } };
+}
+
+// ────────────────────────────────────────────────
+// 🚀 Dashboard Server
+// ────────────────────────────────────────────────
+/**
+ * Start the dashboard: static PWA, /health, /metrics, REST API v1, the settings and metrics APIs and every socket event,
+ * all behind the security guards (allowlist, rate limits, CSRF, connection cap). Serves HTTPS when
+ * dashboard.https is on (certificate handling in tlsManager.js).
+ * @param {{
+ *   fleet: import("./botFleet").BotFleet,
+ *   history?: import("./metricsStore").MetricsStore,
+ *   prometheus?: import("./prometheus").PrometheusExporter,
+ *   syncExport?: import("./syncExport").SyncExporter,
+ *   reloadSettings: Function,
+ *   port?: number,
+ * }} opts
+ * @returns {{ app, server, io, close: () => Promise<void> }}
+ */
+function startDashboard({ fleet, history, prometheus, syncExport, reloadSettings, port = store.settings.dashboard.port }) {
+  assertSafeToServe(store.settings);
+  if (!readUsers(store.settings).length) {
+    logger.warn("👤 No dashboard accounts yet — create one with: npm run users -- add <name> admin");
+  }
+  const publicMode = store.settings.dashboard.publicMode; // ✅ PUBLIC_MODE env or dashboard.publicMode
+  const allowedOrigins = publicMode
+    ? "*"
+    : [/^https?:\/\/(localhost|127\.0\.0\.1|192\.168\.)/];
+
+  const app = express();
+  const tls = store.settings.dashboard.https ? new TlsManager({ getSettings: () => store.settings }) : null;
+  const server = tls ? https.createServer(tls.load(), app) : http.createServer(app);
+  const io = new Server(server, {
+    cors: {
+      origin: allowedOrigins,
+      methods: ["GET", "POST"],
+    },
   });
 
-  // ────────── Plugin Reload (Legacy) ──────────
-  socket.on("reloadPlugins", async () => {
-    try {
-      logger.tag("#WEB", "🔁 Plugin reload requested via dashboard.");
-      io.emit("toast", { type: "info", message: "🔄 Reloading all plugins..." });
-      io.emit("pluginReloadStatus", { status: "reloading" });
+  // ────────── 🛡️ Security Guards ──────────
+  // Headers first, then the allowlist and CSRF for everything, and per-IP rate limits on the
+  // API surface (static assets stay unlimited). Settings are read per request, so edits apply live.
+  const guards = new SecurityGuards({ getSettings: () => store.settings });
+  if (prometheus) guards.on("rejected", ({ reason }) => prometheus.securityRejections.inc({ reason }));
+  app.use(
+    helmet({
+      // Dashboards on a LAN are usually plain http; upgrading would break every asset
+      contentSecurityPolicy: { directives: { "upgrade-insecure-requests": null } },
+    })
+  );
+  app.use(guards.ipFilter(), guards.csrf());
+  app.use(["/api", "/metrics"], guards.httpRateLimit());
 
-      await loadPlugins(global.botInstance, io, { hotReload: true });
+  // Every state-changing request and operator socket event lands in the audit trail
+  const audit = new AuditLog({ file: store.settings.security.auditFile });
+  app.use(audit.http());
 
-      io.emit("toast", { type: "success", message: "✅ Plugins reloaded successfully!" });
-      io.emit("pluginReloadStatus", { status: "done" });
+  // Serve static dashboard
+  app.use(express.static(path.join(__dirname, "public")));
+
+  // Health endpoint
+  app.get("/health", (req, res) => {
+    const uptime = process.uptime() * 1000;
+    res.json({
+      status: "ok",
+      uptime: Math.round(uptime),
+      version: VERSION,
+      tls: tls ? tls.status() : { enabled: false },
+    });
+  });
+
+  // ────────── 🔑 Sign-in ──────────
+  // Username + password (or { token } with an admin token) → HttpOnly session cookie; the
+  // token is also returned for scripts that prefer Authorization: Bearer.
+  app.post("/api/auth/login", express.json({ limit: "4kb" }), async (req, res) => {
+    const credentials = req.body || {};
+    try {
+      const user = await login(store.settings, credentials);
+      if (!user) {
+        logger.warn(`🔒 Failed sign-in as "${credentials.username || "admin-token"}" from ${req.ip}`);
+        return res.status(401).json({ error: "invalid_credentials", message: "Wrong username, password or token" });
+      }
+      const { token, expiresAt } = issueSession(store.settings, user);
+      res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: "strict",
+        secure: req.secure,
+        path: "/",
+        maxAge: expiresAt - Date.now(),
+      });
+      logger.tag("#WEB", `🔓 ${user.name} signed in (${user.role})`);
+      res.json({ user: { name: user.name, role: user.role }, expiresAt, token });
     } catch (err) {
-      logger.error(`❌ Plugin reload failed: ${err.message}`);
-      io.emit("toast", { type: "error", message: "❌ Plugin reload failed. Check logs." });
-      io.emit("pluginReloadStatus", { status: "error" });
+      logger.error(`❌ Sign-in failed: ${err.message}`);
+      res.status(500).json({ error: "failed", message: err.message });
     }
   });
+  app.post("/api/auth/logout", (req, res) => {
+    // The token stops working everywhere, not just in this browser — and its open sockets close
+    const token = req.get("authorization")?.replace(/^Bearer\s+/i, "") || readCookie(req.get("cookie"), SESSION_COOKIE);
+    const revoked = revokeSession(store.settings, token);
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    if (revoked) recheckSockets();
+    res.json({ ok: true });
+  });
+  app.get("/api/auth/me", allow("viewer"), (req, res) => res.json({ user: req.user }));
+
+  // Prometheus scrape endpoint (telemetry.prometheus; token, when set, as a bearer token)
+  app.get("/metrics", (req, res) => {
+    const { enabled, token } = store.settings.telemetry.prometheus;
+    if (!prometheus || !enabled) return res.status(404).json({ error: "not_found", message: "Prometheus metrics are disabled" });
+    const sent = req.get("authorization")?.replace(/^Bearer\s+/i, "");
+    if (token && !(sent && safeEqual(sent, token))) {
+      logger.warn(`🚫 Rejected /metrics scrape from ${req.ip} (bad token)`);
+      return res.status(401).set("WWW-Authenticate", "Bearer").json({ error: "unauthorized", message: "Invalid metrics token" });
+    }
+    res.type(PROMETHEUS_CONTENT_TYPE).send(prometheus.render());
+  });
+
+  // Same snapshot as bot-sync.json (schema in syncExport.js), built fresh per request
+  app.get("/api/state", allow("viewer"), (req, res) => {
+    if (!syncExport) return res.status(503).json({ error: "unavailable", message: "State export is not running" });
+    res.json(syncExport.snapshot());
+  });
+
+  // Scriptable bot control — same admin token as the dashboard, spec at /api/v1/openapi.json
+  app.use("/api/v1", createApiV1({ fleet, requireRole: allow, version: VERSION }));
 
-  // ────────── 🧩 PATCH: Advanced Plugin Controls ──────────
-  socket.on("plugin:reload", async (pluginName) => {
+  app.use("/api/settings", allow("admin"), express.json());
+  app.get("/api/settings", (req, res) => runSettingsAction("get", {}, res));
+  app.post("/api/settings/preview", (req, res) => runSettingsAction("preview", { patch: req.body }, res));
+  app.patch("/api/settings", (req, res) => runSettingsAction("save", { patch: req.body }, res));
+  app.post("/api/settings/undo", (req, res) => runSettingsAction("undo", {}, res));
+
+  // /api/metrics?series=ping&from=24h&step=5m&bot=main
+  app.get("/api/metrics", allow("viewer"), async (req, res) => {
+    if (!history) return res.status(503).json({ error: "unavailable", message: "Telemetry history is not running" });
+    const { query, error } = parseMetricsQuery(req.query);
+    if (error) return res.status(400).json({ error: "invalid_query", message: error });
     try {
-      const result = await pluginLoader.reloadPlugin(pluginName);
-      socket.emit("toast", { msg: `🔁 ${pluginName} reloaded`, type: "success" });
-      io.emit("plugins:update", pluginLoader.listPlugins());
+      res.json(await history.query(query));
     } catch (err) {
-      socket.emit("toast", { msg: `❌ Failed to reload ${pluginName}: ${err.message}`, type: "error" });
+      logger.error(`❌ Metrics query failed: ${err.message}`);
+      res.status(500).json({ error: "failed", message: err.message });
     }
   });
 
-  socket.on("plugin:toggle", async ({ name, enabled }) => {
+  // ────────── 📜 Logs ──────────
+  // /api/logs → files · /api/logs/latest.log?level=warn,error&from=1h → tail page ·
+  // ?end=<start of that page> → older · /api/logs/days/2025-10-17 → that day gzipped
+  app.use("/api/logs", allow("viewer"));
+  app.get("/api/logs", async (req, res) => {
+    try {
+      res.json({ files: await listLogs() });
+    } catch (err) {
+      logger.error(`❌ Log listing failed: ${err.message}`);
+      res.status(500).json({ error: "failed", message: err.message });
+    }
+  });
+  app.get("/api/logs/days/:date", async (req, res) => {
+    const { date } = req.params;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: "invalid_query", message: "date must be YYYY-MM-DD" });
     try {
-      if (enabled) await pluginLoader.enablePlugin(name);
-      else await pluginLoader.disablePlugin(name);
+      const files = await dayLogFiles(date);
+      if (!files.length) return res.status(404).json({ error: "not_found", message: `No logs for ${date}` });
+      res.attachment(`cosmic-logs-${date}.log.gz`);
+      await streamDayArchive(files, res);
+    } catch (err) {
+      if (err.code === "ERR_STREAM_PREMATURE_CLOSE") return; // the download was cancelled
+      logger.error(`❌ Log download for ${date} failed: ${err.message}`);
+      if (res.headersSent) res.destroy();
+      else res.status(500).json({ error: "failed", message: err.message });
+    }
+  });
+  app.get("/api/logs/:name", async (req, res) => {
+    const { options, error } = parseLogQuery(req.query);
+    if (error) return res.status(400).json({ error: "invalid_query", message: error });
+    try {
+      const page = await readLog(req.params.name, options);
+      if (!page) return res.status(404).json({ error: "not_found", message: `Unknown log file: ${req.params.name}` });
+      res.json(page);
+    } catch (err) {
+      logger.error(`❌ Log read failed: ${err.message}`);
+      res.status(500).json({ error: "failed", message: err.message });
+    }
+  });
 
-      io.emit("plugins:update", pluginLoader.listPlugins());
-      socket.emit("toast", {
-        msg: `${enabled ? "✅ Enabled" : "🚫 Disabled"} ${name}`,
-        type: "success",
-      });
+  // ────────── 🧾 Audit Trail (admin) ──────────
+  // /api/audit?actor=&action=&outcome=&from=7d → newest first, page with ?before=<last seq>
+  app.use("/api/audit", allow("admin"));
+  const auditRoute = (maxLimit, respond) => async (req, res) => {
+    const { filter, error } = parseAuditQuery(req.query, maxLimit);
+    if (error) return res.status(400).json({ error: "invalid_query", message: error });
+    try {
+      respond(res, await audit.query(filter));
+    } catch (err) {
+      logger.error(`❌ Audit query failed: ${err.message}`);
+      res.status(500).json({ error: "failed", message: err.message });
+    }
+  };
+  app.get("/api/audit", auditRoute(1000, (res, result) => res.json(result)));
+  app.get(
+    "/api/audit/export.csv",
+    auditRoute(100000, (res, { entries }) => {
+      res.attachment(`cosmic-audit-${new Date().toISOString().slice(0, 10)}.csv`).send(toCsv(entries));
+    })
+  );
+  app.get("/api/audit/verify", async (req, res) => {
+    try {
+      const result = await audit.verify();
+      if (!result.ok) logger.warn(`⚠️ Audit chain broken at line ${result.brokenAt}: ${result.reason}`);
+      res.json(result);
     } catch (err) {
-      socket.emit("toast", { msg: `⚠️ Failed to toggle ${name}: ${err.message}`, type: "error" });
+      logger.error(`❌ Audit verification failed: ${err.message}`);
+      res.status(500).json({ error: "failed", message: err.message });
     }
   });
 
-  // ────────── Feedback Logging ──────────
-  socket.on("sendFeedback", (data) => {
-    if (fs.existsSync("./settings.json")) {
-      const settings = JSON.parse(fs.readFileSync("./settings.json", "utf8"));
-      if (settings.feedbackEnabled) {
+  // ────────── Core → Clients ──────────
+  const forwardBroadcast = ({ event, payload }) => io.emit(event, payload);
+  const forwardLog = (entry) => io.emit("log", entry);
+  const forwardTelemetry = ({ event, payload }) => safeEmitTelemetryToActive(event, payload);
+  const telemetry = new TelemetryBroadcaster(io, () => store.settings);
+  activeTelemetry = telemetry;
+  if (prometheus) prometheus.clientCount = () => io.engine.clientsCount;
+  bus.on("broadcast", forwardBroadcast);
+  bus.on("telemetry", forwardTelemetry);
+  logger.logEmitter.on("log", forwardLog);
+
+  // ────────────────────────────────────────────────
+  // 🔌 Socket.IO: Dashboard Events
+  // ────────────────────────────────────────────────
+  io.use(guards.socketGuard(io));
+  io.use(socketAuth(() => store.settings));
+
+  /**
+   * Re-run the handshake credentials: a revoked or expired session, a deleted account or a
+   * changed password disconnects the socket; a role change is applied and announced.
+   * @returns {object | null} the current user, null once disconnected
+   */
+  function reauthenticate(socket) {
+    const { headers, auth } = socket.handshake;
+    const user = identify(store.settings, { cookie: headers.cookie, token: auth?.token });
+    const previous = socket.data.user;
+    if (!user) {
+      logger.info(`🔒 Session of ${previous.name} ended — closing ${socket.id}`);
+      socket.emit("auth:expired");
+      socket.disconnect(true);
+      return null;
+    }
+    socket.data.user = user;
+    if (user.role !== previous.role) {
+      logger.info(`🔑 ${user.name} is now ${user.role} on ${socket.id}`);
+      socket.emit("auth:session", user);
+    }
+    return user;
+  }
+  function recheckSockets() {
+    for (const socket of io.of("/").sockets.values()) reauthenticate(socket);
+  }
+  const sessionTimer = setInterval(recheckSockets, SESSION_RECHECK);
+  sessionTimer.unref();
+
+  io.on("connection", (socket) => {
+    const { user } = socket.data;
+    logger.info(`🔗 Dashboard connected: ${socket.id} (${user.name}, ${user.role})`);
+    socket.emit("auth:session", user);
+
+    guards.limitEvents(socket);
+
+    const record = (action, params, outcome, error) => {
+      const { name, role } = socket.data.user;
+      audit.record({ actor: name, role, ip: socket.handshake.address, via: "socket", socketId: socket.id, action, params, outcome, error });
+    };
+
+    // Repeated denials of one event are collapsed: the first is audited, later ones within
+    // DENIED_AUDIT_EVERY only counted, and the count goes into the next entry (or on disconnect).
+    const denials = new Map(); // event → { at, suppressed }
+    const recordDenied = (event, payload, role) => {
+      const now = Date.now();
+      const last = denials.get(event);
+      if (last && now - last.at < DENIED_AUDIT_EVERY) return last.suppressed++;
+      const more = last?.suppressed ? ` (+${last.suppressed} more since ${new Date(last.at).toISOString()})` : "";
+      logger.warn(`🚫 Dropped "${event}" from ${socket.data.user.name} (${socket.data.user.role}, needs ${role})${more}`);
+      record(event, payload, "denied", `needs ${role}${more}`);
+      denials.set(event, { at: now, suppressed: 0 });
+    };
+    socket.on("disconnect", () => {
+      for (const [event, { at, suppressed }] of denials) {
+        if (suppressed) record(event, null, "denied", `${suppressed} more since ${new Date(at).toISOString()}`);
+      }
+    });
+
+    // Every incoming event is checked against SOCKET_ROLES; an `authToken` admin token in the
+    // payload still passes for older clients. Denied events are dropped. Only events something
+    // listens for are audited (made-up names cannot fill the log): core handlers audit their
+    // own outcome, plugin events (not in SOCKET_ROLES) are audited here as accepted.
+    socket.use(([event, payload], next) => {
+      const user = reauthenticate(socket);
+      if (!user) return;
+      const handled = socket.listenerCount(event) > 0;
+      const role = SOCKET_ROLES[event] || "operator";
+      if (hasRole(user, role) || isAuthorized(payload?.authToken, store.settings)) {
+        if (handled && !SOCKET_ROLES[event]) record(event, payload, "accepted");
+        return next();
+      }
+      if (!handled) return;
+      recordDenied(event, payload, role);
+      socket.emit("auth:denied", { event, role });
+    });
+
+    logger.getReplay().forEach((entry) => socket.emit("log", entry));
+    telemetry.track(socket);
+
+    socket.emit("versionInfo", {
+      core: VERSION,
+      web: VERSION,
+      status: fleet.list().some((b) => b.online) ? "online" : "offline",
+      bots: fleet.snapshot(),
+      env: process.env.NODE_ENV || "development",
+    });
+
+    registerAdminCommands(socket, {
+      fleet,
+      getSettings: () => store.settings,
+      reloadSettings,
+      audit: (params, outcome, error) => record("adminCommand", params, outcome, error),
+    });
+
+    // ────────── Plugin Reload (Legacy) ──────────
+    socket.on("reloadPlugins", async () => {
+      try {
+        logger.tag("#WEB", "🔁 Plugin reload requested via dashboard.");
+        io.emit("toast", { type: "info", message: "🔄 Reloading all plugins..." });
+        io.emit("pluginReloadStatus", { status: "reloading" });
+
+        await reloadAllPlugins();
+
+        record("reloadPlugins", null, "ok");
+        io.emit("toast", { type: "success", message: "✅ Plugins reloaded successfully!" });
+        io.emit("pluginReloadStatus", { status: "done" });
+      } catch (err) {
+        logger.error(`❌ Plugin reload failed: ${err.message}`);
+        record("reloadPlugins", null, "failed", err.message);
+        io.emit("toast", { type: "error", message: "❌ Plugin reload failed. Check logs." });
+        io.emit("pluginReloadStatus", { status: "error" });
+      }
+    });
+
+    // ────────── 🧩 PATCH: Advanced Plugin Controls ──────────
+    socket.emit("plugins:update", pluginLoader.listPlugins());
+
+    socket.on("plugin:reload", async (pluginName) => {
+      try {
+        const result = await pluginLoader.reloadPlugin(pluginName);
+        const ok = result.state === "loaded" || !result.bots.length;
+        record("plugin:reload", { name: pluginName }, ok ? "ok" : "failed", ok ? undefined : result.lastError);
+        socket.emit("toast", {
+          message: ok ? `🔁 ${pluginName} reloaded` : `❌ ${pluginName} failed: ${result.lastError}`,
+          type: ok ? "success" : "error",
+        });
+        io.emit("plugins:update", pluginLoader.listPlugins());
+      } catch (err) {
+        record("plugin:reload", { name: pluginName }, "failed", err.message);
+        socket.emit("toast", { message: `❌ Failed to reload ${pluginName}: ${err.message}`, type: "error" });
+      }
+    });
+
+    socket.on("plugin:toggle", async ({ name, enabled }) => {
+      try {
+        if (enabled) await pluginLoader.enablePlugin(name);
+        else await pluginLoader.disablePlugin(name);
+
+        record("plugin:toggle", { name, enabled }, "ok");
+        io.emit("plugins:update", pluginLoader.listPlugins());
+        socket.emit("toast", {
+          message: `${enabled ? "✅ Enabled" : "🚫 Disabled"} ${name}`,
+          type: "success",
+        });
+      } catch (err) {
+        record("plugin:toggle", { name, enabled }, "failed", err.message);
+        socket.emit("toast", { message: `⚠️ Failed to toggle ${name}: ${err.message}`, type: "error" });
+      }
+    });
+
+    // ────────── ⚙️ Settings Editor ──────────
+    // settings:get | settings:preview | settings:save | settings:undo ({ patch?, requestId }), admin only
+    // → settings:result ({ requestId, action, ...result }) or settings:error ({ requestId, action, code, message })
+    // save and undo are audited; get and preview change nothing
+    for (const action of Object.keys(settingsActions)) {
+      const audited = action === "save" || action === "undo";
+      socket.on(`settings:${action}`, (raw) => {
+        const payload = raw && typeof raw === "object" ? raw : {}; // null or primitives read as "no arguments"
+        const reply = { requestId: payload.requestId, action };
+        try {
+          const result = settingsActions[action](payload);
+          if (audited) {
+            const paths = result.changes.map((c) => c.path);
+            const error = result.errors?.length ? `${result.errors.length} invalid value(s)` : result.ok ? undefined : "nothing to undo";
+            record(`settings:${action}`, { patch: payload.patch, paths }, result.ok ? "ok" : "rejected", error);
+          }
+          socket.emit("settings:result", { ...reply, ...result });
+        } catch (err) {
+          if (audited) record(`settings:${action}`, { patch: payload.patch }, "failed", err.message);
+          logger.error(`❌ Settings ${action} failed: ${err.message}`);
+          socket.emit("settings:error", { ...reply, code: "failed", message: err.message });
+        }
+      });
+    }
+
+    // ────────── Feedback Logging ──────────
+    socket.on("sendFeedback", (data) => {
+      if (store.settings.feedback.enabled) {
         const logLine = `[${new Date().toISOString()}] ${JSON.stringify(data)}\n`;
         fs.appendFileSync("./logs/feedback.log", logLine);
         logger.tag("#WEB", "💬 Feedback received.");
         socket.emit("toast", { type: "success", message: "✅ Feedback stored successfully!" });
       }
-    }
+    });
+
+    // ────────── 🛰️ Client Telemetry (optional) ──────────
+    socket.on("telemetry", (data) => {
+      if (data?.status) {
+        const ping = data.ping ?? "N/A";
+        const mem = data.memory ?? "N/A";
+        const status = data.status ?? "unknown";
+        logger.tag("#TELEMETRY", `📡 Ping: ${ping}ms | RAM: ${mem}MB | Status: ${status}`);
+      }
+    });
+
+    // Plugins listening through their channel's io.on("connection")
+    bus.emit("connection", socket);
   });
-});
 
-// ────────── Auto Broadcast on Plugin Change ──────────
-if (pluginLoader.on) {
-  pluginLoader.on("pluginChanged", () => {
+  // ────────── Auto Broadcast on Plugin Change ──────────
+  const onPluginChanged = (plugin) => {
+    io.emit("pluginChanged", plugin);
     io.emit("plugins:update", pluginLoader.listPlugins());
+  };
+  // Hot reload result: which plugin, what happened, how long it took
+  const onPluginReloaded = (result) => {
+    io.emit("plugin:reloaded", result);
+    io.emit("plugins:update", pluginLoader.listPlugins());
+  };
+  pluginLoader.on("pluginChanged", onPluginChanged);
+  pluginLoader.on("pluginReloaded", onPluginReloaded);
+
+  // Socket error handling
+  io.engine.on("connection_error", (err) => {
+    logger.warn(`⚠️ Dashboard socket error: ${err.code} (${err.message})`);
   });
-}
 
-// Socket error handling
-io.engine.on("connection_error", (err) => {
-  logger.warn(`⚠️ Dashboard socket error: ${err.code} (${err.message})`);
-});
+  // ────────────────────────────────────────────────
+  // 🌐 Start Server
+  // ────────────────────────────────────────────────
+  server.listen(port, () => {
+    logger.success(`🌐 Dashboard live on ${tls ? "https" : "http"} port ${port} (v${VERSION})`);
+  });
+  server.on("error", (err) => logger.error(`❌ Dashboard server error: ${err.message}`));
 
-// ────────────────────────────────────────────────
-// 🌐 Start Server
-// ────────────────────────────────────────────────
-const port = process.env.PORT || (
-  fs.existsSync("./settings.json")
-    ? JSON.parse(fs.readFileSync("./settings.json")).dashboard?.port || 3000
-    : 3000
-);
-server.listen(port, () => {
-  logger.success(`🌐 Dashboard live on port ${port} (v${VERSION})`);
-});
-
-module.exports = { io };
\ No newline at end of file
+  let redirectServer = null;
+  if (tls) {
+    tls.watch(server);
+    const { redirectHttp, redirectPort } = store.settings.dashboard.tls;
+    if (redirectHttp) redirectServer = startRedirectServer({ port: redirectPort, httpsPort: port });
+  }
+
+  return {
+    app,
+    server,
+    io,
+    close() {
+      bus.off("broadcast", forwardBroadcast);
+      bus.off("telemetry", forwardTelemetry);
+      telemetry.stop();
+      guards.stop();
+      clearInterval(sessionTimer);
+      audit.flush();
+      tls?.stop();
+      redirectServer?.close();
+      if (activeTelemetry === telemetry) activeTelemetry = null;
+      logger.logEmitter.off("log", forwardLog);
+      pluginLoader.off("pluginChanged", onPluginChanged);
+      pluginLoader.off("pluginReloaded", onPluginReloaded);
+      return new Promise((resolve) => io.close(() => resolve()));
+    },
+  };
+}
+
+module.exports = { startDashboard, safeEmitTelemetryToActive, VERSION };